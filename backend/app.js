@@ -0,0 +1,68 @@
+import express from "express";
+import cors from "cors";
+import helmet from "helmet";
+import mongoSanitize from "express-mongo-sanitize";
+import xss from "xss-clean";
+import compression from "compression";
+import morgan from "morgan";
+import errorHandler from "./middleware/errorHandler.js";
+import rateLimiter from "./middleware/rateLimiter.js";
+import authRoutes from "./routes/authRoutes.js";
+import learnerRoutes from "./routes/learnerRoutes.js";
+import credentialRoutes from "./routes/credentialRoutes.js";
+import institutionRoutes from "./routes/institutionRoutes.js";
+import employerRoutes from "./routes/employerRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import aiRoutes from "./routes/aiRoutes.js";
+import portfolioRoutes from "./routes/portfolioRoutes.js";
+import fileRoutes from "./routes/fileRoutes.js";
+import verifyRoutes from "./routes/verifyRoutes.js";
+
+const app = express();
+
+// Security middleware
+app.use(helmet());
+app.use(cors({ origin: process.env.CORS_ORIGIN, credentials: true }));
+app.use(mongoSanitize());
+app.use(xss());
+
+// Body parser
+app.use(express.json({ limit: "10mb" }));
+app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+
+// Compression
+app.use(compression());
+
+// Logging
+if (process.env.NODE_ENV === "development") {
+  app.use(morgan("dev"));
+}
+
+// Rate limiting
+app.use("/api/", rateLimiter);
+
+// Static files
+app.use("/uploads", express.static("uploads"));
+
+// Health check
+app.get("/health", (req, res) => {
+  res.status(200).json({ status: "OK", timestamp: new Date().toISOString() });
+});
+
+// API Routes
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/learners", learnerRoutes);
+app.use("/api/v1/credentials", credentialRoutes);
+app.use("/api/v1/institutions", institutionRoutes);
+app.use("/api/v1/employers", employerRoutes);
+app.use("/api/v1/admin", adminRoutes);
+app.use("/api/v1/ai", aiRoutes);
+
+app.use("/api/v1/portfolio", portfolioRoutes);
+app.use("/api/v1/files", fileRoutes);
+app.use("/api/v1/verify", verifyRoutes);
+
+// Error handler (must be last)
+app.use(errorHandler);
+
+export default app;
@@ -53,5 +53,20 @@ const upload = multer({
   },
 });
 
-export { cloudinary, upload };
+/**
+ * Upload an in-memory file to Cloudinary
+ * @param {Buffer} buffer - File bytes
+ * @param {Object} options - Cloudinary upload options (folder, public_id, ...)
+ * @returns {Promise<Object>} - Cloudinary upload result
+ */
+const uploadBuffer = (buffer, options = {}) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder: "credentials", resource_type: "auto", ...options },
+      (error, result) => (error ? reject(error) : resolve(result)),
+    );
+    stream.end(buffer);
+  });
+
+export { cloudinary, upload, uploadBuffer };
 export default upload;
@@ -1,4 +1,5 @@
 import multer from 'multer';
+import { AsyncResource } from 'async_hooks';
 import path from 'path';
 import crypto from 'crypto';
 import fs from 'fs';
@@ -38,13 +39,76 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Multer calls next() from the request stream's events, outside the async
+// context the request entered (checkTenant's tenant scope would be lost), so
+// bind next() to the context that was current when the upload started
+const keepRequestContext = (instance) => {
+  const bindNext = (middleware) => (req, res, next) =>
+    middleware(req, res, AsyncResource.bind(next));
+
+  return {
+    single: (...args) => bindNext(instance.single(...args)),
+    array: (...args) => bindNext(instance.array(...args)),
+    fields: (...args) => bindNext(instance.fields(...args)),
+    none: () => bindNext(instance.none()),
+    any: () => bindNext(instance.any())
+  };
+};
+
 // Multer configuration
-const upload = multer({
+const upload = keepRequestContext(multer({
   storage,
   fileFilter,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880 // 5MB default
   }
-});
+}));
+
+// Certificates are kept in memory so their bytes can be hashed before upload
+const certificateUpload = keepRequestContext(multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880
+  }
+}));
+
+// Baked Open Badges images are parsed in memory and never stored
+const badgeUpload = keepRequestContext(multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.png', '.svg'].includes(extension) && ['image/png', 'image/svg+xml'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG and SVG badge images are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880
+  }
+}));
+
+// Bulk issuance spreadsheets and certificate archives are parsed in memory
+const BULK_FILE_TYPES = {
+  file: ['.csv', '.xlsx'],
+  certificates: ['.zip']
+};
+
+const bulkUpload = keepRequestContext(multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if ((BULK_FILE_TYPES[file.fieldname] || []).includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Upload a CSV or XLSX spreadsheet as "file" and a ZIP of certificates as "certificates"'), false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.BULK_UPLOAD_MAX_SIZE) || 104857600 // 100MB default
+  }
+}));
 
+export { certificateUpload, badgeUpload, bulkUpload };
 export default upload;
@@ -0,0 +1,82 @@
+// Fine-grained permissions checked by requirePermission()
+export const PERMISSIONS = [
+  'credential:issue',
+  'credential:update',
+  'credential:delete',
+  'credential:verify',
+  'credential:revoke',
+  'credential:check',
+  'credit:redeem',
+  'institution:update',
+  'institution:view-stats',
+  'institution:manage-staff',
+  'job:write',
+  'learner:search'
+];
+
+// Permissions every user of a role has unless explicitly revoked
+export const ROLE_PERMISSIONS = {
+  learner: [],
+  institution: [
+    'credential:issue',
+    'credential:update',
+    'credential:delete',
+    'credential:verify',
+    'credential:revoke',
+    'credit:redeem',
+    'institution:update',
+    'institution:view-stats',
+    'institution:manage-staff'
+  ],
+  employer: [
+    'credential:check',
+    'job:write',
+    'learner:search'
+  ],
+  admin: [...PERMISSIONS]
+};
+
+// Roles of staff within an institution account
+export const INSTITUTION_STAFF_ROLES = ['owner', 'admin', 'issuer', 'verifier', 'viewer'];
+
+// Institution users' defaults depend on their staff role
+export const STAFF_ROLE_PERMISSIONS = {
+  owner: ROLE_PERMISSIONS.institution,
+  admin: ROLE_PERMISSIONS.institution,
+  issuer: ['credential:issue', 'credential:update', 'institution:view-stats'],
+  verifier: ['credential:verify', 'institution:view-stats'],
+  viewer: ['institution:view-stats']
+};
+
+/**
+ * Default permissions for a role (and staff role for institution users)
+ */
+export const defaultPermissions = (role, staffRole) => {
+  if (role === 'institution' && staffRole) {
+    return STAFF_ROLE_PERMISSIONS[staffRole] || [];
+  }
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Permissions that may be granted to a user of a role: never more than the
+ * role's full set, so a learner cannot be handed issuing rights
+ */
+export const grantablePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Effective permissions: role defaults plus grants, minus revocations
+ * @param {string} role - User role
+ * @param {Object} overrides - { granted: [], revoked: [] }
+ * @param {string} staffRole - Institution staff role, if any
+ * @returns {string[]}
+ */
+export const resolvePermissions = (role, overrides = {}, staffRole) => {
+  const granted = overrides.granted || [];
+  const revoked = overrides.revoked || [];
+
+  const effective = new Set([...defaultPermissions(role, staffRole), ...granted]);
+  revoked.forEach((permission) => effective.delete(permission));
+
+  return [...effective];
+};
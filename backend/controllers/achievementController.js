@@ -1,6 +1,10 @@
 import Achievement from "../models/Achievement.js";
 import AppError from "../utils/appError.js";
 import { catchAsync } from "../utils/catchAsync.js";
+import {
+  extractOpenBadge,
+  validateOpenBadge,
+} from "../services/openBadgeService.js";
 
 /**
  * @desc    Add achievement
@@ -126,10 +130,82 @@ export const deleteAchievement = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Import an Open Badges 3.0 credential (baked PNG/SVG or JSON)
+ * @route   POST /api/v1/learners/badges/import
+ * @access  Private (Learner)
+ */
+export const importOpenBadge = catchAsync(async (req, res, next) => {
+  let badge;
+  let jws = null;
+  try {
+    if (req.file) {
+      ({ badge, jws } = extractOpenBadge(req.file) || {});
+    } else {
+      badge = req.body.credential;
+    }
+  } catch (error) {
+    return next(new AppError("Could not read the badge credential", 400));
+  }
+
+  if (!badge || typeof badge !== "object") {
+    return next(
+      new AppError("Upload a baked badge image or provide a credential", 400),
+    );
+  }
+
+  const result = await validateOpenBadge(badge, req.user.email, jws);
+
+  if (!result.valid) {
+    return res.status(400).json({
+      success: false,
+      message: "Badge could not be validated",
+      data: result,
+    });
+  }
+
+  if (
+    badge.id &&
+    (await Achievement.exists({
+      learnerId: req.user.id,
+      "openBadge.credential.id": badge.id,
+    }))
+  ) {
+    return next(new AppError("This badge has already been imported", 400));
+  }
+
+  const achievement = await Achievement.create({
+    learnerId: req.user.id,
+    title: result.achievement.name,
+    description: result.achievement.description,
+    type: "badge",
+    date: result.validFrom || Date.now(),
+    organization: result.issuer.name,
+    url: badge.id,
+    skills: result.achievement.tags,
+    openBadge: {
+      credential: badge,
+      issuerId: result.issuer.id,
+      issuerName: result.issuer.name,
+      verified: result.signatureVerified === true,
+      importedAt: Date.now(),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      achievement,
+      validation: result,
+    },
+  });
+});
+
 export default {
   addAchievement,
   getAchievements,
   getAchievementById,
   updateAchievement,
   deleteAchievement,
+  importOpenBadge,
 };
@@ -0,0 +1,133 @@
+import AchievementDefinition from "../models/AchievementDefinition.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import { isOwnInstitution } from "../utils/institutionAccess.js";
+
+const UPDATABLE_FIELDS = [
+  "name",
+  "description",
+  "criteria",
+  "achievementType",
+  "image",
+  "tags",
+  "skills",
+  "nsqfLevel",
+];
+
+/**
+ * @desc    List an institution's achievement definitions
+ * @route   GET /api/v1/institutions/:id/achievement-definitions
+ * @access  Public
+ */
+export const getDefinitions = catchAsync(async (req, res, next) => {
+  const definitions = await AchievementDefinition.find({
+    institutionId: req.params.id,
+    isActive: true,
+  }).sort("name");
+
+  res.status(200).json({
+    success: true,
+    count: definitions.length,
+    data: definitions,
+  });
+});
+
+/**
+ * @desc    Get an achievement definition
+ * @route   GET /api/v1/institutions/:id/achievement-definitions/:definitionId
+ * @access  Public
+ */
+export const getDefinition = catchAsync(async (req, res, next) => {
+  const definition = await AchievementDefinition.findOne({
+    _id: req.params.definitionId,
+    institutionId: req.params.id,
+  });
+
+  if (!definition) {
+    return next(new AppError("Achievement definition not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: definition,
+  });
+});
+
+/**
+ * @desc    Create an achievement definition
+ * @route   POST /api/v1/institutions/:id/achievement-definitions
+ * @access  Private (Institution, Admin)
+ */
+export const createDefinition = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const data = { institutionId: req.params.id, createdBy: req.user.id };
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const definition = await AchievementDefinition.create(data);
+
+  res.status(201).json({
+    success: true,
+    data: definition,
+  });
+});
+
+/**
+ * @desc    Update an achievement definition
+ * @route   PUT /api/v1/institutions/:id/achievement-definitions/:definitionId
+ * @access  Private (Institution, Admin)
+ */
+export const updateDefinition = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const updates = {};
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  const definition = await AchievementDefinition.findOneAndUpdate(
+    { _id: req.params.definitionId, institutionId: req.params.id },
+    updates,
+    { new: true, runValidators: true },
+  );
+
+  if (!definition) {
+    return next(new AppError("Achievement definition not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: definition,
+  });
+});
+
+/**
+ * @desc    Retire an achievement definition (issued badges keep resolving it)
+ * @route   DELETE /api/v1/institutions/:id/achievement-definitions/:definitionId
+ * @access  Private (Institution, Admin)
+ */
+export const deleteDefinition = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const definition = await AchievementDefinition.findOneAndUpdate(
+    { _id: req.params.definitionId, institutionId: req.params.id },
+    { isActive: false },
+  );
+
+  if (!definition) {
+    return next(new AppError("Achievement definition not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Achievement definition retired successfully",
+  });
+});
@@ -1,6 +1,13 @@
 import User from "../models/User.js";
 import Institution from "../models/Institution.js";
 import Credential from "../models/Credential.js";
+import Session from "../models/Session.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import { unlockAccount, unblockIp } from "../services/loginGuard.js";
+import {
+  defaultPermissions,
+  grantablePermissions,
+} from "../config/permissions.js";
 import AppError from "../utils/appError.js";
 import { catchAsync } from "../utils/catchAsync.js";
 // import AppError from "../utils/appError.js";
@@ -74,7 +81,7 @@ export const getAllUsers = catchAsync(async (req, res, next) => {
   if (isActive !== undefined) query.isActive = isActive === "true";
 
   const users = await User.find(query)
-    .select("-password -refreshToken")
+    .select("-password")
     .limit(limit * 1)
     .skip((page - 1) * limit)
     .sort("-createdAt");
@@ -108,6 +115,11 @@ export const updateUserStatus = catchAsync(async (req, res, next) => {
     return next(new AppError("User not found", 404));
   }
 
+  // Deactivated users must not be able to refresh their way back in
+  if (isActive === false) {
+    await Session.revokeAllForUser(user._id, "admin-revoked");
+  }
+
   res.status(200).json({
     success: true,
     data: user,
@@ -126,7 +138,7 @@ export const verifyInstitution = catchAsync(async (req, res, next) => {
   if (isVerified !== undefined) updateData.isVerified = isVerified;
   if (isActive !== undefined) updateData.isActive = isActive;
 
-  const institution = await Institution.findByIdAndUpdate(
+  let institution = await Institution.findByIdAndUpdate(
     req.params.id,
     updateData,
     { new: true, runValidators: true },
@@ -136,6 +148,14 @@ export const verifyInstitution = catchAsync(async (req, res, next) => {
     return next(new AppError("Institution not found", 404));
   }
 
+  // Verified institutions get the Ed25519 key they sign credentials with;
+  // a first key is only created here (and by the startup backfill)
+  if (institution.isVerified && !institution.getActiveSigningKey()) {
+    institution = await Institution.findById(institution._id).select("+signingKeys.privateKey");
+    institution.addSigningKey();
+    await institution.save({ validateBeforeSave: false });
+  }
+
   res.status(200).json({
     success: true,
     data: institution,
@@ -155,6 +175,7 @@ export const deleteUser = catchAsync(async (req, res, next) => {
   }
 
   await user.deleteOne();
+  await Session.deleteMany({ userId: user._id });
 
   res.status(200).json({
     success: true,
@@ -168,9 +189,7 @@ export const deleteUser = catchAsync(async (req, res, next) => {
  * @access  Private (Admin)
  */
 export const getUser = catchAsync(async (req, res, next) => {
-  const user = await User.findById(req.params.id).select(
-    "-password -refreshToken",
-  );
+  const user = await User.findById(req.params.id).select("-password");
 
   if (!user) return next(new AppError("User not found", 404));
 
@@ -192,7 +211,7 @@ export const updateUser = catchAsync(async (req, res, next) => {
   const user = await User.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true,
-  }).select("-password -refreshToken");
+  }).select("-password");
 
   if (!user) return next(new AppError("User not found", 404));
 
@@ -272,3 +291,178 @@ export const deleteInstitutionAdmin = catchAsync(async (req, res, next) => {
     .status(200)
     .json({ success: true, message: "Institution deleted successfully" });
 });
+
+/**
+ * @desc    List a user's active sessions
+ * @route   GET /api/v1/admin/users/:id/sessions
+ * @access  Private (Admin)
+ */
+export const getUserSessions = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+  if (!user) return next(new AppError("User not found", 404));
+
+  const sessions = await Session.find({
+    userId: user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() },
+  }).sort("-lastUsedAt");
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => session.toSummary()),
+  });
+});
+
+/**
+ * @desc    Revoke one of a user's sessions
+ * @route   DELETE /api/v1/admin/users/:id/sessions/:sessionId
+ * @access  Private (Admin)
+ */
+export const revokeUserSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    userId: req.params.id,
+    revokedAt: { $exists: false },
+  });
+
+  if (!session) return next(new AppError("Session not found", 404));
+
+  await session.revoke("admin-revoked");
+
+  res
+    .status(200)
+    .json({ success: true, message: "Session revoked successfully" });
+});
+
+/**
+ * @desc    Revoke all of a user's sessions
+ * @route   DELETE /api/v1/admin/users/:id/sessions
+ * @access  Private (Admin)
+ */
+export const revokeAllUserSessions = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+  if (!user) return next(new AppError("User not found", 404));
+
+  const result = await Session.revokeAllForUser(user._id, "admin-revoked");
+
+  res.status(200).json({
+    success: true,
+    message: "All sessions revoked",
+    revoked: result.modifiedCount,
+  });
+});
+
+/**
+ * @desc    Get platform security policy
+ * @route   GET /api/v1/admin/security-policy
+ * @access  Private (Admin)
+ */
+export const getSecurityPolicy = catchAsync(async (req, res, next) => {
+  const policy = await SecurityPolicy.getPolicy();
+  res.status(200).json({ success: true, data: policy });
+});
+
+/**
+ * @desc    Update platform security policy (e.g. roles that must use 2FA)
+ * @route   PUT /api/v1/admin/security-policy
+ * @access  Private (Admin)
+ */
+export const updateSecurityPolicy = catchAsync(async (req, res, next) => {
+  const { twoFactorRequiredRoles } = req.body;
+
+  const policy = await SecurityPolicy.updatePolicy(
+    { twoFactorRequiredRoles },
+    req.user.id,
+  );
+
+  res.status(200).json({ success: true, data: policy });
+});
+
+/**
+ * @desc    Unlock an account locked by failed logins
+ * @route   PUT /api/v1/admin/users/:id/unlock
+ * @access  Private (Admin)
+ */
+export const unlockUser = catchAsync(async (req, res, next) => {
+  const user = await unlockAccount(req.params.id);
+
+  if (!user) return next(new AppError("User not found", 404));
+
+  res.status(200).json({
+    success: true,
+    message: "Account unlocked successfully",
+    data: user,
+  });
+});
+
+/**
+ * @desc    Clear failed-login block for an IP address
+ * @route   DELETE /api/v1/admin/login-blocks/:ip
+ * @access  Private (Admin)
+ */
+export const unblockLoginIp = catchAsync(async (req, res, next) => {
+  const record = await unblockIp(req.params.ip);
+
+  if (!record) return next(new AppError("No login block for this IP", 404));
+
+  res
+    .status(200)
+    .json({ success: true, message: "IP address unblocked successfully" });
+});
+
+/**
+ * Permission breakdown for a user
+ */
+const permissionSummary = (user) => ({
+  userId: user._id,
+  role: user.role,
+  institutionRole: user.institutionRole,
+  roleDefaults: defaultPermissions(user.role, user.institutionRole),
+  granted: user.permissions?.granted || [],
+  revoked: user.permissions?.revoked || [],
+  effective: user.getEffectivePermissions(),
+  available: grantablePermissions(user.role),
+});
+
+/**
+ * @desc    Get a user's effective permissions
+ * @route   GET /api/v1/admin/users/:id/permissions
+ * @access  Private (Admin)
+ */
+export const getUserPermissions = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+  if (!user) return next(new AppError("User not found", 404));
+
+  res.status(200).json({ success: true, data: permissionSummary(user) });
+});
+
+/**
+ * @desc    Set a user's permission grants and revocations
+ * @route   PUT /api/v1/admin/users/:id/permissions
+ * @access  Private (Admin)
+ */
+export const updateUserPermissions = catchAsync(async (req, res, next) => {
+  const { granted, revoked } = req.body;
+
+  const user = await User.findById(req.params.id);
+  if (!user) return next(new AppError("User not found", 404));
+
+  if (granted !== undefined) {
+    const allowed = grantablePermissions(user.role);
+    const invalid = granted.filter((permission) => !allowed.includes(permission));
+    if (invalid.length) {
+      return next(
+        new AppError(
+          `Cannot grant ${invalid.join(", ")} to a ${user.role} account`,
+          400,
+        ),
+      );
+    }
+    user.permissions.granted = granted;
+  }
+  if (revoked !== undefined) user.permissions.revoked = revoked;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ success: true, data: permissionSummary(user) });
+});
@@ -0,0 +1,105 @@
+import ApiKey from "../models/ApiKey.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+
+/**
+ * @desc    Create API key (the key is only returned in this response)
+ * @route   POST /api/v1/employers/api-keys
+ * @access  Private (Employer)
+ */
+export const createApiKey = catchAsync(async (req, res, next) => {
+  const { label, scopes, expiresAt } = req.body;
+
+  const { apiKey, key } = await ApiKey.generate({
+    employerId: req.user.id,
+    label,
+    scopes,
+    expiresAt,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Store this key securely; it will not be shown again.",
+    data: {
+      key,
+      apiKey,
+    },
+  });
+});
+
+/**
+ * @desc    List API keys with usage
+ * @route   GET /api/v1/employers/api-keys
+ * @access  Private (Employer)
+ */
+export const getApiKeys = catchAsync(async (req, res, next) => {
+  const apiKeys = await ApiKey.find({ employerId: req.user.id }).sort(
+    "-createdAt",
+  );
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys.map((apiKey) => ({
+      ...apiKey.toObject(),
+      active: apiKey.isActive(),
+    })),
+  });
+});
+
+/**
+ * @desc    Update API key label, scopes or expiry
+ * @route   PUT /api/v1/employers/api-keys/:id
+ * @access  Private (Employer)
+ */
+export const updateApiKey = catchAsync(async (req, res, next) => {
+  const allowed = ["label", "scopes", "expiresAt"];
+  const updates = {};
+  Object.keys(req.body).forEach((key) => {
+    if (allowed.includes(key)) updates[key] = req.body[key];
+  });
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: req.params.id, employerId: req.user.id, revokedAt: { $exists: false } },
+    updates,
+    { new: true, runValidators: true },
+  );
+
+  if (!apiKey) {
+    return next(new AppError("API key not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: apiKey,
+  });
+});
+
+/**
+ * @desc    Revoke API key
+ * @route   DELETE /api/v1/employers/api-keys/:id
+ * @access  Private (Employer)
+ */
+export const revokeApiKey = catchAsync(async (req, res, next) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: req.params.id, employerId: req.user.id, revokedAt: { $exists: false } },
+    { revokedAt: Date.now() },
+    { new: true },
+  );
+
+  if (!apiKey) {
+    return next(new AppError("API key not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked successfully",
+  });
+});
+
+export default {
+  createApiKey,
+  getApiKeys,
+  updateApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,249 @@
+import Job from "../models/Job.js";
+import Learner from "../models/Learner.js";
+import Credential from "../models/Credential.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import { calculateMatchScore } from "../utils/jobMatch.js";
+
+// Allowed applicant status transitions for employers
+const STATUS_TRANSITIONS = {
+  pending: ["reviewed", "shortlisted", "rejected"],
+  reviewed: ["shortlisted", "rejected"],
+  shortlisted: ["hired", "rejected"],
+  rejected: [],
+  hired: [],
+  withdrawn: [],
+};
+
+const findApplication = (job, learnerId) =>
+  job.applicants.find((a) => a.learnerId.toString() === learnerId.toString());
+
+/**
+ * @desc    Apply to a job
+ * @route   POST /api/v1/learners/jobs/:id/apply
+ * @access  Private (Learner)
+ */
+export const applyToJob = catchAsync(async (req, res, next) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job || job.status !== "active") {
+    return next(new AppError("Job not found or not accepting applications", 404));
+  }
+
+  if (job.closingDate && job.closingDate < Date.now()) {
+    return next(new AppError("This job is no longer accepting applications", 400));
+  }
+
+  const learner = await Learner.findById(req.user.id);
+  if (!learner) {
+    return next(new AppError("Learner not found", 404));
+  }
+
+  const existing = findApplication(job, learner._id);
+  if (existing && existing.status !== "withdrawn") {
+    return next(new AppError("You have already applied to this job", 400));
+  }
+
+  const credentials = await Credential.find({ learnerId: learner._id });
+  const { matchScore } = calculateMatchScore(job, learner, credentials);
+
+  if (existing) {
+    // Re-application after withdrawal
+    existing.status = "pending";
+    existing.appliedAt = Date.now();
+    existing.matchScore = matchScore;
+    existing.coverLetter = req.body.coverLetter;
+    existing.statusHistory.push({ status: "pending", changedBy: req.user.id });
+  } else {
+    job.applicants.push({
+      learnerId: learner._id,
+      appliedAt: Date.now(),
+      status: "pending",
+      matchScore,
+      coverLetter: req.body.coverLetter,
+      statusHistory: [{ status: "pending", changedBy: req.user.id }],
+    });
+  }
+
+  await job.save();
+
+  res.status(201).json({
+    success: true,
+    data: {
+      jobId: job._id,
+      title: job.title,
+      application: findApplication(job, learner._id),
+    },
+  });
+});
+
+/**
+ * @desc    Withdraw job application
+ * @route   DELETE /api/v1/learners/jobs/:id/apply
+ * @access  Private (Learner)
+ */
+export const withdrawApplication = catchAsync(async (req, res, next) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job) {
+    return next(new AppError("Job not found", 404));
+  }
+
+  const application = findApplication(job, req.user.id);
+  if (!application || application.status === "withdrawn") {
+    return next(new AppError("Application not found", 404));
+  }
+
+  if (["hired", "rejected"].includes(application.status)) {
+    return next(
+      new AppError(`Cannot withdraw an application that was ${application.status}`, 400),
+    );
+  }
+
+  application.status = "withdrawn";
+  application.statusHistory.push({ status: "withdrawn", changedBy: req.user.id });
+  await job.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Application withdrawn successfully",
+  });
+});
+
+/**
+ * @desc    Get my job applications
+ * @route   GET /api/v1/learners/applications
+ * @access  Private (Learner)
+ */
+export const getMyApplications = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  const jobs = await Job.find({ "applicants.learnerId": req.user.id })
+    .populate("employerId", "companyName industry")
+    .sort("-updatedAt");
+
+  let applications = jobs.map((job) => {
+    const application = findApplication(job, req.user.id);
+    return {
+      job: {
+        _id: job._id,
+        title: job.title,
+        employer: job.employerId,
+        employmentType: job.employmentType,
+        location: job.location,
+        status: job.status,
+      },
+      status: application.status,
+      appliedAt: application.appliedAt,
+      matchScore: application.matchScore,
+      // Employer notes stay internal; learners only see the stage changes
+      statusHistory: application.statusHistory.map((h) => ({
+        status: h.status,
+        changedAt: h.changedAt,
+      })),
+    };
+  });
+
+  if (status) {
+    applications = applications.filter((a) => a.status === status);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    data: applications,
+  });
+});
+
+/**
+ * @desc    Get applicants for a job
+ * @route   GET /api/v1/employers/jobs/:id/applicants
+ * @access  Private (Employer)
+ */
+export const getApplicants = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  const job = await Job.findOne({
+    _id: req.params.id,
+    employerId: req.user.id,
+  }).populate("applicants.learnerId", "firstName lastName email skills education");
+
+  if (!job) {
+    return next(new AppError("Job not found", 404));
+  }
+
+  let applicants = job.applicants;
+  if (status) {
+    applicants = applicants.filter((a) => a.status === status);
+  }
+
+  // Highest match first
+  applicants = [...applicants].sort(
+    (a, b) => (b.matchScore || 0) - (a.matchScore || 0),
+  );
+
+  res.status(200).json({
+    success: true,
+    count: applicants.length,
+    data: applicants,
+  });
+});
+
+/**
+ * @desc    Move an applicant through the hiring pipeline
+ * @route   PUT /api/v1/employers/jobs/:id/applicants/:learnerId
+ * @access  Private (Employer)
+ */
+export const updateApplicantStatus = catchAsync(async (req, res, next) => {
+  const { status, note } = req.body;
+
+  const job = await Job.findOne({
+    _id: req.params.id,
+    employerId: req.user.id,
+  });
+
+  if (!job) {
+    return next(new AppError("Job not found", 404));
+  }
+
+  const application = findApplication(job, req.params.learnerId);
+  if (!application) {
+    return next(new AppError("Applicant not found", 404));
+  }
+
+  if (status && status !== application.status) {
+    const allowed = STATUS_TRANSITIONS[application.status] || [];
+    if (!allowed.includes(status)) {
+      return next(
+        new AppError(
+          `Cannot move applicant from ${application.status} to ${status}`,
+          400,
+        ),
+      );
+    }
+    application.status = status;
+  } else if (!note) {
+    return next(new AppError("Please provide a new status or a note", 400));
+  }
+
+  application.statusHistory.push({
+    status: application.status,
+    note,
+    changedBy: req.user.id,
+  });
+
+  await job.save();
+
+  res.status(200).json({
+    success: true,
+    data: application,
+  });
+});
+
+export default {
+  applyToJob,
+  withdrawApplication,
+  getMyApplications,
+  getApplicants,
+  updateApplicantStatus,
+};
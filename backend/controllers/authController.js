@@ -4,7 +4,33 @@ import Employer from '../models/Employer.js';
 import Institution from '../models/Institution.js';
 import AppError from '../utils/appError.js';
 import { catchAsync } from '../utils/catchAsync.js';
-import { sendTokenResponse, generateAccessToken, verifyRefreshToken } from '../utils/jwt.js';
+import Session from '../models/Session.js';
+import {
+  sendTokenResponse,
+  generateAccessToken,
+  verifyRefreshToken,
+  rotateRefreshToken,
+  generateTwoFactorChallengeToken
+} from '../utils/jwt.js';
+import { sendMail } from '../services/mailService.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginGuard.js';
+import crypto from 'crypto';
+
+/**
+ * Email a verification link to the user
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.API_URL || 'http://localhost:5000'}/api/v1/auth/verify-email/${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Welcome to CredMatrix! Please confirm your email address by opening the link below:\n\n${verifyUrl}\n\nThe link expires in ${parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24} hours.`
+  });
+};
 
 /**
  * @desc    Register user
@@ -73,7 +99,8 @@ export const register = catchAsync(async (req, res, next) => {
       email,
       password,
       role,
-      tenantId: institution._id
+      tenantId: institution._id,
+      institutionRole: 'owner'
     });
 
     // Add user to institution administrators
@@ -84,7 +111,14 @@ export const register = catchAsync(async (req, res, next) => {
     user = await User.create({ email, password, role });
   }
 
-  sendTokenResponse(user, 201, res);
+  // A failed email must not fail registration; the user can ask for a resend
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error.message);
+  }
+
+  await sendTokenResponse(user, 201, req, res);
 });
 
 /**
@@ -101,7 +135,13 @@ export const login = catchAsync(async (req, res, next) => {
 
   const user = await User.findOne({ email }).select('+password');
 
+  const blocked = await checkLoginAllowed(req.ip, user);
+  if (blocked) {
+    return next(blocked);
+  }
+
   if (!user || !(await user.comparePassword(password))) {
+    await recordLoginFailure(req.ip, user);
     return next(new AppError('Invalid credentials', 401));
   }
 
@@ -109,11 +149,22 @@ export const login = catchAsync(async (req, res, next) => {
     return next(new AppError('Your account has been deactivated', 403));
   }
 
+  // Second step required: hand out a short-lived challenge instead of tokens
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user._id)
+    });
+  }
+
+  await recordLoginSuccess(user);
+
   // Update last login
   user.lastLogin = Date.now();
   await user.save({ validateBeforeSave: false });
 
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
 });
 
 /**
@@ -129,17 +180,42 @@ export const refreshToken = catchAsync(async (req, res, next) => {
   }
 
   const decoded = verifyRefreshToken(refreshToken);
+
+  const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+
+  if (!session || session.userId.toString() !== decoded.id) {
+    return next(new AppError('Invalid refresh token', 401));
+  }
+
+  if (!session.isActive()) {
+    return next(new AppError('Session has been revoked. Please log in again.', 401));
+  }
+
+  // A signed token that is not the latest in its family was already rotated:
+  // someone is replaying it, so kill the whole session
+  if (session.refreshTokenHash !== Session.hashToken(refreshToken)) {
+    await session.revoke('reuse-detected');
+    return next(new AppError('Refresh token reuse detected. Please log in again.', 401));
+  }
+
   const user = await User.findById(decoded.id);
 
-  if (!user) {
+  if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    await session.revoke('user-revoked');
     return next(new AppError('Invalid refresh token', 401));
   }
 
-  const accessToken = generateAccessToken(user._id);
+  const newRefreshToken = rotateRefreshToken(session);
+  session.ipAddress = req.ip;
+  session.userAgent = req.get('user-agent');
+  await session.save();
+
+  const accessToken = generateAccessToken(user._id, session._id);
 
   res.status(200).json({
     success: true,
-    accessToken
+    accessToken,
+    refreshToken: newRefreshToken
   });
 });
 
@@ -163,11 +239,206 @@ export const getMe = catchAsync(async (req, res, next) => {
  * @access  Private
  */
 export const logout = catchAsync(async (req, res, next) => {
-  req.user.refreshToken = undefined;
-  await req.user.save({ validateBeforeSave: false });
+  if (req.sessionId) {
+    await Session.findOneAndUpdate(
+      { _id: req.sessionId, userId: req.user._id, revokedAt: { $exists: false } },
+      { revokedAt: Date.now(), revokedReason: 'logout' }
+    );
+  }
 
   res.status(200).json({
     success: true,
     message: 'Logged out successfully'
   });
 });
+
+/**
+ * @desc    Send password reset token
+ * @route   POST /api/v1/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = catchAsync(async (req, res, next) => {
+  const message = 'If an account exists for that email, a password reset link has been sent';
+
+  const user = await User.findOne({ email: req.body.email });
+
+  // Same response either way so emails cannot be enumerated
+  if (!user || !user.isActive) {
+    return res.status(200).json({ success: true, message });
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `We received a request to reset your password. Use the link below to choose a new one:\n\n${resetUrl}\n\nThe link expires in ${parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 10} minutes. If you did not request this, you can ignore this email.`
+    });
+  } catch (error) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(new AppError('There was an error sending the email. Please try again later.', 500));
+  }
+
+  res.status(200).json({ success: true, message });
+});
+
+/**
+ * @desc    Reset password
+ * @route   PATCH /api/v1/auth/reset-password/:token
+ * @access  Public
+ */
+export const resetPassword = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new AppError('Password reset token is invalid or has expired', 400));
+  }
+
+  // Pre-save hook hashes the password and bumps passwordChangedAt,
+  // so `protect` rejects every JWT issued before the reset
+  user.password = req.body.password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  // Sign out every existing session; a new one is started below
+  await Session.revokeAllForUser(user._id, 'password-reset');
+
+  // A reset link proves only mailbox access; the second factor is still needed
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user._id)
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @desc    List my active sessions
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+export const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.find({
+    userId: req.user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() }
+  }).sort('-lastUsedAt');
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => session.toSummary(req.sessionId))
+  });
+});
+
+/**
+ * @desc    Revoke one of my sessions
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ */
+export const revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+    revokedAt: { $exists: false }
+  });
+
+  if (!session) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  await session.revoke('user-revoked');
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+/**
+ * @desc    Log out everywhere except the current session
+ * @route   DELETE /api/v1/auth/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = catchAsync(async (req, res, next) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'user-revoked', req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all other sessions',
+    revoked: result.modifiedCount
+  });
+});
+
+/**
+ * @desc    Verify email address
+ * @route   GET /api/v1/auth/verify-email/:token
+ * @access  Public
+ */
+export const verifyEmail = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new AppError('Verification link is invalid or has expired', 400));
+  }
+
+  user.isVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+/**
+ * @desc    Resend verification email
+ * @route   POST /api/v1/auth/resend-verification
+ * @access  Private
+ */
+export const resendVerification = catchAsync(async (req, res, next) => {
+  const user = req.user;
+
+  if (user.isVerified) {
+    return next(new AppError('Email is already verified', 400));
+  }
+
+  const waitSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+  if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < waitSeconds * 1000) {
+    return next(new AppError(`Please wait ${waitSeconds} seconds before requesting another verification email`, 429));
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    return next(new AppError('There was an error sending the email. Please try again later.', 500));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
@@ -0,0 +1,167 @@
+import BulkIssuanceJob from "../models/BulkIssuanceJob.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import {
+  maxBulkRows,
+  parseSpreadsheet,
+  readCertificates,
+  validateRows,
+  toReportRows,
+  startBulkIssuance,
+  buildReportCsv,
+} from "../services/bulkIssuanceService.js";
+
+const isTrue = (value) => value === true || value === "true";
+
+/**
+ * @desc    Validate a spreadsheet of credentials and (unless dry run) issue them in the background
+ * @route   POST /api/v1/credentials/bulk
+ * @access  Private (credential:issue)
+ */
+export const createBulkIssuance = catchAsync(async (req, res, next) => {
+  const files = {
+    file: req.files?.file?.[0],
+    certificates: req.files?.certificates?.[0],
+  };
+
+  if (!files.file) {
+    return next(new AppError("Please upload a CSV or XLSX file", 400));
+  }
+
+  let rows;
+  let certificates;
+  try {
+    rows = await parseSpreadsheet(files.file);
+    certificates = readCertificates(files.certificates);
+  } catch (error) {
+    return next(new AppError(`Could not read upload: ${error.message}`, 400));
+  }
+
+  if (rows.length === 0) {
+    return next(new AppError("The spreadsheet has no data rows", 400));
+  }
+  if (rows.length > maxBulkRows()) {
+    return next(
+      new AppError(`A bulk upload can contain at most ${maxBulkRows()} rows`, 400),
+    );
+  }
+
+  const validation = await validateRows(rows, certificates);
+  const report = {
+    summary: validation.summary,
+    rows: toReportRows(validation.rows),
+  };
+
+  if (isTrue(req.body.dryRun)) {
+    return res.status(200).json({
+      success: true,
+      data: { dryRun: true, ...report },
+    });
+  }
+
+  if (validation.summary.invalidRows > 0 && !isTrue(req.body.skipInvalid)) {
+    return res.status(400).json({
+      success: false,
+      message: "Some rows are invalid. Fix them or resubmit with skipInvalid=true",
+      data: report,
+    });
+  }
+
+  if (validation.summary.validRows === 0) {
+    return next(new AppError("No valid rows to issue", 400));
+  }
+
+  const job = await startBulkIssuance({
+    institutionId: req.user.tenantId,
+    userId: req.user.id,
+    files,
+    rows: validation.rows,
+  });
+
+  res.status(202).json({
+    success: true,
+    data: job,
+  });
+});
+
+/**
+ * @desc    List bulk issuance jobs
+ * @route   GET /api/v1/credentials/bulk
+ * @access  Private (credential:issue)
+ */
+export const getBulkJobs = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { institutionId: req.user.tenantId };
+
+  const [jobs, total] = await Promise.all([
+    BulkIssuanceJob.find(query)
+      .select("-results")
+      .populate("createdBy", "email")
+      .sort("-createdAt")
+      .skip(skip)
+      .limit(limit),
+    BulkIssuanceJob.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: jobs,
+  });
+});
+
+/**
+ * @desc    Get a bulk issuance job with its progress and per-row results
+ * @route   GET /api/v1/credentials/bulk/:jobId
+ * @access  Private (credential:issue)
+ */
+export const getBulkJob = catchAsync(async (req, res, next) => {
+  const job = await BulkIssuanceJob.findOne({
+    _id: req.params.jobId,
+    institutionId: req.user.tenantId,
+  }).populate("createdBy", "email");
+
+  if (!job) {
+    return next(new AppError("Bulk issuance job not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: job,
+  });
+});
+
+/**
+ * @desc    Download the per-row result report of a bulk issuance job as CSV
+ * @route   GET /api/v1/credentials/bulk/:jobId/report
+ * @access  Private (credential:issue)
+ */
+export const getBulkJobReport = catchAsync(async (req, res, next) => {
+  const job = await BulkIssuanceJob.findOne({
+    _id: req.params.jobId,
+    institutionId: req.user.tenantId,
+  });
+
+  if (!job) {
+    return next(new AppError("Bulk issuance job not found", 404));
+  }
+
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="bulk-issuance-${job._id}.csv"`,
+  });
+  res.status(200).send(buildReportCsv(job));
+});
+
+export default {
+  createBulkIssuance,
+  getBulkJobs,
+  getBulkJob,
+  getBulkJobReport,
+};
@@ -0,0 +1,372 @@
+import CredentialClaim from "../models/CredentialClaim.js";
+import Credential from "../models/Credential.js";
+import Institution from "../models/Institution.js";
+import User from "../models/User.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import aiService from "../services/aiService.js";
+import { sendMail } from "../services/mailService.js";
+import { checkStacksForLearner } from "../services/stackService.js";
+import {
+  issueCredential,
+  storeCertificateFile,
+} from "../services/credentialService.js";
+
+/**
+ * Institution named by the learner: by id, else an exact (case-insensitive) name match
+ */
+const resolveInstitution = ({ institutionId, institutionName }) => {
+  if (institutionId) {
+    return Institution.findOne({ _id: institutionId, isActive: true });
+  }
+  return Institution.findOne({ name: institutionName, isActive: true }).collation({
+    locale: "en",
+    strength: 2,
+  });
+};
+
+/**
+ * Reviewers see their own institution's claims; admins see every claim
+ */
+const canReviewClaim = (user, claim) =>
+  user.role === "admin" ||
+  (!!user.tenantId &&
+    !!claim.institutionId &&
+    claim.institutionId.toString() === user.tenantId.toString());
+
+/**
+ * Tell the learner how their claim was decided
+ */
+const notifyLearner = async (claim, institutionName) => {
+  const learner = await User.findById(claim.learnerId).select("email firstName");
+  if (!learner || !learner.email) return;
+
+  const approved = claim.status === "approved";
+  const reason = claim.reasonCode
+    ? `\n\nReason: ${claim.reasonCode}${claim.reviewNote ? ` - ${claim.reviewNote}` : ""}`
+    : "";
+
+  try {
+    await sendMail({
+      to: learner.email,
+      subject: `Your credential claim "${claim.title}" was ${approved ? "approved" : "rejected"}`,
+      text: approved
+        ? `Hi ${learner.firstName || "there"},\n\n${institutionName} has confirmed your credential "${claim.title}" (${claim.credentialNumber}). It now appears in your credentials as verified.`
+        : `Hi ${learner.firstName || "there"},\n\nYour claim for the credential "${claim.title}" (${claim.credentialNumber}) from ${institutionName} could not be confirmed.${reason}`,
+    });
+  } catch (error) {
+    console.error("Error sending claim notification:", error.message);
+  }
+};
+
+/**
+ * @desc    Submit a credential issued before the institution joined the platform
+ * @route   POST /api/v1/learners/claims
+ * @access  Private (Learner)
+ */
+export const submitClaim = catchAsync(async (req, res, next) => {
+  const {
+    institutionId,
+    institutionName,
+    title,
+    description,
+    type,
+    category,
+    credentialNumber,
+    issueDate,
+    expiryDate,
+  } = req.body;
+
+  if (!req.file) {
+    return next(new AppError("Please upload the certificate file", 400));
+  }
+
+  const institution = await resolveInstitution({ institutionId, institutionName });
+  if (institutionId && !institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  // Credential numbers are unique across all institutions
+  const [issued, claimed] = await Promise.all([
+    Credential.exists({ credentialNumber }).setOptions({ skipTenantScope: true }),
+    CredentialClaim.exists({
+      credentialNumber,
+      status: "pending",
+      ...(institution && { institutionId: institution._id }),
+    }).setOptions({ skipTenantScope: true }),
+  ]);
+  if (issued) {
+    return next(
+      new AppError("A credential with this number is already on the platform", 400),
+    );
+  }
+  if (claimed) {
+    return next(new AppError("This credential has already been claimed", 400));
+  }
+
+  const claim = await CredentialClaim.create({
+    learnerId: req.user.id,
+    institutionId: institution?._id,
+    institutionName: institution ? institution.name : institutionName,
+    title,
+    description,
+    type,
+    category,
+    credentialNumber,
+    issueDate,
+    expiryDate,
+    file: await storeCertificateFile(req.file),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: institution
+      ? `Claim sent to ${institution.name} for verification`
+      : "The institution is not on the platform yet; the claim will be reviewed by an administrator",
+    data: claim,
+  });
+});
+
+/**
+ * @desc    List the learner's credential claims
+ * @route   GET /api/v1/learners/claims
+ * @access  Private (Learner)
+ */
+export const getMyClaims = catchAsync(async (req, res, next) => {
+  const claims = await CredentialClaim.find({ learnerId: req.user.id })
+    .populate("institutionId", "name")
+    .sort("-createdAt");
+
+  res.status(200).json({
+    success: true,
+    count: claims.length,
+    data: claims,
+  });
+});
+
+/**
+ * @desc    Withdraw a pending credential claim
+ * @route   DELETE /api/v1/learners/claims/:claimId
+ * @access  Private (Learner)
+ */
+export const withdrawClaim = catchAsync(async (req, res, next) => {
+  const claim = await CredentialClaim.findOneAndDelete({
+    _id: req.params.claimId,
+    learnerId: req.user.id,
+    status: "pending",
+  });
+
+  if (!claim) {
+    return next(new AppError("Pending claim not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Claim withdrawn successfully",
+  });
+});
+
+/**
+ * @desc    Institution verification queue of learner claims
+ * @route   GET /api/v1/credentials/claims
+ * @access  Private (credential:verify)
+ */
+export const getClaimQueue = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { status: req.query.status || "pending" };
+  if (req.user.role !== "admin") query.institutionId = req.user.tenantId;
+
+  const [claims, total] = await Promise.all([
+    CredentialClaim.find(query)
+      .populate("learnerId", "firstName lastName email")
+      .sort("createdAt")
+      .skip(skip)
+      .limit(limit),
+    CredentialClaim.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: claims.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: claims,
+  });
+});
+
+/**
+ * @desc    Get a learner claim
+ * @route   GET /api/v1/credentials/claims/:claimId
+ * @access  Private (credential:verify)
+ */
+export const getClaim = catchAsync(async (req, res, next) => {
+  const claim = await CredentialClaim.findById(req.params.claimId)
+    .populate("learnerId", "firstName lastName email")
+    .populate("reviewedBy", "email");
+
+  if (!claim || !canReviewClaim(req.user, claim)) {
+    return next(new AppError("Claim not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: claim,
+  });
+});
+
+/**
+ * @desc    Approve (issuing a verified credential) or reject a learner claim
+ * @route   PUT /api/v1/credentials/claims/:claimId/review
+ * @access  Private (credential:verify)
+ */
+export const reviewClaim = catchAsync(async (req, res, next) => {
+  const { status, reasonCode, note } = req.body;
+
+  const claim = await CredentialClaim.findById(req.params.claimId);
+
+  if (!claim || !canReviewClaim(req.user, claim)) {
+    return next(new AppError("Claim not found", 404));
+  }
+
+  if (claim.status !== "pending") {
+    return next(new AppError(`This claim has already been ${claim.status}`, 400));
+  }
+
+  // Only the issuing institution can vouch for (and sign) a credential
+  if (status === "approved" && !claim.institutionId) {
+    return next(
+      new AppError("Assign the claim to its institution before approving it", 400),
+    );
+  }
+
+  if (status === "approved") {
+    const description = claim.description || claim.title;
+    const aiAnalysis = await aiService.analyzeCredential(description);
+
+    const credential = await issueCredential({
+      learnerId: claim.learnerId,
+      institutionId: claim.institutionId,
+      title: claim.title,
+      description,
+      type: claim.type,
+      category: claim.category,
+      issueDate: claim.issueDate,
+      expiryDate: claim.expiryDate,
+      credentialNumber: claim.credentialNumber,
+      skills: aiAnalysis.skills,
+      nsqfLevel: aiAnalysis.nsqfLevel,
+      file: claim.file,
+      claimId: claim._id,
+      verificationStatus: "verified",
+      verifiedBy: req.user.id,
+      verifiedAt: Date.now(),
+      statusHistory: [
+        {
+          status: "verified",
+          note: note || "Learner claim approved",
+          changedBy: req.user.id,
+        },
+      ],
+      issuedBy: req.user.id,
+    });
+    claim.credentialId = credential._id;
+  }
+
+  claim.status = status;
+  claim.reasonCode = reasonCode;
+  claim.reviewNote = note;
+  claim.reviewedBy = req.user.id;
+  claim.reviewedAt = Date.now();
+  await claim.save();
+
+  await notifyLearner(claim, claim.institutionName);
+
+  if (claim.status === "approved") {
+    await checkStacksForLearner(claim.learnerId);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: claim,
+  });
+});
+
+/**
+ * @desc    Claims against institutions not yet on the platform
+ * @route   GET /api/v1/admin/credential-claims
+ * @access  Private (Admin)
+ */
+export const getUnassignedClaims = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { status: "pending", institutionId: { $exists: false } };
+
+  const [claims, total] = await Promise.all([
+    CredentialClaim.find(query)
+      .populate("learnerId", "firstName lastName email")
+      .sort("createdAt")
+      .skip(skip)
+      .limit(limit),
+    CredentialClaim.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: claims.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: claims,
+  });
+});
+
+/**
+ * @desc    Route an unassigned claim to its institution's verification queue
+ * @route   PUT /api/v1/admin/credential-claims/:claimId/assign
+ * @access  Private (Admin)
+ */
+export const assignClaim = catchAsync(async (req, res, next) => {
+  const claim = await CredentialClaim.findOne({
+    _id: req.params.claimId,
+    status: "pending",
+  });
+
+  if (!claim) {
+    return next(new AppError("Pending claim not found", 404));
+  }
+
+  const institution = await Institution.findOne({
+    _id: req.body.institutionId,
+    isActive: true,
+  });
+
+  if (!institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  claim.institutionId = institution._id;
+  claim.institutionName = institution.name;
+  await claim.save();
+
+  res.status(200).json({
+    success: true,
+    data: claim,
+  });
+});
+
+export default {
+  submitClaim,
+  getMyClaims,
+  withdrawClaim,
+  getClaimQueue,
+  getClaim,
+  reviewClaim,
+  getUnassignedClaims,
+  assignClaim,
+};
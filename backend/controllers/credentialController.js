@@ -1,17 +1,74 @@
 import Credential from "../models/Credential.js";
-import Institution from "../models/Institution.js";
+import AchievementDefinition from "../models/AchievementDefinition.js";
+import CredentialTemplate from "../models/CredentialTemplate.js";
+import CredentialVersion from "../models/CredentialVersion.js";
 import AppError from "../utils/appError.js";
 import { catchAsync } from "../utils/catchAsync.js";
 import aiService from "../services/aiService.js";
-import crypto from "crypto";
+import {
+  issueCredential,
+  resignCredential,
+  verifyCredentialSignature,
+  storeCertificateFile,
+} from "../services/credentialService.js";
+import {
+  issueVerifiableCredential,
+  verifyVerifiableCredential,
+} from "../services/vcService.js";
+import { issueOpenBadge, bakeOpenBadge } from "../services/openBadgeService.js";
+import { allocateStatusListIndex } from "../services/statusListService.js";
+import { changeStatus } from "../services/credentialStatusService.js";
+import {
+  checkStacksForLearner,
+  reevaluateStackAwards,
+} from "../services/stackService.js";
+import {
+  recordCreditsEarned,
+  reverseCredits,
+  syncLearnerCredits,
+} from "../services/creditLedgerService.js";
+import {
+  SIGNIFICANT_FIELDS,
+  snapshotCredential,
+  diffSnapshots,
+  isSignificant,
+  recordVersion,
+  ensureBaselineVersion,
+  credentialAtVersion,
+} from "../services/credentialVersionService.js";
+import {
+  renderVerificationQr,
+  stampCertificate,
+} from "../services/qrService.js";
+/**
+ * Only the issuing institution or an admin may manage a credential
+ * (institution users never load other tenants' credentials; this also
+ * covers users given credential permissions outside the institution role)
+ */
+const canManageCredential = (user, credential) =>
+  user.role === "admin" ||
+  (!!user.tenantId &&
+    !!credential.institutionId &&
+    credential.institutionId.toString() === user.tenantId.toString());
 
 /**
- * Generate hash from Cloudinary URL
+ * Credentials issued before status lists existed get an index on first export
  */
-const generateCloudinaryHash = (url) => {
-  return crypto.createHash("sha256").update(url).digest("hex");
+const ensureStatusListIndex = async (credential) => {
+  if (credential.statusListIndex === undefined) {
+    await allocateStatusListIndex(credential);
+    await credential.save();
+  }
 };
 
+/**
+ * Holders, the issuer and admins can always export; others only public credentials
+ */
+const canExportCredential = (user, credential) =>
+  canManageCredential(user, credential) ||
+  credential.learnerId._id.toString() === user.id ||
+  (user.role === "employer" && credential.isPublic);
+
 /**
  * @desc    Create credential
  * @route   POST /api/v1/credentials
@@ -27,19 +84,32 @@ export const createCredential = catchAsync(async (req, res, next) => {
     issueDate,
     expiryDate,
     credentialNumber,
+    achievementDefinitionId,
   } = req.body;
 
   if (!req.file) {
     return next(new AppError("Please upload a credential file", 400));
   }
 
-  // Generate hash from Cloudinary URL for verification
-  const fileHash = generateCloudinaryHash(req.file.path);
+  const definition = achievementDefinitionId
+    ? await AchievementDefinition.findOne({
+        _id: achievementDefinitionId,
+        institutionId: req.user.tenantId,
+        isActive: true,
+      })
+    : null;
+
+  if (achievementDefinitionId && !definition) {
+    return next(new AppError("Achievement definition not found", 404));
+  }
 
   // AI: Extract skills and predict NSQF level
   const aiAnalysis = await aiService.analyzeCredential(description);
 
-  const credential = await Credential.create({
+  // Upload to Cloudinary, hashing the file contents for later verification
+  const file = await storeCertificateFile(req.file);
+
+  const credential = await issueCredential({
     learnerId,
     institutionId: req.user.tenantId,
     title,
@@ -49,22 +119,81 @@ export const createCredential = catchAsync(async (req, res, next) => {
     issueDate,
     expiryDate,
     credentialNumber,
-    skills: aiAnalysis.skills,
-    nsqfLevel: aiAnalysis.nsqfLevel,
-    file: {
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      path: req.file.path, // Cloudinary URL
-      mimetype: req.file.mimetype,
-      size: req.file.size,
-      hash: fileHash,
-      cloudinaryId: req.file.filename, // Store Cloudinary public_id for deletion
-    },
+    achievementDefinitionId: definition?._id,
+    // A linked achievement's skills and level take precedence over AI guesses
+    skills: definition?.skills?.length ? definition.skills : aiAnalysis.skills,
+    nsqfLevel: definition?.nsqfLevel || aiAnalysis.nsqfLevel,
+    file,
+    issuedBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: credential,
   });
+});
+
+/**
+ * @desc    Issue a credential from a template with only the per-learner fields
+ * @route   POST /api/v1/credentials/from-template/:templateId
+ * @access  Private (Institution)
+ */
+export const issueFromTemplate = catchAsync(async (req, res, next) => {
+  const { learnerId, credentialNumber, issueDate, expiryDate } = req.body;
 
-  // Update institution credentials count
-  await Institution.findByIdAndUpdate(req.user.tenantId, {
-    $inc: { credentialsIssued: 1 },
+  const template = await CredentialTemplate.findOne({
+    _id: req.params.templateId,
+    institutionId: req.user.tenantId,
+    isActive: true,
+  });
+
+  if (!template) {
+    return next(new AppError("Credential template not found", 404));
+  }
+
+  const definition = template.achievementDefinitionId
+    ? await AchievementDefinition.findOne({
+        _id: template.achievementDefinitionId,
+        isActive: true,
+      })
+    : null;
+
+  // Template skills first, then the achievement's, then AI extraction
+  let { skills, nsqfLevel } = template.toObject();
+  if (!skills.length && definition?.skills?.length) {
+    skills = definition.skills;
+  }
+  if (!skills.length || !nsqfLevel) {
+    const aiAnalysis = await aiService.analyzeCredential(template.description);
+    if (!skills.length) skills = aiAnalysis.skills;
+    nsqfLevel = nsqfLevel || definition?.nsqfLevel || aiAnalysis.nsqfLevel;
+  }
+
+  const issuedOn = issueDate ? new Date(issueDate) : new Date();
+  let defaultExpiry;
+  if (!expiryDate && template.validityMonths) {
+    defaultExpiry = new Date(issuedOn);
+    defaultExpiry.setMonth(defaultExpiry.getMonth() + template.validityMonths);
+  }
+
+  const credential = await issueCredential({
+    learnerId,
+    institutionId: req.user.tenantId,
+    title: template.title,
+    description: template.description,
+    type: template.type,
+    category: template.category,
+    issueDate: issuedOn,
+    expiryDate: expiryDate || defaultExpiry,
+    credentialNumber,
+    achievementDefinitionId: definition?._id,
+    skills: skills.map(({ name, category }) => ({ name, category })),
+    nsqfLevel,
+    templateId: template._id,
+    templateVersion: template.version,
+    certificateLayout: template.toObject().certificateLayout,
+    file: req.file ? await storeCertificateFile(req.file) : undefined,
+    issuedBy: req.user.id,
   });
 
   res.status(201).json({
@@ -125,7 +254,7 @@ export const getCredential = catchAsync(async (req, res, next) => {
 });
 
 /**
- * @desc    Update credential metadata
+ * @desc    Update credential metadata (each change is recorded as a new version)
  * @route   PUT /api/v1/credentials/:id
  * @access  Private (Institution, Admin)
  */
@@ -137,13 +266,12 @@ export const updateCredential = catchAsync(async (req, res, next) => {
   }
 
   // Only issuing institution or admin can update
-  if (
-    req.user.role !== "admin" &&
-    credential.institutionId.toString() !== req.user.tenantId
-  ) {
+  if (!canManageCredential(req.user, credential)) {
     return next(new AppError("Not authorized to update this credential", 403));
   }
 
+  const before = snapshotCredential(credential);
+
   const allowed = [
     "title",
     "description",
@@ -151,6 +279,7 @@ export const updateCredential = catchAsync(async (req, res, next) => {
     "expiryDate",
     "type",
     "category",
+    "nsqfLevel",
     "isPublic",
     "credentialNumber",
   ];
@@ -158,21 +287,120 @@ export const updateCredential = catchAsync(async (req, res, next) => {
     if (req.body[field] !== undefined) credential[field] = req.body[field];
   });
 
+  const changes = diffSnapshots(before, snapshotCredential(credential));
+  if (!changes.length) {
+    return res.status(200).json({
+      success: true,
+      data: credential,
+    });
+  }
+
+  if (isSignificant(changes) && !req.body.reason) {
+    return next(
+      new AppError(
+        `A reason is required when changing ${SIGNIFICANT_FIELDS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  // Keep what was issued before versioning started
+  await ensureBaselineVersion(credential, before);
+
+  // Changes to signed fields invalidate the issuer's signature
+  if (changes.some(({ field }) => field !== "isPublic")) {
+    await resignCredential(credential);
+  }
+
+  credential.version += 1;
   await credential.save();
 
+  await recordVersion(credential, {
+    changes,
+    reason: req.body.reason,
+    changedBy: req.user.id,
+  });
+
   res.status(200).json({
     success: true,
     data: credential,
   });
 });
 
+/**
+ * @desc    Get a credential's version history
+ * @route   GET /api/v1/credentials/:id/history
+ * @access  Private (Holder, Issuing institution, Admin; employers for public credentials)
+ */
+export const getCredentialHistory = catchAsync(async (req, res, next) => {
+  const credential = await Credential.findById(req.params.id).select(
+    "learnerId institutionId isPublic version verificationStatus statusHistory",
+  );
+
+  if (!credential || !canExportCredential(req.user, credential)) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  const versions = await CredentialVersion.find({ credentialId: credential._id })
+    .populate("changedBy", "email")
+    .sort("version");
+
+  res.status(200).json({
+    success: true,
+    data: {
+      credentialId: credential._id,
+      currentVersion: credential.version,
+      versions,
+      statusHistory: credential.statusHistory,
+    },
+  });
+});
+
+/**
+ * @desc    Get a credential as it stood at a given version, with its signature check
+ * @route   GET /api/v1/credentials/:id/history/:version
+ * @access  Private (Holder, Issuing institution, Admin; employers for public credentials)
+ */
+export const getCredentialVersion = catchAsync(async (req, res, next) => {
+  const credential = await Credential.findById(req.params.id);
+
+  if (!credential || !canExportCredential(req.user, credential)) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  const version = await CredentialVersion.findOne({
+    credentialId: credential._id,
+    version: parseInt(req.params.version, 10),
+  }).populate("changedBy", "email");
+
+  if (!version) {
+    return next(new AppError("Credential version not found", 404));
+  }
+
+  const contents = credentialAtVersion(credential, version);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...contents,
+      latestVersion: credential.version,
+      superseded: version.version < credential.version,
+      changes: version.changes,
+      reason: version.reason,
+      changedBy: version.changedBy,
+      changedAt: version.createdAt,
+      signatureCheck: await verifyCredentialSignature(contents),
+    },
+  });
+});
+
 /**
  * @desc    Verify credential
  * @route   PUT /api/v1/credentials/:id/verify
  * @access  Private (Institution, Admin)
  */
 export const verifyCredential = catchAsync(async (req, res, next) => {
-  const { status } = req.body;
+  const { status, reasonCode, note } = req.body;
 
   const credential = await Credential.findById(req.params.id);
 
@@ -180,18 +408,383 @@ export const verifyCredential = catchAsync(async (req, res, next) => {
     return next(new AppError("Credential not found", 404));
   }
 
-  credential.verificationStatus = status;
+  if (!canManageCredential(req.user, credential)) {
+    return next(new AppError("Not authorized to verify this credential", 403));
+  }
+
+  // Suspensions are lifted through /reinstate so they keep their own history
+  if (credential.verificationStatus === "suspended") {
+    return next(
+      new AppError("Use the reinstate endpoint for suspended credentials", 400),
+    );
+  }
+
+  const error = changeStatus(credential, status, {
+    reasonCode,
+    note,
+    userId: req.user.id,
+  });
+  if (error) return next(error);
+
   credential.verifiedBy = req.user.id;
   credential.verifiedAt = Date.now();
 
   await credential.save();
 
+  // A newly verified credential earns its credits and may complete a stack
+  if (status === "verified") {
+    await recordCreditsEarned(credential, { recordedBy: req.user.id });
+    await checkStacksForLearner(credential.learnerId);
+  }
+  await syncLearnerCredits(credential.learnerId);
+
   res.status(200).json({
     success: true,
     data: credential,
   });
 });
 
+/**
+ * Shared handler for revoke / suspend / reinstate
+ */
+const updateCredentialStatus = (status) =>
+  catchAsync(async (req, res, next) => {
+    const { reasonCode, note } = req.body;
+
+    const credential = await Credential.findById(req.params.id);
+
+    if (!credential) {
+      return next(new AppError("Credential not found", 404));
+    }
+
+    if (!canManageCredential(req.user, credential)) {
+      return next(
+        new AppError("Not authorized to change this credential's status", 403),
+      );
+    }
+
+    if (status === "verified" && credential.verificationStatus !== "suspended") {
+      return next(new AppError("Only suspended credentials can be reinstated", 400));
+    }
+
+    const error = changeStatus(credential, status, {
+      reasonCode,
+      note,
+      userId: req.user.id,
+    });
+    if (error) return next(error);
+
+    // Reversed first: if the save then fails, the ledger sync re-earns them
+    if (status === "revoked") {
+      await reverseCredits(credential, {
+        reason: `Credential revoked (${reasonCode})`,
+        recordedBy: req.user.id,
+      });
+    }
+
+    // Credentials issued before status lists existed get an index now
+    await allocateStatusListIndex(credential);
+    await credential.save();
+
+    // Stacks it completed are suspended, reinstated or withdrawn with it
+    await reevaluateStackAwards(credential);
+    if (status === "verified") {
+      await recordCreditsEarned(credential, { recordedBy: req.user.id });
+      await checkStacksForLearner(credential.learnerId);
+    }
+    await syncLearnerCredits(credential.learnerId);
+
+    res.status(200).json({
+      success: true,
+      data: credential,
+    });
+  });
+
+/**
+ * @desc    Revoke credential (permanent)
+ * @route   POST /api/v1/credentials/:id/revoke
+ * @access  Private (credential:revoke)
+ */
+export const revokeCredential = updateCredentialStatus("revoked");
+
+/**
+ * @desc    Suspend credential
+ * @route   POST /api/v1/credentials/:id/suspend
+ * @access  Private (credential:revoke)
+ */
+export const suspendCredential = updateCredentialStatus("suspended");
+
+/**
+ * @desc    Reinstate a suspended credential
+ * @route   POST /api/v1/credentials/:id/reinstate
+ * @access  Private (credential:revoke)
+ */
+export const reinstateCredential = updateCredentialStatus("verified");
+
+/**
+ * @desc    Renew a verified or expired credential as a new linked credential
+ * @route   POST /api/v1/credentials/:id/renew
+ * @access  Private (credential:issue)
+ */
+export const renewCredential = catchAsync(async (req, res, next) => {
+  const { issueDate, expiryDate, credentialNumber } = req.body;
+
+  const credential = await Credential.findById(req.params.id);
+
+  if (!credential) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  if (!canManageCredential(req.user, credential)) {
+    return next(new AppError("Not authorized to renew this credential", 403));
+  }
+
+  if (!["verified", "expired"].includes(credential.verificationStatus)) {
+    return next(
+      new AppError("Only verified or expired credentials can be renewed", 400),
+    );
+  }
+
+  if (credential.renewedBy) {
+    return next(new AppError("This credential has already been renewed", 400));
+  }
+
+  const original = credential.toObject();
+
+  // The renewal goes through the normal verification step like any new credential
+  const renewed = await issueCredential({
+    learnerId: original.learnerId,
+    institutionId: original.institutionId,
+    title: original.title,
+    description: original.description,
+    type: original.type,
+    category: original.category,
+    nsqfLevel: original.nsqfLevel,
+    skills: original.skills.map(({ name, category }) => ({ name, category })),
+    achievementDefinitionId: original.achievementDefinitionId,
+    metadata: original.metadata,
+    isPublic: original.isPublic,
+    file: original.file,
+    issueDate: issueDate || Date.now(),
+    expiryDate,
+    credentialNumber,
+    renewedFrom: credential._id,
+    issuedBy: req.user.id,
+  });
+
+  credential.renewedBy = renewed._id;
+  await credential.save();
+
+  res.status(201).json({
+    success: true,
+    data: renewed,
+  });
+});
+
+/**
+ * @desc    Get credential status history
+ * @route   GET /api/v1/credentials/:id/status-history
+ * @access  Private (Holder, Issuing institution, Admin)
+ */
+export const getStatusHistory = catchAsync(async (req, res, next) => {
+  const credential = await Credential.findById(req.params.id)
+    .select("learnerId institutionId verificationStatus statusHistory")
+    .populate("statusHistory.changedBy", "email");
+
+  if (
+    !credential ||
+    !(
+      canManageCredential(req.user, credential) ||
+      credential.learnerId.toString() === req.user.id
+    )
+  ) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: credential.verificationStatus,
+      history: credential.statusHistory,
+    },
+  });
+});
+
+/**
+ * @desc    Export credential as a signed W3C Verifiable Credential
+ * @route   GET /api/v1/credentials/:id/vc
+ * @access  Private (Holder, Issuing institution, Admin; Employers for public credentials)
+ */
+export const getVerifiableCredential = catchAsync(async (req, res, next) => {
+  const credential = await Credential.findById(req.params.id).populate(
+    "learnerId",
+    "firstName lastName",
+  );
+
+  if (!credential || !canExportCredential(req.user, credential)) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  if (credential.verificationStatus !== "verified") {
+    return next(
+      new AppError("Only verified credentials can be exported", 400),
+    );
+  }
+
+  await ensureStatusListIndex(credential);
+
+  const vc = await issueVerifiableCredential(credential);
+
+  res.status(200).json({
+    success: true,
+    data: vc,
+  });
+});
+
+/**
+ * @desc    Export credential as a signed Open Badges 3.0 credential
+ * @route   GET /api/v1/credentials/:id/openbadge
+ * @access  Private (Holder, Issuing institution, Admin; Employers for public credentials)
+ */
+export const getOpenBadge = catchAsync(async (req, res, next) => {
+  const credential = await Credential.findById(req.params.id).populate(
+    "learnerId",
+    "firstName lastName email",
+  );
+
+  if (!credential || !canExportCredential(req.user, credential)) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  if (credential.verificationStatus !== "verified") {
+    return next(
+      new AppError("Only verified credentials can be exported", 400),
+    );
+  }
+
+  await ensureStatusListIndex(credential);
+
+  const { badge } = await issueOpenBadge(credential);
+
+  res.status(200).json({
+    success: true,
+    data: badge,
+  });
+});
+
+/**
+ * @desc    Download badge image with the Open Badges credential baked in
+ * @route   GET /api/v1/credentials/:id/openbadge/image?format=png|svg
+ * @access  Private (Holder, Issuing institution, Admin; Employers for public credentials)
+ */
+export const getBakedBadge = catchAsync(async (req, res, next) => {
+  const format = (req.query.format || "png").toLowerCase();
+
+  if (!["png", "svg"].includes(format)) {
+    return next(new AppError("Format must be png or svg", 400));
+  }
+
+  const credential = await Credential.findById(req.params.id).populate(
+    "learnerId",
+    "firstName lastName email",
+  );
+
+  if (!credential || !canExportCredential(req.user, credential)) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  if (credential.verificationStatus !== "verified") {
+    return next(
+      new AppError("Only verified credentials can be exported", 400),
+    );
+  }
+
+  await ensureStatusListIndex(credential);
+
+  const image = await bakeOpenBadge(credential, format);
+
+  res.set({
+    "Content-Type": format === "png" ? "image/png" : "image/svg+xml",
+    "Content-Disposition": `attachment; filename="${credential.credentialNumber.replace(/[^\w.-]/g, "_")}.${format}"`,
+  });
+  res.status(200).send(image);
+});
+
+/**
+ * @desc    QR code linking to the public verification result
+ * @route   GET /api/v1/credentials/:id/qr?format=png|svg&size=300
+ * @access  Private (Holder, Issuing institution, Admin; Employers for public credentials)
+ */
+export const getQrCode = catchAsync(async (req, res, next) => {
+  const format = (req.query.format || "png").toLowerCase();
+  const size = Math.min(Math.max(parseInt(req.query.size, 10) || 300, 100), 1000);
+
+  if (!["png", "svg"].includes(format)) {
+    return next(new AppError("Format must be png or svg", 400));
+  }
+
+  const credential = await Credential.findById(req.params.id);
+
+  if (!credential || !canExportCredential(req.user, credential)) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  const qr = await renderVerificationQr(credential, format, size);
+
+  res.set(
+    "Content-Type",
+    format === "png" ? "image/png" : "image/svg+xml",
+  );
+  res.status(200).send(qr);
+});
+
+/**
+ * @desc    Download the certificate with its verification QR code stamped on
+ * @route   GET /api/v1/credentials/:id/qr/certificate
+ * @access  Private (Holder, Issuing institution, Admin; Employers for public credentials)
+ */
+export const getStampedCertificate = catchAsync(async (req, res, next) => {
+  const credential = await Credential.findById(req.params.id);
+
+  if (!credential || !canExportCredential(req.user, credential)) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  if (!credential.file || !credential.file.path) {
+    return next(new AppError("This credential has no certificate file", 400));
+  }
+
+  const pdf = await stampCertificate(credential);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${credential.credentialNumber.replace(/[^\w.-]/g, "_")}.pdf"`,
+  });
+  res.status(200).send(pdf);
+});
+
+/**
+ * @desc    Verify a W3C Verifiable Credential issued by CredMatrix
+ * @route   POST /api/v1/credentials/vc/verify
+ * @access  Public
+ */
+export const verifyVerifiableCredentialDocument = catchAsync(
+  async (req, res, next) => {
+    const vc = req.body.verifiableCredential || req.body;
+
+    if (!vc || typeof vc !== "object" || !vc.proof) {
+      return next(new AppError("A signed Verifiable Credential is required", 400));
+    }
+
+    const result = await verifyVerifiableCredential(vc);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  },
+);
+
 /**
  * @desc    Delete credential
  * @route   DELETE /api/v1/credentials/:id
@@ -204,8 +797,20 @@ export const deleteCredential = catchAsync(async (req, res, next) => {
     return next(new AppError("Credential not found", 404));
   }
 
-  // Delete file from Cloudinary if it exists
-  if (credential.file && credential.file.cloudinaryId) {
+  if (!canManageCredential(req.user, credential)) {
+    return next(new AppError("Not authorized to delete this credential", 403));
+  }
+
+  // Delete file from Cloudinary unless a renewal still uses it
+  const fileShared =
+    credential.file &&
+    credential.file.cloudinaryId &&
+    (await Credential.exists({
+      _id: { $ne: credential._id },
+      "file.cloudinaryId": credential.file.cloudinaryId,
+    }));
+
+  if (credential.file && credential.file.cloudinaryId && !fileShared) {
     try {
       const { cloudinary } = await import("../config/cloudinary.js");
       await cloudinary.uploader.destroy(credential.file.cloudinaryId);
@@ -214,7 +819,13 @@ export const deleteCredential = catchAsync(async (req, res, next) => {
     }
   }
 
+  await reverseCredits(credential, {
+    reason: "Credential deleted",
+    recordedBy: req.user.id,
+  });
   await credential.deleteOne();
+  await reevaluateStackAwards(credential, { deleted: true });
+  await syncLearnerCredits(credential.learnerId);
 
   res.status(200).json({
     success: true,
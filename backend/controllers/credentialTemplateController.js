@@ -0,0 +1,182 @@
+import CredentialTemplate from "../models/CredentialTemplate.js";
+import AchievementDefinition from "../models/AchievementDefinition.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import { isOwnInstitution } from "../utils/institutionAccess.js";
+
+const UPDATABLE_FIELDS = [
+  "name",
+  "title",
+  "description",
+  "type",
+  "category",
+  "nsqfLevel",
+  "skills",
+  "achievementDefinitionId",
+  "validityMonths",
+  "certificateLayout",
+];
+
+/**
+ * A linked achievement definition must be an active one of the same institution
+ */
+const checkAchievementDefinition = async (definitionId, institutionId) =>
+  !definitionId ||
+  !!(await AchievementDefinition.exists({
+    _id: definitionId,
+    institutionId,
+    isActive: true,
+  }));
+
+/**
+ * @desc    List an institution's credential templates
+ * @route   GET /api/v1/institutions/:id/credential-templates
+ * @access  Private (Institution staff, Admin)
+ */
+export const getTemplates = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const query = { institutionId: req.params.id };
+  if (req.query.includeRetired !== "true") query.isActive = true;
+
+  const templates = await CredentialTemplate.find(query).sort("name");
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates,
+  });
+});
+
+/**
+ * @desc    Get a credential template
+ * @route   GET /api/v1/institutions/:id/credential-templates/:templateId
+ * @access  Private (Institution staff, Admin)
+ */
+export const getTemplate = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const template = await CredentialTemplate.findOne({
+    _id: req.params.templateId,
+    institutionId: req.params.id,
+  }).populate("achievementDefinitionId", "name achievementType");
+
+  if (!template) {
+    return next(new AppError("Credential template not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: template,
+  });
+});
+
+/**
+ * @desc    Create a credential template
+ * @route   POST /api/v1/institutions/:id/credential-templates
+ * @access  Private (credential:issue)
+ */
+export const createTemplate = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  if (
+    !(await checkAchievementDefinition(
+      req.body.achievementDefinitionId,
+      req.params.id,
+    ))
+  ) {
+    return next(new AppError("Achievement definition not found", 404));
+  }
+
+  const data = { institutionId: req.params.id, createdBy: req.user.id };
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const template = await CredentialTemplate.create(data);
+
+  res.status(201).json({
+    success: true,
+    data: template,
+  });
+});
+
+/**
+ * @desc    Update a credential template (credentials already issued keep their copy)
+ * @route   PUT /api/v1/institutions/:id/credential-templates/:templateId
+ * @access  Private (credential:issue)
+ */
+export const updateTemplate = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const template = await CredentialTemplate.findOne({
+    _id: req.params.templateId,
+    institutionId: req.params.id,
+    isActive: true,
+  });
+
+  if (!template) {
+    return next(new AppError("Credential template not found", 404));
+  }
+
+  if (
+    !(await checkAchievementDefinition(
+      req.body.achievementDefinitionId,
+      req.params.id,
+    ))
+  ) {
+    return next(new AppError("Achievement definition not found", 404));
+  }
+
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) template.set(field, req.body[field]);
+  });
+  template.version += 1;
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    data: template,
+  });
+});
+
+/**
+ * @desc    Retire a credential template
+ * @route   DELETE /api/v1/institutions/:id/credential-templates/:templateId
+ * @access  Private (credential:issue)
+ */
+export const deleteTemplate = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const template = await CredentialTemplate.findOneAndUpdate(
+    { _id: req.params.templateId, institutionId: req.params.id },
+    { isActive: false },
+  );
+
+  if (!template) {
+    return next(new AppError("Credential template not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Credential template retired successfully",
+  });
+});
+
+export default {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,99 @@
+import CreditLedgerEntry from "../models/CreditLedgerEntry.js";
+import User from "../models/User.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import { isOwnInstitution } from "../utils/institutionAccess.js";
+import {
+  getCreditSummary,
+  redeemCredits,
+} from "../services/creditLedgerService.js";
+
+/**
+ * @desc    Get the learner's credit ledger with totals by NSQF level and category
+ * @route   GET /api/v1/learners/credits
+ * @access  Private (Learner)
+ */
+export const getMyCredits = catchAsync(async (req, res, next) => {
+  const summary = await getCreditSummary(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: summary,
+  });
+});
+
+/**
+ * @desc    List credits the institution has accepted toward its programmes
+ * @route   GET /api/v1/institutions/:id/credit-redemptions
+ * @access  Private (credit:redeem)
+ */
+export const getRedemptions = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { institutionId: req.params.id, entryType: "redemption" };
+  if (req.query.learnerId) query.learnerId = req.query.learnerId;
+
+  const [redemptions, total] = await Promise.all([
+    CreditLedgerEntry.find(query)
+      .populate("learnerId", "firstName lastName email")
+      .populate("recordedBy", "email")
+      .sort("-createdAt")
+      .skip(skip)
+      .limit(limit),
+    CreditLedgerEntry.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: redemptions.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: redemptions,
+  });
+});
+
+/**
+ * @desc    Accept a learner's credits toward a programme (redeems them)
+ * @route   POST /api/v1/institutions/:id/credit-redemptions
+ * @access  Private (credit:redeem)
+ */
+export const createRedemption = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const { learnerId, programme, credits, credentialIds, note } = req.body;
+
+  const learner = await User.exists({ _id: learnerId, role: "learner" });
+  if (!learner) {
+    return next(new AppError("Learner not found", 404));
+  }
+
+  const redemption = await redeemCredits({
+    learnerId,
+    institutionId: req.params.id,
+    programme,
+    credits,
+    credentialIds,
+    reason: note,
+    recordedBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: redemption,
+  });
+});
+
+export default {
+  getMyCredits,
+  getRedemptions,
+  createRedemption,
+};
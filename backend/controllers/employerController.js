@@ -3,10 +3,23 @@ import Credential from "../models/Credential.js";
 import Learner from "../models/Learner.js";
 import AppError from "../utils/appError.js";
 import { catchAsync } from "../utils/catchAsync.js";
-import { verifyFileHash } from "../utils/fileHash.js";
+import { hashBuffer } from "../utils/fileHash.js";
 import Job from "../models/Job.js";
 import TalentPool from "../models/TalentPool.js";
 import User from "../models/User.js";
+import ApiKey from "../models/ApiKey.js";
+import {
+  verifyCredentialSignature,
+  hasContentHash,
+} from "../services/credentialService.js";
+import {
+  buildPublicResult,
+  countEmployerVerifications,
+  findCredentialVersion,
+  recordVerification,
+} from "../services/verificationService.js";
+import { credentialAtVersion } from "../services/credentialVersionService.js";
+import CredentialVersion from "../models/CredentialVersion.js";
 
 /**
  * @desc    Get employer profile
@@ -20,9 +33,16 @@ export const getProfile = catchAsync(async (req, res, next) => {
     return next(new AppError("Employer not found", 404));
   }
 
+  const apiKeyUsage = await ApiKey.find({ employerId: req.user.id })
+    .select("label prefix scopes usageCount credentialsVerified lastUsedAt revokedAt expiresAt")
+    .sort("-lastUsedAt");
+
   res.status(200).json({
     success: true,
-    data: employer,
+    data: {
+      ...employer.toObject(),
+      apiKeyUsage,
+    },
   });
 });
 
@@ -66,11 +86,24 @@ export const updateProfile = catchAsync(async (req, res, next) => {
  * @access  Private (Employer)
  */
 export const verifyCredential = catchAsync(async (req, res, next) => {
-  const { credentialNumber, fileHash } = req.body;
+  const { credentialNumber, fileHash, version } = req.body;
+
+  const findCredential = (query) =>
+    Credential.findOne(query)
+      .populate("learnerId", "firstName lastName email")
+      .populate("institutionId", "name type contactInfo isVerified");
 
-  const credential = await Credential.findOne({ credentialNumber })
-    .populate("learnerId", "firstName lastName email")
-    .populate("institutionId", "name type contactInfo");
+  let credential = await findCredential({ credentialNumber });
+
+  // A number changed by an amendment resolves to the last version that had it
+  let numberVersion;
+  if (!credential) {
+    numberVersion = await CredentialVersion.findOne({
+      "snapshot.credentialNumber": credentialNumber,
+    }).sort("-createdAt");
+    credential =
+      numberVersion && (await findCredential({ _id: numberVersion.credentialId }));
+  }
 
   if (!credential) {
     return res.status(200).json({
@@ -80,23 +113,72 @@ export const verifyCredential = catchAsync(async (req, res, next) => {
     });
   }
 
-  // Verify file hash if provided
+  // Compare the certificate (uploaded as `file`, or its SHA-256 as `fileHash`)
+  // with the bytes the institution issued
+  const providedHash = req.file ? hashBuffer(req.file.buffer) : fileHash;
   let hashMatch = true;
-  if (fileHash && credential.file.hash) {
-    hashMatch = fileHash === credential.file.hash;
+  if (providedHash && hasContentHash(credential.file)) {
+    hashMatch = String(providedHash).toLowerCase() === credential.file.hash;
   }
 
-  // Update employer's verification count
-  await Employer.findByIdAndUpdate(req.user.id, {
-    $inc: { credentialsVerified: 1 },
+  // An earlier version can be checked, e.g. the one verified at hiring time
+  const requested =
+    parseInt(version, 10) || numberVersion?.version || credential.version;
+  const versionRecord =
+    requested === credential.version
+      ? undefined
+      : await findCredentialVersion(credential, requested);
+
+  if (versionRecord === null) {
+    return res.status(200).json({
+      success: true,
+      verified: false,
+      message: "Credential version not found",
+    });
+  }
+
+  const contents = versionRecord
+    ? credentialAtVersion(credential, versionRecord)
+    : credential;
+  const signature = await verifyCredentialSignature(contents);
+  const result = await buildPublicResult(credential, {
+    revealHolder: true,
+    version: versionRecord,
+  });
+
+  const amendments = await CredentialVersion.find({
+    credentialId: credential._id,
+    version: { $gt: requested },
+  })
+    .select("version changes reason significant createdAt")
+    .sort("version");
+
+  await recordVerification(credential, req, {
+    method: "employer",
+    status: result.status,
+    signatureValid: signature.valid,
+    verifiedBy: req.user.id,
+    verifierName: req.user.companyName,
   });
 
+  await countEmployerVerifications(req);
+
   res.status(200).json({
     success: true,
-    verified: true,
+    // Status and signature as for public verification, and the file must match
+    verified: result.verified && hashMatch,
+    status: result.status,
     hashMatch,
+    signature,
+    version: {
+      requested,
+      latest: credential.version,
+      superseded: requested < credential.version,
+      amendments,
+    },
     data: {
       credential,
+      ...(versionRecord && { requestedVersion: contents }),
       verificationDate: new Date(),
     },
   });
@@ -159,6 +241,9 @@ export const deleteAccount = catchAsync(async (req, res, next) => {
   // Delete talent pool
   await TalentPool.findOneAndDelete({ employerId });
 
+  // Delete API keys
+  await ApiKey.deleteMany({ employerId });
+
   // Delete employer document
   await Employer.findByIdAndDelete(employerId);
 
@@ -2,7 +2,14 @@ import Institution from '../models/Institution.js';
 import Credential from '../models/Credential.js';
 import AppError from '../utils/appError.js';
 import { catchAsync } from '../utils/catchAsync.js';
+import { isOwnInstitution } from '../utils/institutionAccess.js';
 import mongoose from 'mongoose';
+import { issuerIdFor, STATUS_PURPOSES } from '../services/vcService.js';
+import { buildIssuerProfile } from '../services/openBadgeService.js';
+import { buildStatusListCredential } from '../services/statusListService.js';
+
+// Fields institution staff may change; verification and counters stay admin-only
+const SELF_UPDATABLE_FIELDS = ['name', 'type', 'accreditation', 'contactInfo', 'address', 'logo', 'description'];
 
 /**
  * @desc    Create institution
@@ -76,7 +83,20 @@ export const getInstitution = catchAsync(async (req, res, next) => {
  * @access  Private (Institution, Admin)
  */
 export const updateInstitution = catchAsync(async (req, res, next) => {
-  const institution = await Institution.findByIdAndUpdate(req.params.id, req.body, {
+  // Other tenants' institutions are reported as missing
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError('Institution not found', 404));
+  }
+
+  let updates = req.body;
+  if (req.user.role !== 'admin') {
+    updates = {};
+    Object.keys(req.body).forEach((key) => {
+      if (SELF_UPDATABLE_FIELDS.includes(key)) updates[key] = req.body[key];
+    });
+  }
+
+  const institution = await Institution.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
   });
@@ -122,6 +142,10 @@ export const deleteInstitution = catchAsync(async (req, res, next) => {
 export const getInstitutionStats = catchAsync(async (req, res, next) => {
   const institutionId = req.params.id;
 
+  if (!isOwnInstitution(req.user, institutionId) || !(await Institution.exists({ _id: institutionId }))) {
+    return next(new AppError('Institution not found', 404));
+  }
+
   const totalCredentials = await Credential.countDocuments({ institutionId });
   const verifiedCredentials = await Credential.countDocuments({ 
     institutionId, 
@@ -147,3 +171,113 @@ export const getInstitutionStats = catchAsync(async (req, res, next) => {
     }
   });
 });
+
+/**
+ * @desc    Get institution public signing keys (current and retired)
+ * @route   GET /api/v1/institutions/:id/keys
+ * @access  Public
+ */
+export const getSigningKeys = catchAsync(async (req, res, next) => {
+  const institution = await Institution.findById(req.params.id).select('name signingKeys');
+
+  if (!institution) {
+    return next(new AppError('Institution not found', 404));
+  }
+
+  const keys = institution.signingKeys.map((key) => ({
+    id: `${issuerIdFor(institution._id)}#${key.keyId}`,
+    keyId: key.keyId,
+    type: 'Multikey',
+    algorithm: 'Ed25519',
+    publicKeyMultibase: key.publicKeyMultibase,
+    status: key.status,
+    createdAt: key.createdAt,
+    retiredAt: key.retiredAt
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: keys.length,
+    data: {
+      institution: { id: institution._id, name: institution.name },
+      keys
+    }
+  });
+});
+
+/**
+ * @desc    Get Open Badges 3.0 issuer profile
+ * @route   GET /api/v1/institutions/:id/issuer-profile
+ * @access  Public
+ */
+export const getIssuerProfile = catchAsync(async (req, res, next) => {
+  const institution = await Institution.findById(req.params.id);
+
+  if (!institution || !institution.isActive) {
+    return next(new AppError('Institution not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      '@context': [
+        'https://www.w3.org/ns/credentials/v2',
+        'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+      ],
+      ...buildIssuerProfile(institution)
+    }
+  });
+});
+
+/**
+ * @desc    Get signed BitstringStatusList credential (revocation or suspension)
+ * @route   GET /api/v1/institutions/:id/status-lists/:purpose
+ * @access  Public
+ */
+export const getStatusList = catchAsync(async (req, res, next) => {
+  if (!STATUS_PURPOSES.includes(req.params.purpose)) {
+    return next(new AppError('Status list purpose must be revocation or suspension', 400));
+  }
+
+  const statusList = await buildStatusListCredential(req.params.id, req.params.purpose);
+
+  if (!statusList) {
+    return next(new AppError('Status list not found', 404));
+  }
+
+  res.set('Cache-Control', `public, max-age=${parseInt(process.env.STATUS_LIST_CACHE_SECONDS) || 300}`);
+  res.status(200).json(statusList);
+});
+
+/**
+ * @desc    Rotate institution signing key (the old key is retired, not deleted)
+ * @route   POST /api/v1/institutions/:id/keys/rotate
+ * @access  Private (Institution, Admin)
+ */
+export const rotateSigningKey = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError('Institution not found', 404));
+  }
+
+  const institution = await Institution.findById(req.params.id).select('+signingKeys.privateKey');
+
+  if (!institution) {
+    return next(new AppError('Institution not found', 404));
+  }
+
+  if (!institution.isVerified) {
+    return next(new AppError('Institution must be verified before it can hold signing keys', 403));
+  }
+
+  const key = institution.addSigningKey();
+  await institution.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      keyId: key.keyId,
+      publicKeyMultibase: key.publicKeyMultibase,
+      createdAt: key.createdAt
+    }
+  });
+});
@@ -5,6 +5,11 @@ import TalentPool from "../models/TalentPool.js";
 import AppError from "../utils/appError.js";
 import { catchAsync } from "../utils/catchAsync.js";
 import aiService from "../services/aiService.js";
+import { calculateMatchScore } from "../utils/jobMatch.js";
+import {
+  buildPublicResult,
+  countEmployerVerifications,
+} from "../services/verificationService.js";
 
 /**
  * @desc    Create job posting
@@ -46,35 +51,9 @@ export const getJobMatches = catchAsync(async (req, res, next) => {
   const matches = [];
 
   for (const learner of learners) {
-    const learnerSkills = learner.skills.map((s) => s.name.toLowerCase());
-    const requiredSkills = job.requiredSkills.map((s) => s.name.toLowerCase());
-
-    // Calculate skill match
-    let matchedSkills = 0;
-    requiredSkills.forEach((reqSkill) => {
-      if (
-        learnerSkills.some(
-          (ls) => ls.includes(reqSkill) || reqSkill.includes(ls),
-        )
-      ) {
-        matchedSkills++;
-      }
-    });
-
-    const skillMatchPercentage = (matchedSkills / requiredSkills.length) * 100;
-
-    // Check NSQF level
     const credentials = await Credential.find({ learnerId: learner._id });
-    const maxNSQFLevel = Math.max(
-      ...credentials.map((c) => c.nsqfLevel || 0),
-      0,
-    );
-    const nsqfMatch = maxNSQFLevel >= (job.minNSQFLevel || 0);
-
-    // Calculate overall match score
-    const matchScore = Math.round(
-      skillMatchPercentage * 0.7 + (nsqfMatch ? 30 : 0),
-    );
+    const { matchScore, matchedSkills, totalRequiredSkills, nsqfLevel } =
+      calculateMatchScore(job, learner, credentials);
 
     if (matchScore >= 40) {
       matches.push({
@@ -87,9 +66,9 @@ export const getJobMatches = catchAsync(async (req, res, next) => {
           education: learner.education,
         },
         matchScore,
-        matchedSkills: matchedSkills,
-        totalRequiredSkills: requiredSkills.length,
-        nsqfLevel: maxNSQFLevel,
+        matchedSkills,
+        totalRequiredSkills,
+        nsqfLevel,
       });
     }
   }
@@ -125,18 +104,24 @@ export const bulkVerifyCredentials = catchAsync(async (req, res, next) => {
       credentialNumber: credNumber,
     })
       .populate("learnerId", "firstName lastName email")
-      .populate("institutionId", "name type");
+      .populate("institutionId", "name type isVerified");
+    const result = credential && (await buildPublicResult(credential));
 
     results.push({
       credentialNumber: credNumber,
       found: !!credential,
-      verified: credential
-        ? credential.verificationStatus === "verified"
-        : false,
+      verified: result ? result.verified : false,
+      status: result ? result.status : null,
       credential: credential || null,
     });
   }
 
+  // Counted like single verifications: one per credential found
+  await countEmployerVerifications(
+    req,
+    results.filter((r) => r.found).length,
+  );
+
   res.status(200).json({
     success: true,
     total: credentialNumbers.length,
@@ -264,7 +249,11 @@ export const getHiringAnalytics = catchAsync(async (req, res, next) => {
     totalJobs: jobs.length,
     activeJobs: jobs.filter((j) => j.status === "active").length,
     closedJobs: jobs.filter((j) => j.status === "closed").length,
-    totalApplicants: jobs.reduce((sum, j) => sum + j.applicants.length, 0),
+    totalApplicants: jobs.reduce(
+      (sum, j) =>
+        sum + j.applicants.filter((a) => a.status !== "withdrawn").length,
+      0,
+    ),
     totalInvited: jobs.reduce((sum, j) => sum + j.invitedLearners.length, 0),
     hired: jobs.reduce(
       (sum, j) => sum + j.applicants.filter((a) => a.status === "hired").length,
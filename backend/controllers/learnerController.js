@@ -10,10 +10,11 @@ export const getDashboard = catchAsync(async (req, res, next) => {
   }
 
   // Fetch portfolio, credentials, achievements
-  const [portfolio, credentials, achievements] = await Promise.all([
+  const [portfolio, credentials, achievements, stacks] = await Promise.all([
     Portfolio.findOne({ learnerId: req.user.id }),
     Credential.find({ learnerId: req.user.id }),
     Achievement.find({ learnerId: req.user.id }),
+    getStackProgress(req.user.id),
   ]);
 
   res.status(200).json({
@@ -23,6 +24,7 @@ export const getDashboard = catchAsync(async (req, res, next) => {
       portfolio,
       credentials,
       achievements,
+      stacks,
     },
   });
 });
@@ -105,6 +107,8 @@ import aiService from "../services/aiService.js";
 import Portfolio from "../models/Portfolio.js";
 import Achievement from "../models/Achievement.js";
 import User from "../models/User.js";
+import VerificationLog from "../models/VerificationLog.js";
+import { getStackProgress } from "../services/stackService.js";
 import { cloudinary } from "../config/cloudinary.js";
 import e from "express";
 
@@ -235,6 +239,39 @@ export const getSkillGapAnalysis = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get who has verified the learner's credentials
+ * @route   GET /api/v1/learners/verifications
+ * @access  Private (Learner)
+ */
+export const getVerifications = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { learnerId: req.user.id };
+  if (req.query.credentialId) query.credentialId = req.query.credentialId;
+
+  const [verifications, total] = await Promise.all([
+    VerificationLog.find(query)
+      .select("-ipAddress -userAgent -learnerId")
+      .populate("credentialId", "title credentialNumber")
+      .sort("-createdAt")
+      .skip(skip)
+      .limit(limit),
+    VerificationLog.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: verifications.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: verifications,
+  });
+});
+
 /**
  * @desc    Get learner credentials
  * @route   GET /api/v1/learners/credentials
@@ -0,0 +1,266 @@
+import StackRule from "../models/StackRule.js";
+import StackAward from "../models/StackAward.js";
+import AchievementDefinition from "../models/AchievementDefinition.js";
+import CredentialTemplate from "../models/CredentialTemplate.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import { isOwnInstitution } from "../utils/institutionAccess.js";
+import {
+  checkStacksForRule,
+  getStackProgress,
+  acceptStackOffer,
+} from "../services/stackService.js";
+
+const UPDATABLE_FIELDS = [
+  "name",
+  "description",
+  "components",
+  "minComponents",
+  "minNsqfLevel",
+  "minCredits",
+  "awardMode",
+  "reward",
+];
+
+/**
+ * Components may reference any institution's definitions and templates,
+ * so they are looked up across tenants
+ * @returns {Promise<string|null>} - Error message for the first missing one
+ */
+const checkComponents = async (components = []) => {
+  for (const component of components) {
+    if (
+      component.achievementDefinitionId &&
+      !(await AchievementDefinition.exists({
+        _id: component.achievementDefinitionId,
+        isActive: true,
+      }).setOptions({ skipTenantScope: true }))
+    ) {
+      return "Achievement definition not found";
+    }
+
+    if (
+      component.templateId &&
+      !(await CredentialTemplate.exists({
+        _id: component.templateId,
+      }).setOptions({ skipTenantScope: true }))
+    ) {
+      return "Credential template not found";
+    }
+  }
+  return null;
+};
+
+/**
+ * @desc    List an institution's stack rules
+ * @route   GET /api/v1/institutions/:id/stack-rules
+ * @access  Public
+ */
+export const getStackRules = catchAsync(async (req, res, next) => {
+  const rules = await StackRule.find({
+    institutionId: req.params.id,
+    isActive: true,
+  }).sort("name");
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules,
+  });
+});
+
+/**
+ * @desc    Get a stack rule
+ * @route   GET /api/v1/institutions/:id/stack-rules/:ruleId
+ * @access  Public
+ */
+export const getStackRule = catchAsync(async (req, res, next) => {
+  const rule = await StackRule.findOne({
+    _id: req.params.ruleId,
+    institutionId: req.params.id,
+  })
+    .populate("components.achievementDefinitionId", "name achievementType")
+    .populate("components.templateId", "name title");
+
+  if (!rule) {
+    return next(new AppError("Stack rule not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+  });
+});
+
+/**
+ * @desc    Create a stack rule; learners who already meet it are awarded
+ * @route   POST /api/v1/institutions/:id/stack-rules
+ * @access  Private (credential:issue)
+ */
+export const createStackRule = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const componentError = await checkComponents(req.body.components);
+  if (componentError) {
+    return next(new AppError(componentError, 404));
+  }
+
+  const data = { institutionId: req.params.id, createdBy: req.user.id };
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const rule = await StackRule.create(data);
+  setImmediate(() => checkStacksForRule(rule));
+
+  res.status(201).json({
+    success: true,
+    data: rule,
+  });
+});
+
+/**
+ * @desc    Update a stack rule (awards already made are kept)
+ * @route   PUT /api/v1/institutions/:id/stack-rules/:ruleId
+ * @access  Private (credential:issue)
+ */
+export const updateStackRule = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const rule = await StackRule.findOne({
+    _id: req.params.ruleId,
+    institutionId: req.params.id,
+    isActive: true,
+  });
+
+  if (!rule) {
+    return next(new AppError("Stack rule not found", 404));
+  }
+
+  const componentError = await checkComponents(req.body.components);
+  if (componentError) {
+    return next(new AppError(componentError, 404));
+  }
+
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) rule.set(field, req.body[field]);
+  });
+  await rule.save();
+  setImmediate(() => checkStacksForRule(rule));
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+  });
+});
+
+/**
+ * @desc    Retire a stack rule
+ * @route   DELETE /api/v1/institutions/:id/stack-rules/:ruleId
+ * @access  Private (credential:issue)
+ */
+export const deleteStackRule = catchAsync(async (req, res, next) => {
+  if (!isOwnInstitution(req.user, req.params.id)) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const rule = await StackRule.findOneAndUpdate(
+    { _id: req.params.ruleId, institutionId: req.params.id },
+    { isActive: false },
+  );
+
+  if (!rule) {
+    return next(new AppError("Stack rule not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Stack rule retired successfully",
+  });
+});
+
+/**
+ * @desc    Progress toward stacks the learner has started, with offers
+ * @route   GET /api/v1/learners/stacks
+ * @access  Private (Learner)
+ */
+export const getMyStacks = catchAsync(async (req, res, next) => {
+  const stacks = await getStackProgress(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: stacks.length,
+    data: stacks,
+  });
+});
+
+/**
+ * Load one of the learner's open stack offers
+ */
+const findOffer = (req) =>
+  StackAward.findOne({
+    _id: req.params.awardId,
+    learnerId: req.user.id,
+    status: "offered",
+  }).setOptions({ skipTenantScope: true });
+
+/**
+ * @desc    Accept a stack offer and receive its credential
+ * @route   POST /api/v1/learners/stacks/awards/:awardId/accept
+ * @access  Private (Learner)
+ */
+export const acceptOffer = catchAsync(async (req, res, next) => {
+  const award = await findOffer(req);
+  if (!award) {
+    return next(new AppError("Stack offer not found", 404));
+  }
+
+  let credential;
+  try {
+    credential = await acceptStackOffer(award);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(201).json({
+    success: true,
+    data: credential,
+  });
+});
+
+/**
+ * @desc    Decline a stack offer
+ * @route   POST /api/v1/learners/stacks/awards/:awardId/decline
+ * @access  Private (Learner)
+ */
+export const declineOffer = catchAsync(async (req, res, next) => {
+  // Conditional on the offer still being open, so it cannot race an accept
+  const award = await StackAward.findOneAndUpdate(
+    { _id: req.params.awardId, learnerId: req.user.id, status: "offered" },
+    { status: "declined", declinedAt: Date.now() },
+    { new: true },
+  ).setOptions({ skipTenantScope: true });
+  if (!award) {
+    return next(new AppError("Stack offer not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: award,
+  });
+});
+
+export default {
+  getStackRules,
+  getStackRule,
+  createStackRule,
+  updateStackRule,
+  deleteStackRule,
+  getMyStacks,
+  acceptOffer,
+  declineOffer,
+};
@@ -0,0 +1,359 @@
+import User from "../models/User.js";
+import Institution from "../models/Institution.js";
+import StaffInvite from "../models/StaffInvite.js";
+import Session from "../models/Session.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import {
+  loadInstitution,
+  staffRoleOf,
+  staffRoleFilter,
+} from "../utils/institutionAccess.js";
+import { sendMail } from "../services/mailService.js";
+import { sendTokenResponse } from "../utils/jwt.js";
+import crypto from "crypto";
+
+const STAFF_FIELDS = "email institutionRole isActive isVerified lastLogin createdAt";
+
+/**
+ * Keep Institution.administrators in sync with owner/admin staff
+ */
+const syncAdministrators = async (institutionId) => {
+  const admins = await User.find({
+    tenantId: institutionId,
+    ...staffRoleFilter(["owner", "admin"]),
+    isActive: true,
+  }).select("_id");
+
+  await Institution.updateOne(
+    { _id: institutionId },
+    { administrators: admins.map((admin) => admin._id) },
+  );
+};
+
+/**
+ * Only the owner may manage admins; nobody but a transfer changes the owner
+ */
+const canManageStaffMember = (actor, member) => {
+  if (staffRoleOf(member) === "owner") return false;
+  if (actor.role === "admin" || staffRoleOf(actor) === "owner") return true;
+  return staffRoleOf(member) !== "admin";
+};
+
+/**
+ * @desc    List institution staff
+ * @route   GET /api/v1/institutions/:id/staff
+ * @access  Private (institution:manage-staff)
+ */
+export const getStaff = catchAsync(async (req, res, next) => {
+  const institution = await loadInstitution(req);
+  if (!institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const staff = await User.find({ tenantId: institution._id, isActive: true })
+    .select(STAFF_FIELDS)
+    .sort("createdAt");
+
+  res.status(200).json({
+    success: true,
+    count: staff.length,
+    data: staff,
+  });
+});
+
+/**
+ * @desc    Invite a staff member by email
+ * @route   POST /api/v1/institutions/:id/staff/invites
+ * @access  Private (institution:manage-staff)
+ */
+export const inviteStaff = catchAsync(async (req, res, next) => {
+  const { email, role } = req.body;
+
+  const institution = await loadInstitution(req);
+  if (!institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  if (role === "admin" && !canManageStaffMember(req.user, { institutionRole: "admin" })) {
+    return next(new AppError("Only the institution owner can invite administrators", 403));
+  }
+
+  if (await User.exists({ email: email.toLowerCase() })) {
+    return next(new AppError("A user with this email already exists", 400));
+  }
+
+  // Replace any pending invite for the same email
+  await StaffInvite.updateMany(
+    {
+      institutionId: institution._id,
+      email: email.toLowerCase(),
+      acceptedAt: { $exists: false },
+      revokedAt: { $exists: false },
+    },
+    { revokedAt: Date.now() },
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const invite = await StaffInvite.create({
+    institutionId: institution._id,
+    email,
+    role,
+    tokenHash: StaffInvite.hashToken(token),
+    invitedBy: req.user.id,
+    expiresAt:
+      Date.now() +
+      (parseInt(process.env.STAFF_INVITE_EXPIRE_DAYS) || 7) * 24 * 60 * 60 * 1000,
+  });
+
+  const acceptUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/accept-invite/${token}`;
+
+  await sendMail({
+    to: invite.email,
+    subject: `You have been invited to join ${institution.name}`,
+    text: `You have been invited to join ${institution.name} on CredMatrix as ${role}.\n\nAccept the invitation and set your password here:\n\n${acceptUrl}\n\nThe invitation expires on ${invite.expiresAt.toDateString()}.`,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: invite,
+  });
+});
+
+/**
+ * @desc    List pending staff invites
+ * @route   GET /api/v1/institutions/:id/staff/invites
+ * @access  Private (institution:manage-staff)
+ */
+export const getInvites = catchAsync(async (req, res, next) => {
+  const institution = await loadInstitution(req);
+  if (!institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const invites = await StaffInvite.find({
+    institutionId: institution._id,
+    acceptedAt: { $exists: false },
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() },
+  }).sort("-createdAt");
+
+  res.status(200).json({
+    success: true,
+    count: invites.length,
+    data: invites,
+  });
+});
+
+/**
+ * @desc    Revoke a pending staff invite
+ * @route   DELETE /api/v1/institutions/:id/staff/invites/:inviteId
+ * @access  Private (institution:manage-staff)
+ */
+export const revokeInvite = catchAsync(async (req, res, next) => {
+  const institution = await loadInstitution(req);
+  if (!institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const invite = await StaffInvite.findOneAndUpdate(
+    {
+      _id: req.params.inviteId,
+      institutionId: institution._id,
+      acceptedAt: { $exists: false },
+      revokedAt: { $exists: false },
+    },
+    { revokedAt: Date.now() },
+  );
+
+  if (!invite) {
+    return next(new AppError("Invite not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Invite revoked successfully",
+  });
+});
+
+/**
+ * @desc    Accept a staff invite and create the account
+ * @route   POST /api/v1/institutions/invites/:token/accept
+ * @access  Public
+ */
+export const acceptInvite = catchAsync(async (req, res, next) => {
+  const invite = await StaffInvite.findOne({
+    tokenHash: StaffInvite.hashToken(req.params.token),
+  });
+
+  if (!invite || !invite.isPending()) {
+    return next(new AppError("Invitation is invalid or has expired", 400));
+  }
+
+  const institution = await Institution.findById(invite.institutionId);
+  if (!institution || !institution.isActive) {
+    return next(new AppError("Institution is no longer active", 400));
+  }
+
+  if (await User.exists({ email: invite.email })) {
+    return next(new AppError("A user with this email already exists", 400));
+  }
+
+  // The invite link proves ownership of the email address
+  const user = await User.create({
+    email: invite.email,
+    password: req.body.password,
+    role: "institution",
+    tenantId: institution._id,
+    institutionRole: invite.role,
+    isVerified: true,
+  });
+
+  invite.acceptedAt = Date.now();
+  invite.acceptedBy = user._id;
+  await invite.save();
+
+  await syncAdministrators(institution._id);
+
+  await sendTokenResponse(user, 201, req, res);
+});
+
+/**
+ * @desc    Change a staff member's role
+ * @route   PUT /api/v1/institutions/:id/staff/:userId
+ * @access  Private (institution:manage-staff)
+ */
+export const updateStaffRole = catchAsync(async (req, res, next) => {
+  const { role } = req.body;
+
+  const institution = await loadInstitution(req);
+  if (!institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const member = await User.findOne({
+    _id: req.params.userId,
+    tenantId: institution._id,
+    isActive: true,
+  });
+
+  if (!member) {
+    return next(new AppError("Staff member not found", 404));
+  }
+
+  if (
+    !canManageStaffMember(req.user, member) ||
+    (role === "admin" && !canManageStaffMember(req.user, { institutionRole: "admin" }))
+  ) {
+    return next(new AppError("Not authorized to change this staff member's role", 403));
+  }
+
+  member.institutionRole = role;
+  await member.save({ validateBeforeSave: false });
+  await syncAdministrators(institution._id);
+
+  res.status(200).json({
+    success: true,
+    data: await User.findById(member._id).select(STAFF_FIELDS),
+  });
+});
+
+/**
+ * @desc    Remove a staff member (deactivates the account and its sessions)
+ * @route   DELETE /api/v1/institutions/:id/staff/:userId
+ * @access  Private (institution:manage-staff)
+ */
+export const removeStaff = catchAsync(async (req, res, next) => {
+  const institution = await loadInstitution(req);
+  if (!institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  const member = await User.findOne({
+    _id: req.params.userId,
+    tenantId: institution._id,
+    isActive: true,
+  });
+
+  if (!member) {
+    return next(new AppError("Staff member not found", 404));
+  }
+
+  if (member._id.toString() === req.user.id) {
+    return next(new AppError("You cannot remove yourself", 400));
+  }
+
+  if (!canManageStaffMember(req.user, member)) {
+    return next(new AppError("Not authorized to remove this staff member", 403));
+  }
+
+  member.isActive = false;
+  member.tenantId = undefined;
+  member.institutionRole = undefined;
+  await member.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(member._id, "staff-removed");
+  await syncAdministrators(institution._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Staff member removed successfully",
+  });
+});
+
+/**
+ * @desc    Transfer institution ownership to another staff member
+ * @route   POST /api/v1/institutions/:id/staff/transfer-ownership
+ * @access  Private (Institution owner, Admin)
+ */
+export const transferOwnership = catchAsync(async (req, res, next) => {
+  const institution = await loadInstitution(req);
+  if (!institution) {
+    return next(new AppError("Institution not found", 404));
+  }
+
+  if (req.user.role !== "admin" && staffRoleOf(req.user) !== "owner") {
+    return next(new AppError("Only the institution owner can transfer ownership", 403));
+  }
+
+  const newOwner = await User.findOne({
+    _id: req.body.userId,
+    tenantId: institution._id,
+    isActive: true,
+  });
+
+  if (!newOwner) {
+    return next(new AppError("Staff member not found", 404));
+  }
+
+  if (staffRoleOf(newOwner) === "owner") {
+    return next(new AppError("This user already owns the institution", 400));
+  }
+
+  // Previous owner stays on as an administrator
+  await User.updateMany(
+    { tenantId: institution._id, ...staffRoleFilter(["owner"]) },
+    { institutionRole: "admin" },
+  );
+
+  newOwner.institutionRole = "owner";
+  await newOwner.save({ validateBeforeSave: false });
+  await syncAdministrators(institution._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Ownership transferred successfully",
+    data: await User.findById(newOwner._id).select(STAFF_FIELDS),
+  });
+});
+
+export default {
+  getStaff,
+  inviteStaff,
+  getInvites,
+  revokeInvite,
+  acceptInvite,
+  updateStaffRole,
+  removeStaff,
+  transferOwnership,
+};
@@ -0,0 +1,243 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import AppError from '../utils/appError.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { generateSecret, verifyToken, buildOtpauthUri } from '../utils/totp.js';
+import { sendTokenResponse, verifyTwoFactorChallengeToken } from '../utils/jwt.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginGuard.js';
+import crypto from 'crypto';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate recovery codes; returns plain codes and their hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Check a TOTP code against the user's secret, rejecting replays of a code
+ * that was already used
+ */
+const checkTotpCode = (user, code) => {
+  const step = verifyToken(decrypt(user.twoFactor.secret), code);
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * Check and consume a recovery code
+ */
+const useRecoveryCode = (user, recoveryCode) => {
+  const index = user.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(recoveryCode));
+  if (index === -1) return false;
+
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * @desc    Get 2FA status
+ * @route   GET /api/v1/auth/2fa
+ * @access  Private
+ */
+export const getStatus = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+  const policy = await SecurityPolicy.getPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+      required: policy.twoFactorRequiredRoles.includes(user.role),
+      currentSessionVerified: req.twoFactorAuthenticated
+    }
+  });
+});
+
+/**
+ * @desc    Start 2FA enrolment
+ * @route   POST /api/v1/auth/2fa/setup
+ * @access  Private
+ */
+export const setup = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encrypt(secret);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'CredMatrix'
+      })
+    }
+  });
+});
+
+/**
+ * @desc    Confirm 2FA enrolment with a code from the authenticator app
+ * @route   POST /api/v1/auth/2fa/confirm
+ * @access  Private
+ */
+export const confirm = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(new AppError('Please start two-factor setup first', 400));
+  }
+
+  const step = verifyToken(decrypt(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  // The user just proved possession of the authenticator on this session
+  await Session.updateOne({ _id: req.sessionId }, { twoFactorVerified: true });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+    data: { recoveryCodes: codes }
+  });
+});
+
+/**
+ * @desc    Complete a 2FA login
+ * @route   POST /api/v1/auth/2fa/login
+ * @access  Public
+ */
+export const verifyLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const decoded = verifyTwoFactorChallengeToken(challengeToken);
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    return next(new AppError('Invalid login challenge', 401));
+  }
+
+  const blocked = await checkLoginAllowed(req.ip, user);
+  if (blocked) {
+    return next(blocked);
+  }
+
+  const valid = recoveryCode ? useRecoveryCode(user, recoveryCode) : checkTotpCode(user, code);
+  if (!valid) {
+    await recordLoginFailure(req.ip, user);
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  await recordLoginSuccess(user);
+
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  await sendTokenResponse(user, 200, req, res, { twoFactorVerified: true });
+});
+
+/**
+ * @desc    Regenerate recovery codes
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!checkTotpCode(user, req.body.code)) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes: codes }
+  });
+});
+
+/**
+ * @desc    Disable 2FA
+ * @route   POST /api/v1/auth/2fa/disable
+ * @access  Private
+ */
+export const disable = catchAsync(async (req, res, next) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  const policy = await SecurityPolicy.getPolicy();
+  if (policy.twoFactorRequiredRoles.includes(user.role)) {
+    return next(new AppError('Two-factor authentication is required for your role and cannot be disabled', 400));
+  }
+
+  if (!password || !(await user.comparePassword(password)) || !checkTotpCode(user, code)) {
+    return next(new AppError('Invalid password or authentication code', 401));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  await Session.updateMany({ userId: user._id }, { twoFactorVerified: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
@@ -0,0 +1,173 @@
+import Credential from "../models/Credential.js";
+import CredentialVersion from "../models/CredentialVersion.js";
+import AppError from "../utils/appError.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import { parseVerificationToken } from "../utils/verificationToken.js";
+import { hashBuffer } from "../utils/fileHash.js";
+import { hasContentHash } from "../services/credentialService.js";
+import {
+  findCredentialVersion,
+  buildPublicResult,
+  recordVerification,
+} from "../services/verificationService.js";
+
+const findForVerification = (query) =>
+  Credential.findOne(query)
+    .populate("learnerId", "firstName lastName")
+    .populate("institutionId", "name isVerified");
+
+/**
+ * Version requested with ?version= (undefined means the current contents)
+ * @returns {Promise<Object|null|undefined>} - null if that version does not exist
+ */
+const requestedVersion = (credential, req) => {
+  const version = parseInt(req.query.version, 10);
+  if (!version || version === credential.version) return undefined;
+  return findCredentialVersion(credential, version);
+};
+
+/**
+ * @desc    Verify a credential by its number
+ * @route   GET /api/v1/verify/:credentialNumber
+ * @access  Public
+ */
+export const verifyByCredentialNumber = catchAsync(async (req, res, next) => {
+  let credential = await findForVerification({
+    credentialNumber: req.params.credentialNumber,
+  });
+  let version = credential ? await requestedVersion(credential, req) : undefined;
+
+  // A number changed by an amendment still resolves, to the last version that had it
+  if (!credential) {
+    version = await CredentialVersion.findOne({
+      "snapshot.credentialNumber": req.params.credentialNumber,
+    }).sort("-createdAt");
+    credential = version && (await findForVerification({ _id: version.credentialId }));
+  }
+
+  if (!credential) {
+    return next(new AppError("Credential not found", 404));
+  }
+  if (version === null) {
+    return next(new AppError("Credential version not found", 404));
+  }
+
+  // Credential numbers are printed on certificates, so only public
+  // credentials reveal the holder's full name through them
+  const result = await buildPublicResult(credential, {
+    revealHolder: credential.isPublic,
+    version,
+  });
+
+  await recordVerification(credential, req, {
+    method: "credential-number",
+    status: result.status,
+    signatureValid: result.signature.valid,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @desc    Verify a credential from a shared verification link
+ * @route   GET /api/v1/verify/t/:token
+ * @access  Public
+ */
+export const verifyByToken = catchAsync(async (req, res, next) => {
+  const credentialId = parseVerificationToken(req.params.token);
+
+  if (!credentialId) {
+    return next(new AppError("Invalid verification link", 400));
+  }
+
+  const credential = await findForVerification({ _id: credentialId });
+
+  if (!credential) {
+    return next(new AppError("Credential not found", 404));
+  }
+
+  const version = await requestedVersion(credential, req);
+  if (version === null) {
+    return next(new AppError("Credential version not found", 404));
+  }
+
+  const result = await buildPublicResult(credential, {
+    revealHolder: true,
+    version,
+  });
+
+  await recordVerification(credential, req, {
+    method: "token",
+    status: result.status,
+    signatureValid: result.signature.valid,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @desc    Verify an uploaded certificate file against the issued original
+ * @route   POST /api/v1/verify/file
+ * @access  Public
+ */
+export const verifyByFile = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError("Please upload a certificate file", 400));
+  }
+
+  const fileHash = hashBuffer(req.file.buffer);
+  const { credentialNumber } = req.body;
+
+  // With a credential number, compare against that credential; otherwise look
+  // the file up by its hash (renewals share a file, so prefer the newest)
+  const credential = credentialNumber
+    ? await findForVerification({ credentialNumber: String(credentialNumber) })
+    : await findForVerification({ "file.hash": fileHash }).sort("-issueDate");
+
+  if (!credential) {
+    if (credentialNumber) {
+      return next(new AppError("Credential not found", 404));
+    }
+    return res.status(200).json({
+      success: true,
+      data: {
+        matched: false,
+        byteIdentical: false,
+        fileHash,
+        credential: null,
+      },
+    });
+  }
+
+  // null when the credential predates content hashing and cannot be compared
+  const byteIdentical = hasContentHash(credential.file)
+    ? credential.file.hash === fileHash
+    : null;
+
+  // Holding the exact issued file is as good as holding a shared link
+  const result = await buildPublicResult(credential, {
+    revealHolder: byteIdentical === true || credential.isPublic,
+  });
+
+  await recordVerification(credential, req, {
+    method: "file",
+    status: result.status,
+    signatureValid: result.signature.valid,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      matched: true,
+      byteIdentical,
+      fileHash,
+      credential: result,
+    },
+  });
+});
@@ -1,16 +1,53 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import ApiKey from '../models/ApiKey.js';
 import AppError from '../utils/appError.js';
 import { catchAsync } from '../utils/catchAsync.js';
+import { runWithTenant } from '../utils/tenantContext.js';
 
-// Protect routes - verify JWT token
-export const protect = catchAsync(async (req, res, next) => {
+// Authenticate an employer API key carrying the required scope
+const authenticateApiKey = async (req, next, scope) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(req.headers['x-api-key']) });
+
+  if (!apiKey || !apiKey.isActive()) {
+    return next(new AppError('Invalid or expired API key.', 401));
+  }
+
+  if (!apiKey.scopes.includes(scope)) {
+    return next(new AppError(`This API key does not have the "${scope}" scope.`, 403));
+  }
+
+  const user = await User.findById(apiKey.employerId);
+  if (!user || !user.isActive || user.role !== 'employer') {
+    return next(new AppError('The employer belonging to this API key is no longer active.', 401));
+  }
+
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $inc: { usageCount: 1 }, lastUsedAt: Date.now(), lastUsedIp: req.ip }
+  );
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Verify JWT token. Routes used to enrol in 2FA pass allowTwoFactorSetup so
+// users caught by the 2FA policy can still reach them; routes open to
+// server-to-server calls pass the API key scope they require.
+const authenticate = ({ allowTwoFactorSetup = false, apiKeyScope } = {}) => catchAsync(async (req, res, next) => {
   let token;
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
   }
 
+  if (!token && apiKeyScope && req.headers['x-api-key']) {
+    return authenticateApiKey(req, next, apiKeyScope);
+  }
+
   if (!token) {
     return next(new AppError('You are not logged in. Please log in to access this resource.', 401));
   }
@@ -18,6 +55,12 @@ export const protect = catchAsync(async (req, res, next) => {
   // Verify token
   const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+  // Check the session behind the token is still active
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.id) {
+    return next(new AppError('Your session has ended. Please log in again.', 401));
+  }
+
   // Check if user still exists
   const user = await User.findById(decoded.id).select('+password');
   if (!user) {
@@ -34,10 +77,35 @@ export const protect = catchAsync(async (req, res, next) => {
     return next(new AppError('Your account has been deactivated. Please contact support.', 403));
   }
 
+  // Enforce the platform 2FA policy for the user's role
+  const policy = await SecurityPolicy.getPolicy();
+  if (!allowTwoFactorSetup && policy.twoFactorRequiredRoles.includes(user.role) && !session.twoFactorVerified) {
+    const message = user.twoFactor.enabled
+      ? 'Two-factor authentication is required. Please log in again with your authenticator code.'
+      : 'Two-factor authentication is required for your account. Please set it up at /api/v1/auth/2fa/setup.';
+    return next(new AppError(message, 403));
+  }
+
+  // Track activity, at most once a minute per session
+  if (Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: Date.now() });
+  }
+
   req.user = user;
+  req.sessionId = session._id;
+  req.twoFactorAuthenticated = session.twoFactorVerified;
   next();
 });
 
+// Protect routes - verify JWT token
+export const protect = authenticate();
+
+// Protect routes that also accept an employer API key with the given scope
+export const protectWithApiKey = (scope) => authenticate({ apiKeyScope: scope });
+
+// Protect routes that must stay reachable before 2FA enrolment
+export const protectAllowingTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
 // Restrict to specific roles
 export const restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -48,10 +116,55 @@ export const restrictTo = (...roles) => {
   };
 };
 
-// Multi-tenant middleware
-export const checkTenant = catchAsync(async (req, res, next) => {
-  if (req.user.role === 'institution' && req.user.tenantId) {
-    req.tenantId = req.user.tenantId;
+// Require every listed permission (role defaults plus per-user grants)
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const effective = req.user.getEffectivePermissions();
+    const missing = permissions.filter((permission) => !effective.includes(permission));
+
+    if (missing.length) {
+      return next(new AppError(`You do not have permission to perform this action (${missing.join(', ')}).`, 403));
+    }
+    next();
+  };
+};
+
+// Require a verified email address for sensitive actions
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return next(new AppError('Please verify your email address to perform this action.', 403));
+  }
+  next();
+};
+
+// Require the current session to have passed two-factor authentication
+export const requireTwoFactor = (req, res, next) => {
+  if (!req.twoFactorAuthenticated) {
+    return next(new AppError('This action requires two-factor authentication. Enable 2FA and log in again.', 403));
+  }
+  next();
+};
+
+// Require a 2FA-authenticated session when the platform policy requires 2FA
+// for the user's role
+export const requirePolicyTwoFactor = catchAsync(async (req, res, next) => {
+  const policy = await SecurityPolicy.getPolicy();
+
+  if (policy.twoFactorRequiredRoles.includes(req.user.role) && !req.twoFactorAuthenticated) {
+    return next(new AppError('This action requires two-factor authentication. Enable 2FA and log in again.', 403));
   }
   next();
 });
+
+// Multi-tenant middleware: institution users' Credential and Institution
+// queries are constrained to their own tenant for the rest of the request
+export const checkTenant = (req, res, next) => {
+  if (req.user.role !== 'institution') return next();
+
+  if (!req.user.tenantId) {
+    return next(new AppError('Your account is not linked to an institution.', 403));
+  }
+
+  req.tenantId = req.user.tenantId;
+  runWithTenant(req.user.tenantId, next);
+};
@@ -8,4 +8,14 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Stricter limit for the public, unauthenticated verification API
+const verificationLimiter = rateLimit({
+  windowMs: parseInt(process.env.VERIFY_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.VERIFY_RATE_LIMIT_MAX_REQUESTS) || 30,
+  message: 'Too many verification requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+export { verificationLimiter };
 export default limiter;
@@ -1,5 +1,8 @@
 import Joi from 'joi';
 import AppError from '../utils/appError.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { ACHIEVEMENT_TYPES } from '../models/AchievementDefinition.js';
+import { STATUS_REASON_CODES } from '../models/Credential.js';
 
 const validate = (schema) => {
   return (req, res, next) => {
@@ -58,6 +61,64 @@ const validateMultipart = (schema) => {
 };
 
 // Validation schemas
+const certificateLayout = Joi.object({
+  orientation: Joi.string().valid('landscape', 'portrait'),
+  backgroundImage: Joi.string().uri({ scheme: ['http', 'https'] }),
+  logo: Joi.string().uri({ scheme: ['http', 'https'] }),
+  primaryColor: Joi.string().pattern(/^#[0-9a-f]{6}$/i),
+  signatories: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    title: Joi.string(),
+    signatureImage: Joi.string().uri({ scheme: ['http', 'https'] })
+  })).max(5),
+  footerText: Joi.string().max(500)
+});
+
+const credentialTemplateFields = {
+  name: Joi.string().max(200),
+  title: Joi.string(),
+  description: Joi.string(),
+  type: Joi.string().lowercase().valid('certificate', 'diploma', 'badge', 'micro-credential', 'degree', 'other'),
+  category: Joi.string().lowercase().valid('technical', 'soft-skills', 'management', 'healthcare', 'education', 'finance', 'other'),
+  nsqfLevel: Joi.number().min(1).max(10),
+  skills: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    category: Joi.string()
+  })),
+  achievementDefinitionId: Joi.string(),
+  validityMonths: Joi.number().integer().min(1).max(600),
+  certificateLayout
+};
+
+const stackRuleFields = {
+  name: Joi.string().max(200),
+  description: Joi.string().allow(''),
+  components: Joi.array().items(Joi.object({
+    label: Joi.string().max(200),
+    achievementDefinitionId: Joi.string(),
+    templateId: Joi.string(),
+    title: Joi.string(),
+    institutionId: Joi.string()
+  }).oxor('achievementDefinitionId', 'templateId', 'title')
+    .or('achievementDefinitionId', 'templateId', 'title')).min(1).max(50),
+  minComponents: Joi.number().integer().min(1),
+  minNsqfLevel: Joi.number().min(1).max(10),
+  minCredits: Joi.number().min(0),
+  awardMode: Joi.string().valid('issue', 'offer'),
+  reward: Joi.object({
+    title: Joi.string().required(),
+    description: Joi.string().required(),
+    type: Joi.string().lowercase().valid('certificate', 'diploma'),
+    category: Joi.string().lowercase().valid('technical', 'soft-skills', 'management', 'healthcare', 'education', 'finance', 'other'),
+    nsqfLevel: Joi.number().min(1).max(10),
+    skills: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      category: Joi.string()
+    })),
+    validityMonths: Joi.number().integer().min(1).max(600)
+  })
+};
+
 const schemas = {
   register: Joi.object({
     email: Joi.string().email().required(),
@@ -77,7 +138,128 @@ const schemas = {
 
   login: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().required()
+    password: Joi.string().required(),
+    deviceName: Joi.string().max(100)
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    password: Joi.string().min(8).required()
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  securityPolicy: Joi.object({
+    twoFactorRequiredRoles: Joi.array().items(Joi.string().valid('learner', 'institution', 'employer', 'admin')).required()
+  }),
+
+  createApiKey: Joi.object({
+    label: Joi.string().max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid('verify', 'search', 'jobs')).min(1).unique().required(),
+    expiresAt: Joi.date().greater('now')
+  }),
+
+  updateApiKey: Joi.object({
+    label: Joi.string().max(100),
+    scopes: Joi.array().items(Joi.string().valid('verify', 'search', 'jobs')).min(1).unique(),
+    expiresAt: Joi.date().greater('now')
+  }).min(1),
+
+  updatePermissions: Joi.object({
+    granted: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique(),
+    revoked: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique()
+  }).min(1),
+
+  inviteStaff: Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('admin', 'issuer', 'verifier', 'viewer').required()
+  }),
+
+  updateStaffRole: Joi.object({
+    role: Joi.string().valid('admin', 'issuer', 'verifier', 'viewer').required()
+  }),
+
+  transferOwnership: Joi.object({
+    userId: Joi.string().required()
+  }),
+
+  acceptInvite: Joi.object({
+    password: Joi.string().min(8).required()
+  }),
+
+  achievementDefinition: Joi.object({
+    name: Joi.string().max(200).required(),
+    description: Joi.string().required(),
+    criteria: Joi.object({
+      narrative: Joi.string().required(),
+      url: Joi.string().uri({ scheme: ['http', 'https'] })
+    }).required(),
+    achievementType: Joi.string().valid(...ACHIEVEMENT_TYPES),
+    image: Joi.string().uri({ scheme: ['http', 'https'] }),
+    tags: Joi.array().items(Joi.string()),
+    skills: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      category: Joi.string()
+    })),
+    nsqfLevel: Joi.number().min(1).max(10)
+  }),
+
+  updateAchievementDefinition: Joi.object({
+    name: Joi.string().max(200),
+    description: Joi.string(),
+    criteria: Joi.object({
+      narrative: Joi.string().required(),
+      url: Joi.string().uri({ scheme: ['http', 'https'] })
+    }),
+    achievementType: Joi.string().valid(...ACHIEVEMENT_TYPES),
+    image: Joi.string().uri({ scheme: ['http', 'https'] }),
+    tags: Joi.array().items(Joi.string()),
+    skills: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      category: Joi.string()
+    })),
+    nsqfLevel: Joi.number().min(1).max(10)
+  }).min(1),
+
+  credentialTemplate: Joi.object(credentialTemplateFields).fork(
+    ['name', 'title', 'description', 'type'],
+    (field) => field.required()
+  ),
+
+  updateCredentialTemplate: Joi.object(credentialTemplateFields).min(1),
+
+  stackRule: Joi.object(stackRuleFields).fork(
+    ['name', 'components', 'reward'],
+    (field) => field.required()
+  ),
+
+  updateStackRule: Joi.object(stackRuleFields).min(1),
+
+  issueFromTemplate: Joi.object({
+    learnerId: Joi.string().required(),
+    credentialNumber: Joi.string().required(),
+    issueDate: Joi.date(),
+    expiryDate: Joi.date().when('issueDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('issueDate')),
+      otherwise: Joi.date().greater('now')
+    })
   }),
 
   createCredential: Joi.object({
@@ -89,7 +271,67 @@ const schemas = {
     issueDate: Joi.date().required(),
     expiryDate: Joi.date().min(Joi.ref('issueDate')).optional(),
     credentialNumber: Joi.string().required(),
-    nsqfLevel: Joi.number().min(1).max(10).optional()
+    nsqfLevel: Joi.number().min(1).max(10).optional(),
+    achievementDefinitionId: Joi.string().optional()
+  }),
+
+  credentialClaim: Joi.object({
+    institutionId: Joi.string(),
+    institutionName: Joi.string().max(200),
+    title: Joi.string().required(),
+    description: Joi.string().allow(''),
+    type: Joi.string().lowercase().valid('certificate', 'diploma', 'badge', 'micro-credential', 'degree', 'other').required(),
+    category: Joi.string().lowercase().valid('technical', 'soft-skills', 'management', 'healthcare', 'education', 'finance', 'other').optional(),
+    credentialNumber: Joi.string().required(),
+    issueDate: Joi.date().max('now').required(),
+    expiryDate: Joi.date().min(Joi.ref('issueDate')).optional()
+  }).or('institutionId', 'institutionName'),
+
+  reviewClaim: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    reasonCode: Joi.string().valid(...STATUS_REASON_CODES).when('status', { is: 'rejected', then: Joi.required() }),
+    note: Joi.string().max(1000)
+  }),
+
+  assignClaim: Joi.object({
+    institutionId: Joi.string().required()
+  }),
+
+  creditRedemption: Joi.object({
+    learnerId: Joi.string().required(),
+    programme: Joi.object({
+      name: Joi.string().max(200).required(),
+      code: Joi.string().max(50)
+    }).required(),
+    credits: Joi.number().positive(),
+    credentialIds: Joi.array().items(Joi.string()).unique().max(100),
+    note: Joi.string().max(1000)
+  }).or('credits', 'credentialIds'),
+
+  jobApplication: Joi.object({
+    coverLetter: Joi.string().max(5000).allow('')
+  }),
+
+  applicantStatus: Joi.object({
+    status: Joi.string().valid('reviewed', 'shortlisted', 'rejected', 'hired'),
+    note: Joi.string().max(1000)
+  }).or('status', 'note'),
+
+  verifyCredential: Joi.object({
+    status: Joi.string().valid('verified', 'rejected').required(),
+    reasonCode: Joi.string().valid(...STATUS_REASON_CODES).when('status', { is: 'rejected', then: Joi.required() }),
+    note: Joi.string().max(1000)
+  }),
+
+  renewCredential: Joi.object({
+    credentialNumber: Joi.string().required(),
+    issueDate: Joi.date(),
+    expiryDate: Joi.date().greater('now').required()
+  }),
+
+  credentialStatusChange: Joi.object({
+    reasonCode: Joi.string().valid(...STATUS_REASON_CODES).required(),
+    note: Joi.string().max(1000)
   }),
 
   updateProfile: Joi.object({
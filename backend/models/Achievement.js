@@ -13,7 +13,7 @@ const achievementSchema = new mongoose.Schema({
   description: String,
   type: {
     type: String,
-    enum: ['award', 'competition', 'project', 'publication', 'volunteer', 'other'],
+    enum: ['award', 'badge', 'competition', 'project', 'publication', 'volunteer', 'other'],
     required: true
   },
   date: {
@@ -26,6 +26,14 @@ const achievementSchema = new mongoose.Schema({
   isPublic: {
     type: Boolean,
     default: true
+  },
+  // Imported Open Badges credential and the result of validating it
+  openBadge: {
+    credential: mongoose.Schema.Types.Mixed,
+    issuerId: String,
+    issuerName: String,
+    verified: Boolean,
+    importedAt: Date
   }
 }, {
   timestamps: true
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+// Open Badges 3.0 achievementType vocabulary (subset)
+export const ACHIEVEMENT_TYPES = [
+  'Achievement',
+  'Award',
+  'Badge',
+  'Certificate',
+  'Certification',
+  'Competency',
+  'Course',
+  'Degree',
+  'Diploma',
+  'MicroCredential'
+];
+
+const achievementDefinitionSchema = new mongoose.Schema({
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Achievement name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required']
+  },
+  criteria: {
+    narrative: {
+      type: String,
+      required: [true, 'Criteria narrative is required']
+    },
+    url: String
+  },
+  achievementType: {
+    type: String,
+    enum: ACHIEVEMENT_TYPES,
+    default: 'Badge'
+  },
+  // PNG or SVG artwork baked into issued badges
+  image: String,
+  tags: [String],
+  skills: [{
+    name: String,
+    category: String
+  }],
+  nsqfLevel: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+achievementDefinitionSchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('AchievementDefinition', achievementDefinitionSchema);
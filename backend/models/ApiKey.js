@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const API_KEY_SCOPES = ['verify', 'search', 'jobs'];
+
+const apiKeySchema = new mongoose.Schema({
+  employerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    required: [true, 'API key label is required'],
+    trim: true
+  },
+  // First characters of the key, shown so employers can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  credentialsVerified: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Create a key; the plain value is returned once and never stored
+apiKeySchema.statics.generate = async function({ employerId, label, scopes, expiresAt }) {
+  const prefix = `cmk_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const apiKey = await this.create({
+    employerId,
+    label,
+    prefix,
+    keyHash: this.hashKey(key),
+    scopes,
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+const bulkIssuanceJobSchema = new mongoose.Schema({
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  sourceFileName: String,
+  certificatesFileName: String,
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  issuedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  skippedCount: {
+    type: Number,
+    default: 0
+  },
+  // One entry per spreadsheet row (row numbers match the sheet, header = 1)
+  results: [{
+    row: Number,
+    credentialNumber: String,
+    learner: String,
+    status: {
+      type: String,
+      enum: ['pending', 'issued', 'failed', 'skipped']
+    },
+    credentialId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Credential'
+    },
+    messages: [String]
+  }],
+  error: String,
+  startedAt: Date,
+  // Touched while a worker is issuing; a stale one means the worker stopped
+  heartbeatAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+bulkIssuanceJobSchema.index({ institutionId: 1, createdAt: -1 });
+
+bulkIssuanceJobSchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('BulkIssuanceJob', bulkIssuanceJobSchema);
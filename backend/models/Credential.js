@@ -1,4 +1,18 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+import { certificateLayoutSchema } from './CredentialTemplate.js';
+
+// Reason codes required when a credential is rejected, suspended or revoked
+export const STATUS_REASON_CODES = [
+  'issued-in-error',
+  'fraud',
+  'misconduct',
+  'requirements-not-met',
+  'superseded',
+  'holder-request',
+  'under-investigation',
+  'other'
+];
 
 const credentialSchema = new mongoose.Schema({
   learnerId: {
@@ -29,6 +43,19 @@ const credentialSchema = new mongoose.Schema({
     type: String,
     enum: ['technical', 'soft-skills', 'management', 'healthcare', 'education', 'finance', 'other']
   },
+  // Open Badges achievement this credential awards, if any
+  achievementDefinitionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AchievementDefinition'
+  },
+  // Template the credential was issued from; its fields and layout are
+  // copied here so later template edits do not change this credential
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CredentialTemplate'
+  },
+  templateVersion: Number,
+  certificateLayout: certificateLayoutSchema,
   nsqfLevel: {
     type: Number,
     min: 1,
@@ -44,6 +71,36 @@ const credentialSchema = new mongoose.Schema({
     default: Date.now
   },
   expiryDate: Date,
+  // Reminder intervals (days before expiry) already emailed to the learner
+  expiryRemindersSent: [Number],
+  // Renewal chain
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  renewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  // Stack rule this credential was awarded for, and the credentials it combines
+  stackRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StackRule'
+  },
+  stackedFrom: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  }],
+  // Current amendment version; earlier ones are kept as CredentialVersion records
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Learner claim this credential was confirmed from
+  claimId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CredentialClaim'
+  },
   credentialNumber: {
     type: String,
     required: true,
@@ -55,7 +112,7 @@ const credentialSchema = new mongoose.Schema({
     path: String, // Cloudinary URL
     mimetype: String,
     size: Number,
-    hash: String,
+    hash: String, // SHA-256 of the file contents
     cloudinaryId: String, // Cloudinary public_id for deletion
     uploadDate: {
       type: Date,
@@ -64,9 +121,27 @@ const credentialSchema = new mongoose.Schema({
   },
   verificationStatus: {
     type: String,
-    enum: ['pending', 'verified', 'rejected', 'expired'],
+    enum: ['pending', 'verified', 'rejected', 'expired', 'suspended', 'revoked'],
     default: 'pending'
   },
+  statusHistory: [{
+    status: String,
+    reasonCode: {
+      type: String,
+      enum: STATUS_REASON_CODES
+    },
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Position in the institution's published status lists
+  statusListIndex: Number,
   verifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -78,6 +153,13 @@ const credentialSchema = new mongoose.Schema({
     grade: String,
     assessmentType: String
   },
+  // Ed25519 signature over the canonical payload (see services/credentialService.js)
+  signature: {
+    value: String,
+    keyId: String,
+    algorithm: String,
+    signedAt: Date
+  },
   isPublic: {
     type: Boolean,
     default: false
@@ -94,6 +176,13 @@ const credentialSchema = new mongoose.Schema({
 // Index for faster queries
 credentialSchema.index({ learnerId: 1, institutionId: 1 });
 credentialSchema.index({ credentialNumber: 1 });
-credentialSchema.index({ verificationStatus: 1 });
+credentialSchema.index({ verificationStatus: 1, expiryDate: 1 });
+credentialSchema.index({ 'file.hash': 1 });
+credentialSchema.index(
+  { institutionId: 1, statusListIndex: 1 },
+  { unique: true, partialFilterExpression: { statusListIndex: { $exists: true } } }
+);
+
+credentialSchema.plugin(tenantScope, { field: 'institutionId' });
 
 export default mongoose.model('Credential', credentialSchema);
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+import { STATUS_REASON_CODES } from './Credential.js';
+
+// A credential a learner says they hold, awaiting confirmation by its issuer
+const credentialClaimSchema = new mongoose.Schema({
+  learnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unset while the issuer is not on the platform (admin queue)
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution'
+  },
+  // Issuer as named by the learner
+  institutionName: {
+    type: String,
+    required: [true, 'Issuing institution is required'],
+    trim: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Credential title is required'],
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['certificate', 'diploma', 'badge', 'micro-credential', 'degree', 'other'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['technical', 'soft-skills', 'management', 'healthcare', 'education', 'finance', 'other']
+  },
+  credentialNumber: {
+    type: String,
+    required: [true, 'Credential number is required'],
+    trim: true
+  },
+  issueDate: {
+    type: Date,
+    required: true
+  },
+  expiryDate: Date,
+  file: {
+    filename: String,
+    originalName: String,
+    path: String, // Cloudinary URL
+    mimetype: String,
+    size: Number,
+    hash: String, // SHA-256 of the file contents
+    cloudinaryId: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reasonCode: {
+    type: String,
+    enum: STATUS_REASON_CODES
+  },
+  reviewNote: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Credential created when the claim was approved
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  }
+}, {
+  timestamps: true
+});
+
+credentialClaimSchema.index({ institutionId: 1, status: 1, createdAt: 1 });
+credentialClaimSchema.index({ learnerId: 1, createdAt: -1 });
+
+credentialClaimSchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('CredentialClaim', credentialClaimSchema);
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+// How the certificate is laid out; copied onto each credential at issue time
+export const certificateLayoutSchema = new mongoose.Schema({
+  orientation: {
+    type: String,
+    enum: ['landscape', 'portrait'],
+    default: 'landscape'
+  },
+  backgroundImage: String,
+  logo: String,
+  primaryColor: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Please provide a hex colour such as #1a73e8']
+  },
+  signatories: [{
+    name: String,
+    title: String,
+    signatureImage: String
+  }],
+  footerText: String
+}, { _id: false });
+
+const credentialTemplateSchema = new mongoose.Schema({
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true
+  },
+  // Internal label shown to staff, e.g. "Full Stack Bootcamp - 2024 cohorts"
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Credential title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required']
+  },
+  type: {
+    type: String,
+    enum: ['certificate', 'diploma', 'badge', 'micro-credential', 'degree', 'other'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['technical', 'soft-skills', 'management', 'healthcare', 'education', 'finance', 'other']
+  },
+  nsqfLevel: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  skills: [{
+    name: String,
+    category: String
+  }],
+  achievementDefinitionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AchievementDefinition'
+  },
+  // Default expiry, counted from the issue date
+  validityMonths: {
+    type: Number,
+    min: 1
+  },
+  certificateLayout: certificateLayoutSchema,
+  // Bumped on every edit; issued credentials record the version they used
+  version: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+credentialTemplateSchema.index({ institutionId: 1, isActive: 1, name: 1 });
+
+credentialTemplateSchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('CredentialTemplate', credentialTemplateSchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+// Immutable record of a credential's contents after each issue or amendment
+const credentialVersionSchema = new mongoose.Schema({
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential',
+    required: true
+  },
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Versioned fields as they stood in this version
+  snapshot: {
+    credentialNumber: String,
+    title: String,
+    description: String,
+    type: { type: String },
+    category: String,
+    nsqfLevel: Number,
+    skills: [{
+      _id: false,
+      name: String,
+      category: String
+    }],
+    issueDate: Date,
+    expiryDate: Date,
+    isPublic: Boolean,
+    fileHash: String
+  },
+  // Field-level diff from the previous version (empty for the first)
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: String,
+  significant: {
+    type: Boolean,
+    default: false
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Issuer signature over this version's contents
+  signature: {
+    value: String,
+    keyId: String,
+    algorithm: String,
+    signedAt: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+credentialVersionSchema.index({ credentialId: 1, version: 1 }, { unique: true });
+credentialVersionSchema.index({ 'snapshot.credentialNumber': 1 });
+
+// Versions are written once and never edited
+const rejectChange = function() {
+  throw new Error('Credential versions are immutable');
+};
+credentialVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne'],
+  rejectChange
+);
+credentialVersionSchema.pre('save', function() {
+  if (!this.isNew) rejectChange();
+});
+
+credentialVersionSchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('CredentialVersion', credentialVersionSchema);
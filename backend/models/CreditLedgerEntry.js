@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+export const CREDIT_ENTRY_TYPES = ['earned', 'reversal', 'redemption'];
+
+// One line of a learner's National Credit Framework ledger. Entries are
+// append-only: corrections are made with new entries, never by editing.
+const creditLedgerEntrySchema = new mongoose.Schema({
+  learnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Position in the learner's ledger; unique, so concurrent writers cannot
+  // both append against the same balance
+  sequence: {
+    type: Number,
+    required: true
+  },
+  entryType: {
+    type: String,
+    enum: CREDIT_ENTRY_TYPES,
+    required: true
+  },
+  // Signed: earned entries add credits, reversals and redemptions subtract them
+  credits: {
+    type: Number,
+    required: true
+  },
+  // Issuer of the credential, or the institution accepting the credits
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true
+  },
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  // Reversals point at the earned entry they cancel
+  reversesEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditLedgerEntry'
+  },
+  nsqfLevel: Number,
+  category: String,
+  // When the credential was issued (earned entries and their reversals)
+  earnedAt: Date,
+  // Redemptions: the programme credits count toward, and credentials drawn on
+  programme: {
+    name: String,
+    code: String
+  },
+  credentialIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  }],
+  // Reversals of credits a redemption had already drawn on
+  afterRedemption: Boolean,
+  reason: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+creditLedgerEntrySchema.index({ learnerId: 1, sequence: 1 }, { unique: true });
+creditLedgerEntrySchema.index({ credentialId: 1 });
+creditLedgerEntrySchema.index({ institutionId: 1, entryType: 1 });
+
+const rejectChange = function() {
+  throw new Error('Credit ledger entries are append-only');
+};
+creditLedgerEntrySchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+  ],
+  rejectChange
+);
+creditLedgerEntrySchema.pre('save', function() {
+  if (!this.isNew) rejectChange();
+});
+
+creditLedgerEntrySchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('CreditLedgerEntry', creditLedgerEntrySchema);
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+import { generateSigningKeyPair } from '../utils/signing.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import AppError from '../utils/appError.js';
 
 const institutionSchema = new mongoose.Schema({
   name: {
@@ -52,12 +56,123 @@ const institutionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Next free index in the institution's status lists
+  statusListNextIndex: {
+    type: Number,
+    default: 0
+  },
   administrators: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  // Ed25519 keys used to sign credentials; the private key is encrypted at rest
+  signingKeys: [{
+    keyId: {
+      type: String,
+      required: true
+    },
+    publicKeyMultibase: {
+      type: String,
+      required: true
+    },
+    privateKey: {
+      type: String,
+      select: false
+    },
+    status: {
+      type: String,
+      enum: ['active', 'retired'],
+      default: 'active'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    retiredAt: Date
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      (ret.signingKeys || []).forEach((key) => delete key.privateKey);
+      return ret;
+    }
+  }
 });
 
+institutionSchema.methods.getActiveSigningKey = function() {
+  return this.signingKeys.find((key) => key.status === 'active');
+};
+
+institutionSchema.methods.getSigningKey = function(keyId) {
+  return this.signingKeys.find((key) => key.keyId === keyId);
+};
+
+const newSigningKey = (keyNumber) => {
+  const { publicKeyMultibase, privateKeyPem } = generateSigningKeyPair();
+  return {
+    keyId: `key-${keyNumber}`,
+    publicKeyMultibase,
+    privateKey: encrypt(privateKeyPem)
+  };
+};
+
+// Add a new active key, retiring the current one (caller saves the document)
+institutionSchema.methods.addSigningKey = function() {
+  this.signingKeys.forEach((key) => {
+    if (key.status === 'active') {
+      key.status = 'retired';
+      key.retiredAt = Date.now();
+    }
+  });
+
+  this.signingKeys.push(newSigningKey(this.signingKeys.length + 1));
+
+  return this.getActiveSigningKey();
+};
+
+// Give verified institutions without an active key their first one (those
+// verified before keys were created at verification). Run at startup; the
+// conditional push keeps instances starting together from adding two keys.
+institutionSchema.statics.backfillSigningKeys = async function() {
+  const institutions = await this.find({
+    isVerified: true,
+    'signingKeys.status': { $ne: 'active' }
+  }).select('signingKeys.keyId');
+
+  let created = 0;
+  for (const institution of institutions) {
+    const result = await this.updateOne(
+      { _id: institution._id, isVerified: true, 'signingKeys.status': { $ne: 'active' } },
+      { $push: { signingKeys: newSigningKey(institution.signingKeys.length + 1) } }
+    );
+    created += result.modifiedCount;
+  }
+
+  return created;
+};
+
+// Load an institution with its private keys. Keys are only created when an
+// admin verifies the institution (or by the startup backfill), so one without
+// an active key cannot sign.
+institutionSchema.statics.loadForSigning = async function(id) {
+  const institution = await this.findById(id).select('+signingKeys.privateKey');
+
+  if (institution && !institution.getActiveSigningKey()) {
+    throw new AppError('Institution has no signing key; it must be verified before it can sign credentials', 403);
+  }
+
+  return institution;
+};
+
+// Requires the document to be loaded with +signingKeys.privateKey
+institutionSchema.methods.getPrivateKey = function(key) {
+  if (!key || !key.privateKey) {
+    throw new Error('Signing key is not available');
+  }
+  return decrypt(key.privateKey);
+};
+
+institutionSchema.plugin(tenantScope, { field: '_id' });
+
 export default mongoose.model('Institution', institutionSchema);
@@ -61,10 +61,23 @@ const jobSchema = new mongoose.Schema({
     appliedAt: Date,
     status: {
       type: String,
-      enum: ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired'],
+      enum: ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired', 'withdrawn'],
       default: 'pending'
     },
-    matchScore: Number
+    matchScore: Number,
+    coverLetter: String,
+    statusHistory: [{
+      status: String,
+      note: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }],
   invitedLearners: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -79,4 +92,6 @@ const jobSchema = new mongoose.Schema({
   timestamps: true
 });
 
+jobSchema.index({ 'applicants.learnerId': 1 });
+
 export default mongoose.model('Job', jobSchema);
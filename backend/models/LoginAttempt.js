@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Failed logins per client IP, kept in Mongo so blocks survive restarts
+const loginAttemptSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+  lockUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginAttemptSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Platform-wide security settings (single document)
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'platform',
+    unique: true
+  },
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['learner', 'institution', 'employer', 'admin']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const CACHE_TTL_MS = 30 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+// Current policy, cached briefly because `protect` reads it on every request
+securityPolicySchema.statics.getPolicy = async function() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+  cached = await this.findOne({ key: 'platform' }).lean() || { twoFactorRequiredRoles: [] };
+  cachedAt = Date.now();
+  return cached;
+};
+
+securityPolicySchema.statics.updatePolicy = async function(updates, userId) {
+  const policy = await this.findOneAndUpdate(
+    { key: 'platform' },
+    { ...updates, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  cached = null;
+  return policy;
+};
+
+export default mongoose.model('SecurityPolicy', securityPolicySchema);
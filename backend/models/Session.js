@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// One document per login. Every refresh token issued for that login belongs
+// to the same family; only the hash of the latest one is kept.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  device: String,
+  ipAddress: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse-detected', 'password-reset', 'user-revoked', 'admin-revoked', 'staff-removed']
+  }
+}, {
+  timestamps: true
+});
+
+// Remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, { revokedAt: Date.now(), revokedReason: reason });
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Public view of a session, flagging the caller's own
+sessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    _id: this._id,
+    device: this.device,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    twoFactorVerified: this.twoFactorVerified,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+// A learner's completion of a stack rule; at most one per learner and rule
+const stackAwardSchema = new mongoose.Schema({
+  stackRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StackRule',
+    required: true
+  },
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true
+  },
+  learnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    // 'accepting' while an accepted offer's credential is being issued
+    enum: ['offered', 'accepting', 'issued', 'declined'],
+    required: true
+  },
+  // Credentials that satisfied the rule
+  componentCredentials: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  }],
+  credits: Number,
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  offeredAt: Date,
+  issuedAt: Date,
+  declinedAt: Date
+}, {
+  timestamps: true
+});
+
+stackAwardSchema.index({ stackRuleId: 1, learnerId: 1 }, { unique: true });
+stackAwardSchema.index({ learnerId: 1 });
+
+stackAwardSchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('StackAward', stackAwardSchema);
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+// A larger qualification earned by combining micro-credentials
+const stackRuleSchema = new mongoose.Schema({
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Stack name is required'],
+    trim: true
+  },
+  description: String,
+  // A credential counts toward a component when it awards the achievement,
+  // was issued from the template, or has the title (issued by `institutionId`,
+  // defaulting to the stack's institution)
+  components: {
+    type: [{
+      label: String,
+      achievementDefinitionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AchievementDefinition'
+      },
+      templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CredentialTemplate'
+      },
+      title: String,
+      institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+      }
+    }],
+    validate: [(components) => components.length > 0, 'A stack needs at least one component']
+  },
+  // How many components are needed (defaults to all of them)
+  minComponents: {
+    type: Number,
+    min: 1
+  },
+  // Counted credentials must be at least this NSQF level
+  minNsqfLevel: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  // Sum of metadata.credits over the counted credentials
+  minCredits: {
+    type: Number,
+    min: 0
+  },
+  // issue: award as soon as the rule is met; offer: the learner accepts it
+  awardMode: {
+    type: String,
+    enum: ['issue', 'offer'],
+    default: 'offer'
+  },
+  reward: {
+    title: {
+      type: String,
+      required: [true, 'Reward title is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      required: [true, 'Reward description is required']
+    },
+    type: {
+      type: String,
+      enum: ['diploma', 'certificate'],
+      default: 'certificate'
+    },
+    category: {
+      type: String,
+      enum: ['technical', 'soft-skills', 'management', 'healthcare', 'education', 'finance', 'other']
+    },
+    nsqfLevel: {
+      type: Number,
+      min: 1,
+      max: 10
+    },
+    skills: [{
+      name: String,
+      category: String
+    }],
+    validityMonths: {
+      type: Number,
+      min: 1
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stackRuleSchema.index({ institutionId: 1, isActive: 1 });
+stackRuleSchema.index({ 'components.achievementDefinitionId': 1 });
+stackRuleSchema.index({ 'components.templateId': 1 });
+
+stackRuleSchema.methods.requiredComponents = function() {
+  return Math.min(this.minComponents || this.components.length, this.components.length);
+};
+
+stackRuleSchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('StackRule', stackRuleSchema);
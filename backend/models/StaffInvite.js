@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import tenantScope from './plugins/tenantScope.js';
+
+const staffInviteSchema = new mongoose.Schema({
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'issuer', 'verifier', 'viewer'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+staffInviteSchema.index({ institutionId: 1, email: 1 });
+staffInviteSchema.index({ tokenHash: 1 });
+
+staffInviteSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+staffInviteSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > Date.now();
+};
+
+staffInviteSchema.plugin(tenantScope, { field: 'institutionId' });
+
+export default mongoose.model('StaffInvite', staffInviteSchema);
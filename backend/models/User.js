@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { PERMISSIONS, INSTITUTION_STAFF_ROLES, resolvePermissions } from '../config/permissions.js';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -26,6 +28,22 @@ const userSchema = new mongoose.Schema({
     ref: 'Institution',
     required: false
   },
+  // Staff role within the institution (institution users only)
+  institutionRole: {
+    type: String,
+    enum: INSTITUTION_STAFF_ROLES
+  },
+  // Per-user overrides on top of the role's default permissions
+  permissions: {
+    granted: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    revoked: [{
+      type: String,
+      enum: PERMISSIONS
+    }]
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -34,14 +52,54 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  refreshToken: {
+  emailVerificationToken: {
     type: String,
     select: false
   },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   lastLogin: Date,
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
   passwordChangedAt: Date,
-  passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  }
 }, {
   timestamps: true,
   discriminatorKey: 'userType'
@@ -51,7 +109,7 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
-  this.password = await bcrypt.hash(this.password, 12);
+  this.password = await bcrypt.hash(this.password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
   this.passwordChangedAt = Date.now() - 1000;
   next();
 });
@@ -70,4 +128,34 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Role defaults plus per-user grants, minus revocations
+userSchema.methods.getEffectivePermissions = function() {
+  return resolvePermissions(this.role, this.permissions, this.institutionRole);
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  return this.getEffectivePermissions().includes(permission);
+};
+
+// Create password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = Date.now() + (parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 10) * 60 * 1000;
+
+  return resetToken;
+};
+
+// Create email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = Date.now() + (parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24) * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const verificationLogSchema = new mongoose.Schema({
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential',
+    required: true
+  },
+  learnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // How the credential was looked up
+  method: {
+    type: String,
+    enum: ['credential-number', 'token', 'employer', 'vc', 'file'],
+    required: true
+  },
+  // Employer who verified, for authenticated checks
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifierName: String,
+  status: String,
+  signatureValid: Boolean,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+verificationLogSchema.index({ learnerId: 1, createdAt: -1 });
+verificationLogSchema.index({ credentialId: 1, createdAt: -1 });
+
+export default mongoose.model('VerificationLog', verificationLogSchema);
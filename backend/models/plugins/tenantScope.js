@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { getTenantId } from '../../utils/tenantContext.js';
+
+const QUERY_HOOKS = [
+  'count',
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'deleteMany',
+  'deleteOne',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Tenant isolation for institution-owned records: institution users only ever
+ * see their own tenant's records. While a tenant context is active (entered
+ * by checkTenant, or runWithTenant in background work) every query is
+ * constrained to that tenant, documents of other tenants behave as if they do
+ * not exist, and new documents are forced onto it. Without a context (learner,
+ * employer, admin and public requests) queries are not scoped. Pass the query
+ * option `skipTenantScope: true` for deliberate cross-tenant reads.
+ * @param {mongoose.Schema} schema
+ * @param {Object} options - { field: path holding the institution id }
+ */
+const tenantScope = (schema, { field }) => {
+  schema.pre(QUERY_HOOKS, function() {
+    const tenantId = getTenantId();
+    if (!tenantId || this.getOptions().skipTenantScope) return;
+
+    // $and so an explicit filter on another tenant matches nothing
+    this.and([{ [field]: tenantId }]);
+  });
+
+  schema.pre('aggregate', function() {
+    const tenantId = getTenantId();
+    if (!tenantId || this.options.skipTenantScope) return;
+
+    this.pipeline().unshift({ $match: { [field]: new mongoose.Types.ObjectId(tenantId) } });
+  });
+
+  if (field !== '_id') {
+    schema.pre('validate', function() {
+      const tenantId = getTenantId();
+      if (!tenantId) return;
+
+      if (this.isNew && !this[field]) this[field] = tenantId;
+      if (this[field] && this[field].toString() !== tenantId) {
+        const error = new mongoose.Error.ValidationError(this);
+        error.addError(field, new mongoose.Error.ValidatorError({
+          message: 'Cannot write records for another institution',
+          path: field
+        }));
+        throw error;
+      }
+    });
+  }
+};
+
+export default tenantScope;
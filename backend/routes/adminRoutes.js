@@ -1,6 +1,12 @@
 import express from "express";
 import * as adminController from "../controllers/adminController.js";
-import { protect, restrictTo } from "../middleware/auth.js";
+import * as claimController from "../controllers/claimController.js";
+import {
+  protect,
+  restrictTo,
+  requireTwoFactor,
+} from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validation.js";
 
 const router = express.Router();
 
@@ -17,9 +23,49 @@ router.put("/institutions/:id/verify", adminController.verifyInstitution);
 router.get("/users/:id", adminController.getUser);
 router.put("/users/:id", adminController.updateUser);
 
+// Permissions
+router.get("/users/:id/permissions", adminController.getUserPermissions);
+router.put(
+  "/users/:id/permissions",
+  validate(schemas.updatePermissions),
+  adminController.updateUserPermissions,
+);
+
+// Login protection
+router.put("/users/:id/unlock", adminController.unlockUser);
+router.delete("/login-blocks/:ip", adminController.unblockLoginIp);
+
+// Session management
+router.get("/users/:id/sessions", adminController.getUserSessions);
+router.delete("/users/:id/sessions", adminController.revokeAllUserSessions);
+router.delete(
+  "/users/:id/sessions/:sessionId",
+  adminController.revokeUserSession,
+);
+
 router.get("/institutions", adminController.getAllInstitutions);
 router.get("/institutions/:id", adminController.getInstitution);
 router.put("/institutions/:id", adminController.updateInstitutionAdmin);
-router.delete("/institutions/:id", adminController.deleteInstitutionAdmin);
+router.delete(
+  "/institutions/:id",
+  requireTwoFactor,
+  adminController.deleteInstitutionAdmin,
+);
+
+// Learner claims against institutions not on the platform
+router.get("/credential-claims", claimController.getUnassignedClaims);
+router.put(
+  "/credential-claims/:claimId/assign",
+  validate(schemas.assignClaim),
+  claimController.assignClaim,
+);
+
+// Security policy
+router.get("/security-policy", adminController.getSecurityPolicy);
+router.put(
+  "/security-policy",
+  validate(schemas.securityPolicy),
+  adminController.updateSecurityPolicy,
+);
 
 export default router;
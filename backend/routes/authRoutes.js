@@ -1,6 +1,7 @@
 import express from 'express';
 import * as authController from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import * as twoFactorController from '../controllers/twoFactorController.js';
+import { protect, protectAllowingTwoFactorSetup } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -8,7 +9,24 @@ const router = express.Router();
 router.post('/register', validate(schemas.register), authController.register);
 router.post('/login', validate(schemas.login), authController.login);
 router.post('/refresh', authController.refreshToken);
-router.get('/me', protect, authController.getMe);
-router.post('/logout', protect, authController.logout);
+router.post('/forgot-password', validate(schemas.forgotPassword), authController.forgotPassword);
+router.patch('/reset-password/:token', validate(schemas.resetPassword), authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/resend-verification', protect, authController.resendVerification);
+router.get('/me', protectAllowingTwoFactorSetup, authController.getMe);
+router.post('/logout', protectAllowingTwoFactorSetup, authController.logout);
+
+// Session management
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions', protect, authController.revokeOtherSessions);
+router.delete('/sessions/:id', protect, authController.revokeSession);
+
+// Two-factor authentication
+router.post('/2fa/login', validate(schemas.twoFactorLogin), twoFactorController.verifyLogin);
+router.get('/2fa', protectAllowingTwoFactorSetup, twoFactorController.getStatus);
+router.post('/2fa/setup', protectAllowingTwoFactorSetup, twoFactorController.setup);
+router.post('/2fa/confirm', protectAllowingTwoFactorSetup, validate(schemas.twoFactorCode), twoFactorController.confirm);
+router.post('/2fa/recovery-codes', protect, validate(schemas.twoFactorCode), twoFactorController.regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, validate(schemas.twoFactorDisable), twoFactorController.disable);
 
 export default router;
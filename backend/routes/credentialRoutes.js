@@ -1,39 +1,139 @@
 import express from "express";
 import * as credentialController from "../controllers/credentialController.js";
-import { protect, restrictTo } from "../middleware/auth.js";
-import { validateMultipart, schemas } from "../middleware/validation.js";
-import upload from "../config/cloudinary.js";
+import * as bulkIssuanceController from "../controllers/bulkIssuanceController.js";
+import * as claimController from "../controllers/claimController.js";
+import {
+  protect,
+  checkTenant,
+  restrictTo,
+  requirePermission,
+  requireVerifiedEmail,
+  requirePolicyTwoFactor,
+} from "../middleware/auth.js";
+import {
+  validate,
+  validateMultipart,
+  schemas,
+} from "../middleware/validation.js";
+import { certificateUpload, bulkUpload } from "../config/multer.js";
 
 const router = express.Router();
 
+router.post(
+  "/vc/verify",
+  credentialController.verifyVerifiableCredentialDocument,
+);
+
 router.use(protect);
+router.use(checkTenant);
 
 router
   .route("/")
   .get(credentialController.getCredentials)
   .post(
     restrictTo("institution"),
-    upload.single("file"),
+    requirePermission("credential:issue"),
+    requireVerifiedEmail,
+    certificateUpload.single("file"),
     validateMultipart(schemas.createCredential),
     credentialController.createCredential,
   );
 
+router.post(
+  "/from-template/:templateId",
+  restrictTo("institution"),
+  requirePermission("credential:issue"),
+  requireVerifiedEmail,
+  certificateUpload.single("file"),
+  validateMultipart(schemas.issueFromTemplate),
+  credentialController.issueFromTemplate,
+);
+
+// Bulk issuance (declared before /:id)
+router.use("/bulk", restrictTo("institution"), requirePermission("credential:issue"));
+router
+  .route("/bulk")
+  .get(bulkIssuanceController.getBulkJobs)
+  .post(
+    requireVerifiedEmail,
+    bulkUpload.fields([
+      { name: "file", maxCount: 1 },
+      { name: "certificates", maxCount: 1 },
+    ]),
+    bulkIssuanceController.createBulkIssuance,
+  );
+router.get("/bulk/:jobId", bulkIssuanceController.getBulkJob);
+router.get("/bulk/:jobId/report", bulkIssuanceController.getBulkJobReport);
+
+// Learner claim verification queue (declared before /:id)
+router.use("/claims", requirePermission("credential:verify"));
+router.get("/claims", claimController.getClaimQueue);
+router.get("/claims/:claimId", claimController.getClaim);
+router.put(
+  "/claims/:claimId/review",
+  requirePolicyTwoFactor,
+  validate(schemas.reviewClaim),
+  claimController.reviewClaim,
+);
+
 router
   .route("/:id")
   .get(credentialController.getCredential)
   .put(
-    restrictTo("institution", "admin"),
+    requirePermission("credential:update"),
     credentialController.updateCredential,
   )
   .delete(
-    restrictTo("institution", "admin"),
+    requirePermission("credential:delete"),
     credentialController.deleteCredential,
   );
 
+router.get("/:id/history", credentialController.getCredentialHistory);
+router.get(
+  "/:id/history/:version",
+  credentialController.getCredentialVersion,
+);
+router.get("/:id/vc", credentialController.getVerifiableCredential);
+router.get("/:id/openbadge", credentialController.getOpenBadge);
+router.get("/:id/openbadge/image", credentialController.getBakedBadge);
+router.get("/:id/qr", credentialController.getQrCode);
+router.get("/:id/qr/certificate", credentialController.getStampedCertificate);
+
 router.put(
   "/:id/verify",
-  restrictTo("institution", "admin"),
+  requirePermission("credential:verify"),
+  requirePolicyTwoFactor,
+  validate(schemas.verifyCredential),
   credentialController.verifyCredential,
 );
 
+router.post(
+  "/:id/renew",
+  requirePermission("credential:issue"),
+  requireVerifiedEmail,
+  validate(schemas.renewCredential),
+  credentialController.renewCredential,
+);
+
+// Revocation workflow
+router.get("/:id/status-history", credentialController.getStatusHistory);
+router.post(
+  "/:id/revoke",
+  requirePermission("credential:revoke"),
+  validate(schemas.credentialStatusChange),
+  credentialController.revokeCredential,
+);
+router.post(
+  "/:id/suspend",
+  requirePermission("credential:revoke"),
+  validate(schemas.credentialStatusChange),
+  credentialController.suspendCredential,
+);
+router.post(
+  "/:id/reinstate",
+  requirePermission("credential:revoke"),
+  validate(schemas.credentialStatusChange),
+  credentialController.reinstateCredential,
+);
+
 export default router;
@@ -1,10 +1,68 @@
 import express from "express";
 import * as employerController from "../controllers/employerController.js";
 import * as jobController from "../controllers/jobController.js";
-import { protect, restrictTo } from "../middleware/auth.js";
+import * as applicationController from "../controllers/applicationController.js";
+import * as apiKeyController from "../controllers/apiKeyController.js";
+import {
+  protect,
+  protectWithApiKey,
+  restrictTo,
+  requirePermission,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
+import { certificateUpload } from "../config/multer.js";
+import { validate, schemas } from "../middleware/validation.js";
 
 const router = express.Router();
 
+// Routes open to ATS integrations: employer JWT or X-API-Key with the scope
+const verifyAccess = [
+  protectWithApiKey("verify"),
+  restrictTo("employer"),
+  requirePermission("credential:check"),
+];
+const searchAccess = [
+  protectWithApiKey("search"),
+  restrictTo("employer"),
+  requirePermission("learner:search"),
+];
+const jobsAccess = [protectWithApiKey("jobs"), restrictTo("employer")];
+const jobsWriteAccess = [...jobsAccess, requirePermission("job:write")];
+
+// Credential verification
+router.post(
+  "/verify-credential",
+  verifyAccess,
+  certificateUpload.single("file"),
+  employerController.verifyCredential,
+);
+router.post("/bulk-verify", verifyAccess, jobController.bulkVerifyCredentials);
+
+// Learner search
+router.get("/search-learners", searchAccess, employerController.searchLearners);
+
+// Job routes
+router.post("/jobs/create", jobsWriteAccess, jobController.createJob);
+router.get("/matches", jobsAccess, jobController.getJobMatches);
+router.get("/jobs", jobsAccess, jobController.getJobs);
+router.get("/jobs/:id", jobsAccess, jobController.getJob);
+router.put("/jobs/:id", jobsWriteAccess, jobController.updateJob);
+router.delete("/jobs/:id", jobsWriteAccess, jobController.deleteJob);
+
+// Applicant pipeline
+router.get(
+  "/jobs/:id/applicants",
+  jobsAccess,
+  applicationController.getApplicants,
+);
+router.put(
+  "/jobs/:id/applicants/:learnerId",
+  jobsWriteAccess,
+  validate(schemas.applicantStatus),
+  applicationController.updateApplicantStatus,
+);
+
+// Everything below requires an employer login
 router.use(protect);
 router.use(restrictTo("employer"));
 
@@ -13,20 +71,15 @@ router.get("/profile", employerController.getProfile);
 router.put("/profile", employerController.updateProfile);
 router.delete("/profile", employerController.deleteAccount);
 
-// Credential verification
-router.post("/verify-credential", employerController.verifyCredential);
-router.post("/bulk-verify", jobController.bulkVerifyCredentials);
-
-// Learner search
-router.get("/search-learners", employerController.searchLearners);
-
-// Job routes
-router.post("/jobs/create", jobController.createJob);
-router.get("/matches", jobController.getJobMatches);
-router.get("/jobs", jobController.getJobs);
-router.get("/jobs/:id", jobController.getJob);
-router.put("/jobs/:id", jobController.updateJob);
-router.delete("/jobs/:id", jobController.deleteJob);
+// API keys
+router
+  .route("/api-keys")
+  .get(apiKeyController.getApiKeys)
+  .post(validate(schemas.createApiKey), apiKeyController.createApiKey);
+router
+  .route("/api-keys/:id")
+  .put(validate(schemas.updateApiKey), apiKeyController.updateApiKey)
+  .delete(apiKeyController.revokeApiKey);
 
 // Talent pool
 router.get("/talent-pool", jobController.getTalentPool);
@@ -34,7 +87,11 @@ router.post("/talent-pool/add", jobController.addToTalentPool);
 router.post("/talent-pool/remove", jobController.removeFromTalentPool);
 
 // Invitations
-router.post("/invite/:learnerId", jobController.inviteLearner);
+router.post(
+  "/invite/:learnerId",
+  requireVerifiedEmail,
+  jobController.inviteLearner,
+);
 
 // Analytics
 router.get("/reports/hires", jobController.getHiringAnalytics);
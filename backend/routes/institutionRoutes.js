@@ -1,28 +1,159 @@
 import express from "express";
 import * as institutionController from "../controllers/institutionController.js";
-import { protect, restrictTo } from "../middleware/auth.js";
+import * as staffController from "../controllers/staffController.js";
+import * as achievementDefinitionController from "../controllers/achievementDefinitionController.js";
+import * as credentialTemplateController from "../controllers/credentialTemplateController.js";
+import * as stackController from "../controllers/stackController.js";
+import * as creditController from "../controllers/creditController.js";
+import {
+  protect,
+  checkTenant,
+  restrictTo,
+  requirePermission,
+} from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validation.js";
 
 const router = express.Router();
 
 router.get("/", institutionController.getInstitutions);
+router.post(
+  "/invites/:token/accept",
+  validate(schemas.acceptInvite),
+  staffController.acceptInvite,
+);
 router.get("/:id", institutionController.getInstitution);
+router.get("/:id/keys", institutionController.getSigningKeys);
+router.get("/:id/issuer-profile", institutionController.getIssuerProfile);
+router.get("/:id/status-lists/:purpose", institutionController.getStatusList);
+router.get(
+  "/:id/achievement-definitions",
+  achievementDefinitionController.getDefinitions,
+);
+router.get(
+  "/:id/achievement-definitions/:definitionId",
+  achievementDefinitionController.getDefinition,
+);
+router.get("/:id/stack-rules", stackController.getStackRules);
+router.get("/:id/stack-rules/:ruleId", stackController.getStackRule);
 
 router.use(protect);
+router.use(checkTenant);
 
 router.post("/", restrictTo("admin"), institutionController.createInstitution);
 
 router
   .route("/:id")
   .put(
-    restrictTo("institution", "admin"),
+    requirePermission("institution:update"),
     institutionController.updateInstitution,
   )
   .delete(restrictTo("admin"), institutionController.deleteInstitution);
 
 router.get(
   "/:id/stats",
-  restrictTo("institution", "admin"),
+  requirePermission("institution:view-stats"),
   institutionController.getInstitutionStats,
 );
 
+router.post(
+  "/:id/keys/rotate",
+  requirePermission("institution:update"),
+  institutionController.rotateSigningKey,
+);
+
+// Open Badges achievement definitions
+router.post(
+  "/:id/achievement-definitions",
+  requirePermission("credential:issue"),
+  validate(schemas.achievementDefinition),
+  achievementDefinitionController.createDefinition,
+);
+router
+  .route("/:id/achievement-definitions/:definitionId")
+  .put(
+    requirePermission("credential:issue"),
+    validate(schemas.updateAchievementDefinition),
+    achievementDefinitionController.updateDefinition,
+  )
+  .delete(
+    requirePermission("credential:issue"),
+    achievementDefinitionController.deleteDefinition,
+  );
+
+// Credential templates
+router
+  .route("/:id/credential-templates")
+  .get(
+    restrictTo("institution", "admin"),
+    credentialTemplateController.getTemplates,
+  )
+  .post(
+    requirePermission("credential:issue"),
+    validate(schemas.credentialTemplate),
+    credentialTemplateController.createTemplate,
+  );
+router
+  .route("/:id/credential-templates/:templateId")
+  .get(
+    restrictTo("institution", "admin"),
+    credentialTemplateController.getTemplate,
+  )
+  .put(
+    requirePermission("credential:issue"),
+    validate(schemas.updateCredentialTemplate),
+    credentialTemplateController.updateTemplate,
+  )
+  .delete(
+    requirePermission("credential:issue"),
+    credentialTemplateController.deleteTemplate,
+  );
+
+// Stackable credential rules
+router.post(
+  "/:id/stack-rules",
+  requirePermission("credential:issue"),
+  validate(schemas.stackRule),
+  stackController.createStackRule,
+);
+router
+  .route("/:id/stack-rules/:ruleId")
+  .put(
+    requirePermission("credential:issue"),
+    validate(schemas.updateStackRule),
+    stackController.updateStackRule,
+  )
+  .delete(
+    requirePermission("credential:issue"),
+    stackController.deleteStackRule,
+  );
+
+// National Credit Framework credit transfer
+router
+  .route("/:id/credit-redemptions")
+  .get(requirePermission("credit:redeem"), creditController.getRedemptions)
+  .post(
+    requirePermission("credit:redeem"),
+    validate(schemas.creditRedemption),
+    creditController.createRedemption,
+  );
+
+// Staff management
+router.use("/:id/staff", requirePermission("institution:manage-staff"));
+
+router.get("/:id/staff", staffController.getStaff);
+router
+  .route("/:id/staff/invites")
+  .get(staffController.getInvites)
+  .post(validate(schemas.inviteStaff), staffController.inviteStaff);
+router.delete("/:id/staff/invites/:inviteId", staffController.revokeInvite);
+router.post(
+  "/:id/staff/transfer-ownership",
+  validate(schemas.transferOwnership),
+  staffController.transferOwnership,
+);
+router
+  .route("/:id/staff/:userId")
+  .put(validate(schemas.updateStaffRole), staffController.updateStaffRole)
+  .delete(staffController.removeStaff);
+
 export default router;
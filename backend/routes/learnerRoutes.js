@@ -2,8 +2,17 @@ import express from "express";
 import * as portfolioController from "../controllers/portfolioController.js";
 import * as achievementController from "../controllers/achievementController.js";
 import * as learnerController from "../controllers/learnerController.js";
+import * as applicationController from "../controllers/applicationController.js";
+import * as claimController from "../controllers/claimController.js";
+import * as stackController from "../controllers/stackController.js";
+import * as creditController from "../controllers/creditController.js";
 import { protect, restrictTo } from "../middleware/auth.js";
-import { validate, schemas } from "../middleware/validation.js";
+import {
+  validate,
+  validateMultipart,
+  schemas,
+} from "../middleware/validation.js";
+import { badgeUpload, certificateUpload } from "../config/multer.js";
 
 const router = express.Router();
 
@@ -33,6 +42,33 @@ router.delete("/skills/:id", learnerController.deleteSkill);
 
 // Credentials
 router.get("/credentials", learnerController.getCredentials);
+router.get("/verifications", learnerController.getVerifications);
+router.get("/credits", creditController.getMyCredits);
+
+// Claims for credentials issued outside the platform
+router
+  .route("/claims")
+  .get(claimController.getMyClaims)
+  .post(
+    certificateUpload.single("file"),
+    validateMultipart(schemas.credentialClaim),
+    claimController.submitClaim,
+  );
+router.delete("/claims/:claimId", claimController.withdrawClaim);
+
+// Stackable credentials
+router.get("/stacks", stackController.getMyStacks);
+router.post("/stacks/awards/:awardId/accept", stackController.acceptOffer);
+router.post("/stacks/awards/:awardId/decline", stackController.declineOffer);
+
+// Job applications
+router.get("/applications", applicationController.getMyApplications);
+router.post(
+  "/jobs/:id/apply",
+  validate(schemas.jobApplication),
+  applicationController.applyToJob,
+);
+router.delete("/jobs/:id/apply", applicationController.withdrawApplication);
 
 // Career and skill gap
 router.get(
@@ -56,5 +92,10 @@ router.get("/achievements", achievementController.getAchievements);
 router.get("/achievements/:id", achievementController.getAchievementById);
 router.put("/achievements/:id", achievementController.updateAchievement);
 router.delete("/achievements/:id", achievementController.deleteAchievement);
+router.post(
+  "/badges/import",
+  badgeUpload.single("file"),
+  achievementController.importOpenBadge,
+);
 
 export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import * as verificationController from "../controllers/verificationController.js";
+import { verificationLimiter } from "../middleware/rateLimiter.js";
+import { certificateUpload } from "../config/multer.js";
+
+const router = express.Router();
+
+router.use(verificationLimiter);
+
+router.get("/t/:token", verificationController.verifyByToken);
+router.post(
+  "/file",
+  certificateUpload.single("file"),
+  verificationController.verifyByFile,
+);
+router.get("/:credentialNumber", verificationController.verifyByCredentialNumber);
+
+export default router;
@@ -1,81 +1,34 @@
-import express from "express";
 import dotenv from "dotenv";
-import cors from "cors";
-import helmet from "helmet";
-import mongoSanitize from "express-mongo-sanitize";
-import xss from "xss-clean";
-import compression from "compression";
-import morgan from "morgan";
 import connectDB from "./config/database.js";
-import errorHandler from "./middleware/errorHandler.js";
-import rateLimiter from "./middleware/rateLimiter.js";
-import authRoutes from "./routes/authRoutes.js";
-import learnerRoutes from "./routes/learnerRoutes.js";
-import credentialRoutes from "./routes/credentialRoutes.js";
-import institutionRoutes from "./routes/institutionRoutes.js";
-import employerRoutes from "./routes/employerRoutes.js";
-import adminRoutes from "./routes/adminRoutes.js";
-import aiRoutes from "./routes/aiRoutes.js";
-
-import portfolioRoutes from "./routes/portfolioRoutes.js";
-import fileRoutes from "./routes/fileRoutes.js";
+import app from "./app.js";
+import Institution from "./models/Institution.js";
+import { startScheduler } from "./services/scheduler.js";
+import { assertMailConfig } from "./services/mailService.js";
+import { assertEncryptionKey } from "./utils/encryption.js";
 
 // Load environment variables
 dotenv.config();
 
-// Connect to database
-connectDB();
-
-const app = express();
-
-// Security middleware
-app.use(helmet());
-app.use(cors({ origin: process.env.CORS_ORIGIN, credentials: true }));
-app.use(mongoSanitize());
-app.use(xss());
-
-// Body parser
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
-
-// Compression
-app.use(compression());
-
-// Logging
-if (process.env.NODE_ENV === "development") {
-  app.use(morgan("dev"));
-}
-
-// Rate limiting
-app.use("/api/", rateLimiter);
-
-// Static files
-app.use("/uploads", express.static("uploads"));
-
-// Health check
-app.get("/health", (req, res) => {
-  res.status(200).json({ status: "OK", timestamp: new Date().toISOString() });
-});
-
-// API Routes
-app.use("/api/v1/auth", authRoutes);
-app.use("/api/v1/learners", learnerRoutes);
-app.use("/api/v1/credentials", credentialRoutes);
-app.use("/api/v1/institutions", institutionRoutes);
-app.use("/api/v1/employers", employerRoutes);
-app.use("/api/v1/admin", adminRoutes);
-app.use("/api/v1/ai", aiRoutes);
+// Refuse to start in production without a real mail server
+assertMailConfig();
 
-app.use("/api/v1/portfolio", portfolioRoutes);
-app.use("/api/v1/files", fileRoutes);
+// Secrets at rest (2FA seeds, signing keys) cannot be read without it
+assertEncryptionKey();
 
-// Error handler (must be last)
-app.use(errorHandler);
+// Connect to database, then give institutions verified before signing keys
+// existed the key they need to issue
+connectDB()
+  .then(() => Institution.backfillSigningKeys())
+  .then((created) => {
+    if (created) console.log(`Created signing keys for ${created} verified institutions`);
+  })
+  .catch((error) => console.error("Signing key backfill failed:", error.message));
 
 const PORT = process.env.PORT || 5000;
 
 const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+  startScheduler();
 });
 
 // Handle unhandled promise rejections
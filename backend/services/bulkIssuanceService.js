@@ -0,0 +1,459 @@
+import path from "path";
+import ExcelJS from "exceljs";
+import AdmZip from "adm-zip";
+import User from "../models/User.js";
+import Credential from "../models/Credential.js";
+import BulkIssuanceJob from "../models/BulkIssuanceJob.js";
+import { schemas } from "../middleware/validation.js";
+import { parseCsv, toCsv } from "../utils/csv.js";
+import { issueCredential, storeCertificateFile } from "./credentialService.js";
+import aiService from "./aiService.js";
+
+export const maxBulkRows = () => parseInt(process.env.BULK_ISSUANCE_MAX_ROWS) || 1000;
+
+// Certificate archive limits, checked before anything is decompressed
+const maxCertificateSize = () => parseInt(process.env.MAX_FILE_SIZE) || 5242880;
+const maxCertificatesTotalSize = () =>
+  parseInt(process.env.BULK_CERTIFICATES_MAX_TOTAL_SIZE) || 104857600;
+// Archives made on macOS hold a "._" metadata entry for every file
+const maxZipEntries = () => maxBulkRows() * 2;
+
+const HEARTBEAT_MS = 30 * 1000;
+export const staleJobMs = () => (parseInt(process.env.BULK_JOB_STALE_MINUTES) || 2) * 60 * 1000;
+
+const CERTIFICATE_TYPES = {
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+};
+
+// Accepted spellings of each column, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  learnerEmail: ["learneremail", "email"],
+  learnerId: ["learnerid"],
+  title: ["title"],
+  description: ["description"],
+  type: ["type"],
+  category: ["category"],
+  issueDate: ["issuedate"],
+  expiryDate: ["expirydate"],
+  credentialNumber: ["credentialnumber"],
+  nsqfLevel: ["nsqflevel"],
+  fileName: ["filename", "file", "certificate"],
+};
+
+const normalizeHeader = (header) =>
+  String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const cellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    // ExcelJS rich text, hyperlink and formula cells
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return value.result;
+  }
+  return typeof value === "string" ? value.trim() : value;
+};
+
+/**
+ * Read the first sheet of a CSV or XLSX upload into header + row arrays
+ */
+const readSheet = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (extension === ".csv") {
+    return parseCsv(file.buffer.toString("utf8"));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(file.buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based
+    rows.push(row.values.slice(1).map(cellValue));
+  });
+  return rows;
+};
+
+/**
+ * Parse the spreadsheet into row objects keyed by canonical column names
+ * @returns {Promise<Array<{ row: number, data: Object }>>}
+ */
+export const parseSpreadsheet = async (file) => {
+  const [header = [], ...rows] = await readSheet(file);
+
+  const columns = header.map((name) => {
+    const normalized = normalizeHeader(name);
+    return Object.keys(COLUMN_ALIASES).find((key) =>
+      COLUMN_ALIASES[key].includes(normalized),
+    );
+  });
+
+  return rows.map((cells, index) => {
+    const data = {};
+    columns.forEach((column, position) => {
+      const value = cellValue(cells[position]);
+      if (column && value !== "") data[column] = value;
+    });
+    return { row: index + 2, data };
+  });
+};
+
+/**
+ * Index certificate files in a ZIP by lower-cased base name. Throws for
+ * archives with too many entries or certificates too large, judged by the
+ * sizes the archive declares (adm-zip inflates no more than the declared size).
+ * @returns {Map<string, { name: string, buffer: Buffer, mimetype: string }>}
+ */
+export const readCertificates = (zipFile) => {
+  const certificates = new Map();
+  if (!zipFile) return certificates;
+
+  const entries = new AdmZip(zipFile.buffer).getEntries();
+  if (entries.length > maxZipEntries()) {
+    throw new Error(`The certificates ZIP can contain at most ${maxZipEntries()} entries`);
+  }
+
+  let totalSize = 0;
+  entries.forEach((entry) => {
+    if (entry.isDirectory) return;
+    const name = path.basename(entry.entryName);
+    const mimetype = CERTIFICATE_TYPES[path.extname(name).toLowerCase()];
+    if (!mimetype || name.startsWith(".")) return;
+
+    // A declared size of 0 would let the entry inflate without a limit
+    const { size } = entry.header;
+    if (!size || size > maxCertificateSize()) {
+      throw new Error(`Certificate "${name}" must be between 1 and ${maxCertificateSize()} bytes`);
+    }
+    totalSize += size;
+    if (totalSize > maxCertificatesTotalSize()) {
+      throw new Error(`Certificates in the ZIP exceed ${maxCertificatesTotalSize()} bytes in total`);
+    }
+
+    certificates.set(name.toLowerCase(), { name, buffer: entry.getData(), mimetype });
+  });
+
+  return certificates;
+};
+
+/**
+ * Match a row to its certificate: the fileName column, or <credentialNumber>.<ext>
+ */
+const findCertificate = (data, certificates) => {
+  if (data.fileName) {
+    return certificates.get(path.basename(String(data.fileName)).toLowerCase());
+  }
+  if (!data.credentialNumber) return undefined;
+
+  const base = String(data.credentialNumber).toLowerCase();
+  return Object.keys(CERTIFICATE_TYPES)
+    .map((extension) => certificates.get(`${base}${extension}`))
+    .find(Boolean);
+};
+
+/**
+ * Validate every row without writing anything
+ * @param {Array} rows - From parseSpreadsheet
+ * @param {Map} certificates - From readCertificates
+ * @returns {Promise<{ rows: Array, summary: Object }>}
+ */
+export const validateRows = async (rows, certificates) => {
+  const emails = rows
+    .map(({ data }) => data.learnerEmail && String(data.learnerEmail).toLowerCase())
+    .filter(Boolean);
+  const ids = rows
+    .map(({ data }) => data.learnerId && String(data.learnerId))
+    .filter((id) => /^[a-f\d]{24}$/i.test(id || ""));
+
+  const [learners, existing] = await Promise.all([
+    User.find({
+      role: "learner",
+      $or: [{ email: { $in: emails } }, { _id: { $in: ids } }],
+    }).select("email"),
+    // Credential numbers are unique across all institutions
+    Credential.find({
+      credentialNumber: { $in: rows.map(({ data }) => String(data.credentialNumber || "")) },
+    })
+      .setOptions({ skipTenantScope: true })
+      .select("credentialNumber"),
+  ]);
+
+  const learnersByEmail = new Map(learners.map((learner) => [learner.email, learner]));
+  const learnersById = new Map(learners.map((learner) => [learner.id, learner]));
+  const taken = new Set(existing.map((credential) => credential.credentialNumber));
+  const seen = new Set();
+
+  const validated = rows.map(({ row, data }) => {
+    const errors = [];
+
+    const learner = data.learnerId
+      ? learnersById.get(String(data.learnerId))
+      : data.learnerEmail && learnersByEmail.get(String(data.learnerEmail).toLowerCase());
+    if (!data.learnerId && !data.learnerEmail) {
+      errors.push("learnerEmail or learnerId is required");
+    } else if (!learner) {
+      errors.push("Learner not found");
+    }
+
+    // Spreadsheet cells may hold numbers where the schema expects strings
+    const credentialNumber = data.credentialNumber && String(data.credentialNumber);
+    const { fileName, learnerEmail, ...fields } = data;
+    const { error, value } = schemas.createCredential.validate(
+      {
+        ...fields,
+        credentialNumber,
+        learnerId: learner ? learner.id : String(data.learnerId || "unknown"),
+      },
+      { abortEarly: false },
+    );
+    if (error) errors.push(...error.details.map((detail) => detail.message));
+
+    if (credentialNumber && taken.has(credentialNumber)) {
+      errors.push("Credential number already exists");
+    } else if (credentialNumber && seen.has(credentialNumber)) {
+      errors.push("Credential number is repeated in this file");
+    }
+    if (credentialNumber) seen.add(credentialNumber);
+
+    // Rows without a named or matching certificate are issued without a file
+    const certificate = findCertificate(data, certificates);
+    if (data.fileName && !certificate) {
+      errors.push(`Certificate file "${data.fileName}" not found in ZIP`);
+    }
+
+    return {
+      row,
+      credentialNumber,
+      learner: learner ? learner.email : data.learnerEmail || data.learnerId,
+      valid: errors.length === 0,
+      errors,
+      value,
+      certificate,
+    };
+  });
+
+  const invalid = validated.filter((row) => !row.valid).length;
+
+  return {
+    rows: validated,
+    summary: {
+      totalRows: validated.length,
+      validRows: validated.length - invalid,
+      invalidRows: invalid,
+      certificatesInZip: certificates.size,
+    },
+  };
+};
+
+/**
+ * Report rows without the parsed values and file buffers
+ */
+export const toReportRows = (rows) =>
+  rows.map(({ row, credentialNumber, learner, valid, errors, certificate }) => ({
+    row,
+    credentialNumber,
+    learner,
+    certificate: certificate?.name || null,
+    valid,
+    errors,
+  }));
+
+/**
+ * Issue one validated row
+ */
+const issueRow = async (row, { institutionId, issuedBy }) => {
+  const { certificate, value } = row;
+
+  const analysis = await aiService.analyzeCredential(value.description);
+  const file = certificate
+    ? await storeCertificateFile({
+        buffer: certificate.buffer,
+        originalname: certificate.name,
+        mimetype: certificate.mimetype,
+      })
+    : undefined;
+
+  return issueCredential({
+    learnerId: value.learnerId,
+    institutionId,
+    title: value.title,
+    description: value.description,
+    type: value.type,
+    category: value.category,
+    issueDate: value.issueDate,
+    expiryDate: value.expiryDate,
+    credentialNumber: value.credentialNumber,
+    skills: analysis.skills,
+    nsqfLevel: value.nsqfLevel || analysis.nsqfLevel,
+    file,
+    issuedBy,
+  });
+};
+
+/**
+ * Issue the valid rows of a job one at a time, saving progress after each row
+ * @param {Object} job - BulkIssuanceJob (results already hold every row)
+ * @param {Array} rows - Validated rows to issue
+ */
+export const processBulkIssuance = async (job, rows) => {
+  job.status = "processing";
+  job.startedAt = Date.now();
+  job.heartbeatAt = Date.now();
+  await job.save();
+
+  // Rows can take a while (AI analysis, file upload), so beat between saves too
+  const heartbeat = setInterval(() => {
+    BulkIssuanceJob.updateOne({ _id: job._id }, { heartbeatAt: Date.now() })
+      .setOptions({ skipTenantScope: true })
+      .catch((error) => console.error("Bulk issuance heartbeat failed:", error.message));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    for (const row of rows) {
+      const result = job.results.find((entry) => entry.row === row.row);
+
+      try {
+        const credential = await issueRow(row, {
+          institutionId: job.institutionId,
+          issuedBy: job.createdBy,
+        });
+        result.status = "issued";
+        result.credentialId = credential._id;
+        job.issuedCount += 1;
+      } catch (error) {
+        result.status = "failed";
+        result.messages = [
+          error.code === 11000 ? "Credential number already exists" : error.message,
+        ];
+        job.failedCount += 1;
+      }
+
+      job.processedRows += 1;
+      job.heartbeatAt = Date.now();
+      await job.save();
+    }
+
+    job.status = "completed";
+  } catch (error) {
+    job.status = "failed";
+    job.error = error.message;
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  job.completedAt = Date.now();
+  await job.save();
+};
+
+/**
+ * Fail jobs whose worker stopped (e.g. the server restarted mid-job). Their
+ * spreadsheet and certificates were only held in memory, so they cannot be
+ * resumed; rows not yet issued are marked failed and can be uploaded again.
+ * @returns {Promise<number>} - Number of jobs failed
+ */
+export const failInterruptedJobs = async (now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - staleJobMs());
+  const stale = {
+    $or: [
+      { status: "processing", heartbeatAt: { $lt: staleBefore } },
+      { status: "queued", createdAt: { $lt: staleBefore } },
+    ],
+  };
+
+  const jobs = await BulkIssuanceJob.find(stale)
+    .select("results.status")
+    .setOptions({ skipTenantScope: true });
+
+  let failed = 0;
+  for (const job of jobs) {
+    const pending = job.results.filter((result) => result.status === "pending").length;
+
+    // Conditional on still being stale, so a job that resumed beating is left alone
+    const result = await BulkIssuanceJob.updateOne(
+      { _id: job._id, ...stale },
+      {
+        $set: {
+          status: "failed",
+          error: "Interrupted before it finished; upload the failed rows again",
+          completedAt: now,
+          "results.$[row].messages": ["Not issued: the job was interrupted"],
+          "results.$[row].status": "failed",
+        },
+        $inc: { failedCount: pending },
+      },
+      { arrayFilters: [{ "row.status": "pending" }] },
+    ).setOptions({ skipTenantScope: true });
+
+    failed += result.modifiedCount;
+  }
+
+  return failed;
+};
+
+/**
+ * Create a job for the validated rows and start issuing in the background
+ * @returns {Promise<Object>} - The queued job
+ */
+export const startBulkIssuance = async ({ institutionId, userId, files, rows }) => {
+  const issuable = rows.filter((row) => row.valid);
+
+  const job = await BulkIssuanceJob.create({
+    institutionId,
+    createdBy: userId,
+    sourceFileName: files.file.originalname,
+    certificatesFileName: files.certificates?.originalname,
+    totalRows: issuable.length,
+    skippedCount: rows.length - issuable.length,
+    results: rows.map(({ row, credentialNumber, learner, valid, errors }) => ({
+      row,
+      credentialNumber,
+      learner,
+      status: valid ? "pending" : "skipped",
+      messages: errors,
+    })),
+  });
+
+  setImmediate(() => {
+    processBulkIssuance(job, issuable).catch((error) =>
+      console.error("Bulk issuance failed:", error),
+    );
+  });
+
+  return job;
+};
+
+/**
+ * Per-row result report as CSV
+ */
+export const buildReportCsv = (job) =>
+  toCsv([
+    ["row", "credentialNumber", "learner", "status", "credentialId", "messages"],
+    ...job.results.map((result) => [
+      result.row,
+      result.credentialNumber,
+      result.learner,
+      result.status,
+      result.credentialId,
+      (result.messages || []).join("; "),
+    ]),
+  ]);
+
+export default {
+  maxBulkRows,
+  parseSpreadsheet,
+  readCertificates,
+  validateRows,
+  toReportRows,
+  processBulkIssuance,
+  failInterruptedJobs,
+  startBulkIssuance,
+  buildReportCsv,
+};
@@ -0,0 +1,124 @@
+import Credential from "../models/Credential.js";
+import { sendMail } from "./mailService.js";
+import { reverseCredits, syncLearnerCredits } from "./creditLedgerService.js";
+import { reevaluateStackAwards } from "./stackService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reminder intervals in days before expiry, largest first (e.g. "60,30,7")
+ */
+const reminderDays = () =>
+  (process.env.CREDENTIAL_EXPIRY_REMINDER_DAYS || "60,30,7")
+    .split(",")
+    .map((value) => parseInt(value, 10))
+    .filter((value) => value > 0)
+    .sort((a, b) => b - a);
+
+/**
+ * Expire verified credentials whose expiryDate has passed, one at a time like
+ * any other status change: the status history entry, the credits reversed in
+ * the ledger, and the stack awards they counted toward re-checked. Each
+ * credential is claimed atomically, so concurrent runs (one per app instance)
+ * never expire it twice.
+ * @returns {Promise<number>} - Number of credentials expired
+ */
+export const expireCredentials = async (now = new Date()) => {
+  const due = { verificationStatus: "verified", expiryDate: { $lte: now } };
+  const candidates = await Credential.find(due)
+    .select("_id")
+    .setOptions({ skipTenantScope: true });
+
+  let expired = 0;
+
+  for (const { _id } of candidates) {
+    const credential = await Credential.findOneAndUpdate(
+      { _id, ...due },
+      {
+        $set: { verificationStatus: "expired" },
+        $push: {
+          statusHistory: {
+            status: "expired",
+            note: "Expiry date passed",
+            changedAt: now,
+          },
+        },
+      },
+      { new: true },
+    ).setOptions({ skipTenantScope: true });
+    if (!credential) continue;
+
+    expired += 1;
+    try {
+      await reverseCredits(credential, { reason: "Credential expired" });
+      await syncLearnerCredits(credential.learnerId);
+    } catch (error) {
+      console.error("Error updating credits of expired credential:", error.message);
+    }
+    await reevaluateStackAwards(credential);
+  }
+
+  return expired;
+};
+
+/**
+ * Email learners whose verified credentials expire within a reminder interval.
+ * Only the closest due interval is sent; larger ones are marked as sent so a
+ * credential first seen 5 days out gets one reminder, not three.
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+  const intervals = reminderDays();
+  if (!intervals.length) return 0;
+
+  const credentials = await Credential.find({
+    verificationStatus: "verified",
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + intervals[0] * DAY_MS) },
+  })
+    .populate("learnerId", "email firstName")
+    .populate("institutionId", "name");
+
+  let sent = 0;
+
+  for (const credential of credentials) {
+    const daysLeft = Math.ceil((credential.expiryDate - now) / DAY_MS);
+    const due = intervals.filter(
+      (days) => days >= daysLeft && !credential.expiryRemindersSent.includes(days),
+    );
+    if (!due.length) continue;
+
+    // Marked sent before mailing; with several app instances running the
+    // scheduler, only the one whose update lands sends the reminder
+    const claim = await Credential.updateOne(
+      { _id: credential._id, expiryRemindersSent: { $nin: due } },
+      { $addToSet: { expiryRemindersSent: { $each: due } } },
+    ).setOptions({ skipTenantScope: true });
+    if (!claim.modifiedCount) continue;
+
+    const learner = credential.learnerId;
+    if (learner && learner.email) {
+      try {
+        await sendMail({
+          to: learner.email,
+          subject: `Your credential "${credential.title}" expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`,
+          text: `Hi ${learner.firstName || "there"},\n\nYour credential "${credential.title}" (${credential.credentialNumber}) from ${credential.institutionId?.name || "your institution"} expires on ${credential.expiryDate.toDateString()}.\n\nContact the institution to renew it before it lapses; expired credentials are no longer shown as verified to employers.`,
+        });
+        sent += 1;
+      } catch (error) {
+        console.error("Error sending expiry reminder:", error.message);
+        // Released so a later run retries
+        await Credential.updateOne(
+          { _id: credential._id },
+          { $pullAll: { expiryRemindersSent: due } },
+        ).setOptions({ skipTenantScope: true });
+      }
+    }
+  }
+
+  return sent;
+};
+
+export default {
+  expireCredentials,
+  sendExpiryReminders,
+};
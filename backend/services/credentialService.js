@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import Credential from '../models/Credential.js';
+import Institution from '../models/Institution.js';
+import canonicalize from '../utils/canonicalize.js';
+import { encodeMultibase, decodeMultibase } from '../utils/multibase.js';
+import { signBytes, verifyBytes } from '../utils/signing.js';
+import { verificationLinkFor } from '../utils/verificationToken.js';
+import { hashBuffer } from '../utils/fileHash.js';
+import { uploadBuffer } from '../config/cloudinary.js';
+import { allocateStatusListIndex } from './statusListService.js';
+import { recordVersion } from './credentialVersionService.js';
+import { recordCreditsEarned } from './creditLedgerService.js';
+
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : null);
+
+const refId = (value) => (value && value._id ? value._id : value)?.toString() || null;
+
+/**
+ * Canonical payload covered by a credential's signature
+ * @param {Object} credential - Credential document
+ * @returns {string} - JCS-canonical JSON
+ */
+const buildSignaturePayload = (credential) =>
+  canonicalize({
+    credentialNumber: credential.credentialNumber,
+    institutionId: refId(credential.institutionId),
+    learnerId: refId(credential.learnerId),
+    title: credential.title,
+    description: credential.description,
+    type: credential.type,
+    category: credential.category || null,
+    nsqfLevel: credential.nsqfLevel ?? null,
+    skills: (credential.skills || []).map((skill) => ({
+      name: skill.name || null,
+      category: skill.category || null
+    })),
+    issueDate: toIsoDate(credential.issueDate),
+    expiryDate: toIsoDate(credential.expiryDate),
+    fileHash: credential.file?.hash || null
+  });
+
+/**
+ * Sign a credential with the institution's active key (caller saves it)
+ * @param {Object} credential - Credential document
+ * @param {Object} institution - Institution loaded with +signingKeys.privateKey
+ */
+const signCredential = (credential, institution) => {
+  const key = institution.getActiveSigningKey();
+  const signature = signBytes(
+    Buffer.from(buildSignaturePayload(credential)),
+    institution.getPrivateKey(key)
+  );
+
+  credential.signature = {
+    value: encodeMultibase(signature),
+    keyId: key.keyId,
+    algorithm: 'Ed25519',
+    signedAt: Date.now()
+  };
+
+  return credential;
+};
+
+/**
+ * Re-sign a credential after its signed fields changed
+ */
+const resignCredential = async (credential) => {
+  const institution = await Institution.loadForSigning(refId(credential.institutionId));
+  if (!institution) {
+    throw new Error('Issuing institution not found');
+  }
+  return signCredential(credential, institution);
+};
+
+/**
+ * Check a credential's signature against its institution's key history
+ * @param {Object} credential - Credential document
+ * @returns {Promise<Object>} - { signed, valid, keyId, publicKeyMultibase, keyStatus, signedAt, error }
+ */
+const verifyCredentialSignature = async (credential) => {
+  const signature = credential.signature;
+
+  if (!signature || !signature.value) {
+    return { signed: false, valid: false, error: 'Credential is not signed' };
+  }
+
+  const institution = await Institution.findById(refId(credential.institutionId)).select('signingKeys');
+  const key = institution && institution.getSigningKey(signature.keyId);
+
+  const result = {
+    signed: true,
+    valid: false,
+    keyId: signature.keyId,
+    publicKeyMultibase: key ? key.publicKeyMultibase : null,
+    keyStatus: key ? key.status : null,
+    signedAt: signature.signedAt,
+    error: null
+  };
+
+  if (!key) {
+    result.error = 'Signing key not found';
+    return result;
+  }
+
+  if (key.retiredAt && signature.signedAt > key.retiredAt) {
+    result.error = 'Signing key was retired before this signature was made';
+    return result;
+  }
+
+  let bytes;
+  try {
+    bytes = decodeMultibase(signature.value);
+  } catch (error) {
+    result.error = 'Malformed signature';
+    return result;
+  }
+
+  result.valid = verifyBytes(Buffer.from(buildSignaturePayload(credential)), bytes, key.publicKeyMultibase);
+  if (!result.valid) {
+    result.error = 'Signature does not match the credential contents';
+  }
+
+  return result;
+};
+
+/**
+ * Create, sign and count a new credential, recording it as version 1. One
+ * issued as verified earns its credits straight away.
+ * @param {Object} data - Credential fields (institutionId required), plus
+ *   issuedBy: the user recorded on the first version
+ * @returns {Promise<Object>} - Saved credential
+ */
+const issueCredential = async ({ issuedBy, ...data }) => {
+  const institution = await Institution.loadForSigning(data.institutionId);
+  if (!institution) {
+    throw new Error('Issuing institution not found');
+  }
+
+  const credential = new Credential(data);
+  credential.shareableLink = verificationLinkFor(credential._id);
+  await allocateStatusListIndex(credential);
+  signCredential(credential, institution);
+  await credential.save();
+  await recordVersion(credential, { reason: 'Issued', changedBy: issuedBy });
+
+  await Institution.findByIdAndUpdate(institution._id, {
+    $inc: { credentialsIssued: 1 }
+  });
+
+  // The credential is issued either way; a missed entry is added by the next sync
+  try {
+    await recordCreditsEarned(credential, { recordedBy: issuedBy });
+  } catch (error) {
+    console.error('Error recording credits of issued credential:', error.message);
+  }
+
+  return credential;
+};
+
+/**
+ * Upload certificate bytes to Cloudinary and describe them for Credential.file.
+ * The hash covers the file contents, so an identical copy can be matched later.
+ * @param {Object} file - { buffer, originalname, mimetype } (multer memory file)
+ * @returns {Promise<Object>}
+ */
+const storeCertificateFile = async ({ buffer, originalname, mimetype }) => {
+  const result = await uploadBuffer(buffer, {
+    public_id: `credential-${Date.now()}-${Math.round(Math.random() * 1e9)}`
+  });
+
+  return {
+    filename: result.public_id,
+    originalName: originalname,
+    path: result.secure_url,
+    mimetype,
+    size: buffer.length,
+    hash: hashBuffer(buffer),
+    cloudinaryId: result.public_id
+  };
+};
+
+/**
+ * Whether file.hash covers the file contents. Credentials issued before
+ * content hashing stored a hash of the Cloudinary URL, which cannot be
+ * compared with an uploaded copy.
+ */
+const hasContentHash = (file) =>
+  !!file?.hash &&
+  !(file.path && crypto.createHash('sha256').update(file.path).digest('hex') === file.hash);
+
+export {
+  buildSignaturePayload,
+  signCredential,
+  resignCredential,
+  verifyCredentialSignature,
+  issueCredential,
+  storeCertificateFile,
+  hasContentHash
+};
@@ -0,0 +1,43 @@
+import AppError from "../utils/appError.js";
+
+// Allowed verificationStatus changes; expiry is applied by the system
+export const STATUS_TRANSITIONS = {
+  pending: ["verified", "rejected"],
+  rejected: ["verified"],
+  verified: ["suspended", "revoked"],
+  suspended: ["verified", "revoked"],
+  expired: ["revoked"],
+  revoked: [],
+};
+
+/**
+ * Validate and record a status change with its reason (caller saves)
+ * @param {Object} credential - Credential document
+ * @param {string} status - New verificationStatus
+ * @param {Object} details - { reasonCode, note, userId }
+ * @returns {AppError|null} - Error if the change is not allowed
+ */
+export const changeStatus = (credential, status, { reasonCode, note, userId }) => {
+  const allowed = STATUS_TRANSITIONS[credential.verificationStatus] || [];
+  if (!allowed.includes(status)) {
+    return new AppError(
+      `Cannot change credential from ${credential.verificationStatus} to ${status}`,
+      400,
+    );
+  }
+
+  credential.verificationStatus = status;
+  credential.statusHistory.push({
+    status,
+    reasonCode,
+    note,
+    changedBy: userId,
+  });
+
+  return null;
+};
+
+export default {
+  STATUS_TRANSITIONS,
+  changeStatus,
+};
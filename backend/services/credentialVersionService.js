@@ -0,0 +1,119 @@
+import CredentialVersion from '../models/CredentialVersion.js';
+
+// Fields tracked between versions
+const VERSIONED_FIELDS = [
+  'credentialNumber',
+  'title',
+  'description',
+  'type',
+  'category',
+  'nsqfLevel',
+  'skills',
+  'issueDate',
+  'expiryDate',
+  'isPublic',
+  'fileHash'
+];
+
+// Changes a verifier must be told about; they need a reason
+const SIGNIFICANT_FIELDS = ['title', 'issueDate', 'expiryDate', 'credentialNumber', 'nsqfLevel'];
+
+const refId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Versioned fields of a credential as a plain object
+ * @param {Object} credential - Credential document
+ * @returns {Object}
+ */
+const snapshotCredential = (credential) => ({
+  credentialNumber: credential.credentialNumber,
+  title: credential.title,
+  description: credential.description,
+  type: credential.type,
+  category: credential.category,
+  nsqfLevel: credential.nsqfLevel,
+  skills: (credential.skills || []).map(({ name, category }) => ({ name, category })),
+  issueDate: credential.issueDate,
+  expiryDate: credential.expiryDate,
+  isPublic: credential.isPublic,
+  fileHash: credential.file?.hash
+});
+
+// Dates and arrays compare by their JSON form; unset and null are equal
+const comparable = (value) => JSON.stringify(value ?? null);
+
+/**
+ * Field-level differences between two snapshots
+ * @returns {Array<{ field, from, to }>}
+ */
+const diffSnapshots = (before, after) =>
+  VERSIONED_FIELDS.filter((field) => comparable(before[field]) !== comparable(after[field])).map(
+    (field) => ({ field, from: before[field] ?? null, to: after[field] ?? null })
+  );
+
+const isSignificant = (changes) => changes.some(({ field }) => SIGNIFICANT_FIELDS.includes(field));
+
+/**
+ * Store the credential's current contents as its current version
+ * @param {Object} credential - Saved credential document
+ * @param {Object} details - { changes, reason, changedBy, snapshot } (snapshot
+ *   defaults to the credential's current contents)
+ */
+const recordVersion = (credential, { changes = [], reason, changedBy, snapshot } = {}) =>
+  CredentialVersion.create({
+    credentialId: credential._id,
+    institutionId: refId(credential.institutionId),
+    version: credential.version,
+    snapshot: snapshot || snapshotCredential(credential),
+    changes,
+    reason,
+    significant: isSignificant(changes),
+    changedBy,
+    signature: credential.signature
+  });
+
+/**
+ * Credentials issued before versioning have no records; store their state
+ * before the first amendment so the history starts from what was issued
+ * @param {Object} credential - Credential document, not yet re-signed or saved
+ * @param {Object} snapshot - Its contents before the amendment
+ */
+const ensureBaselineVersion = async (credential, snapshot) => {
+  const exists = await CredentialVersion.exists({ credentialId: credential._id });
+  if (!exists) {
+    await recordVersion(credential, { reason: 'Recorded before first amendment', snapshot });
+  }
+};
+
+/**
+ * Credential-shaped object for an earlier version, suitable for
+ * verifyCredentialSignature and public verification results
+ * @param {Object} credential - Current credential document
+ * @param {Object} version - CredentialVersion document
+ */
+const credentialAtVersion = (credential, version) => {
+  const { fileHash, ...fields } = version.snapshot.toObject
+    ? version.snapshot.toObject()
+    : version.snapshot;
+
+  return {
+    ...fields,
+    _id: credential._id,
+    learnerId: credential.learnerId,
+    institutionId: credential.institutionId,
+    file: { hash: fileHash },
+    signature: version.signature,
+    version: version.version
+  };
+};
+
+export {
+  VERSIONED_FIELDS,
+  SIGNIFICANT_FIELDS,
+  snapshotCredential,
+  diffSnapshots,
+  isSignificant,
+  recordVersion,
+  ensureBaselineVersion,
+  credentialAtVersion
+};
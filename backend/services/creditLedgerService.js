@@ -0,0 +1,370 @@
+import CreditLedgerEntry from "../models/CreditLedgerEntry.js";
+import Credential from "../models/Credential.js";
+import AppError from "../utils/appError.js";
+import { runWithTenant } from "../utils/tenantContext.js";
+
+// Retries when another writer takes the same ledger sequence number
+const APPEND_ATTEMPTS = 3;
+
+// Renewal chains longer than this are not followed
+const MAX_RENEWAL_DEPTH = 20;
+
+const loadEntries = (learnerId) =>
+  CreditLedgerEntry.find({ learnerId })
+    .sort("sequence")
+    .setOptions({ skipTenantScope: true });
+
+/**
+ * Append an entry to a learner's ledger. `build` sees the current entries
+ * and returns the new entry's fields, or null to append nothing.
+ * @returns {Promise<Object|null>} - The new entry
+ */
+const appendEntry = async (learnerId, build) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const entries = await loadEntries(learnerId);
+    const data = await build(entries);
+    if (!data) return null;
+
+    const last = entries[entries.length - 1];
+    try {
+      return await runWithTenant(data.institutionId, () =>
+        CreditLedgerEntry.create({
+          ...data,
+          learnerId,
+          sequence: last ? last.sequence + 1 : 1,
+        }),
+      );
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Credits a credential currently contributes (earned less reversed)
+ */
+const netCredits = (entries, credentialId) =>
+  entries
+    .filter(
+      (entry) =>
+        entry.entryType !== "redemption" &&
+        sameId(entry.credentialId, credentialId),
+    )
+    .reduce((sum, entry) => sum + entry.credits, 0);
+
+/**
+ * Credentials holding credits, in the order they were earned
+ */
+const creditHolders = (entries) => {
+  const ids = [];
+  entries
+    .filter((entry) => entry.entryType === "earned")
+    .forEach((entry) => {
+      const id = entry.credentialId.toString();
+      if (!ids.includes(id) && netCredits(entries, id) > 0) ids.push(id);
+    });
+  return ids;
+};
+
+/**
+ * Ids of the credentials earlier redemptions drew on. Redemptions recorded
+ * without credentials drew on the oldest credentials not yet drawn on.
+ * @returns {Set<string>}
+ */
+const drawnCredentials = (entries) => {
+  const drawn = new Set();
+  const holders = creditHolders(entries);
+
+  entries
+    .filter((entry) => entry.entryType === "redemption")
+    .forEach((entry) => {
+      if (entry.credentialIds.length) {
+        entry.credentialIds.forEach((id) => drawn.add(id.toString()));
+        return;
+      }
+
+      let remaining = -entry.credits;
+      for (const id of holders) {
+        if (remaining <= 0) break;
+        if (drawn.has(id)) continue;
+        drawn.add(id);
+        remaining -= netCredits(entries, id);
+      }
+    });
+
+  return drawn;
+};
+
+/**
+ * The credentials a renewal replaces, nearest first
+ */
+const renewalAncestors = async (credential) => {
+  const ancestors = [];
+  let previousId = credential.renewedFrom;
+
+  while (previousId && ancestors.length < MAX_RENEWAL_DEPTH) {
+    ancestors.push(previousId);
+    const previous = await Credential.findById(previousId)
+      .select("renewedFrom")
+      .setOptions({ skipTenantScope: true });
+    previousId = previous && previous.renewedFrom;
+  }
+
+  return ancestors;
+};
+
+/**
+ * Whether a credential's credits belong in the ledger. Stack awards carry
+ * the sum of their components' credits, so they are never counted again.
+ */
+const earnsCredits = (credential) =>
+  credential.verificationStatus === "verified" &&
+  credential.metadata?.credits > 0 &&
+  !credential.stackRuleId;
+
+/**
+ * Record the credits of a verified credential. Idempotent; a renewal only
+ * earns when the credential it replaces holds no credits.
+ * @param {Object} credential - Credential
+ * @param {Object} options - { recordedBy }
+ * @returns {Promise<Object|null>} - Earned entry, if one was added
+ */
+export const recordCreditsEarned = async (credential, { recordedBy } = {}) => {
+  if (!earnsCredits(credential)) return null;
+
+  const ancestors = await renewalAncestors(credential);
+
+  return appendEntry(credential.learnerId, (entries) => {
+    if (netCredits(entries, credential._id) > 0) return null;
+    if (ancestors.some((id) => netCredits(entries, id) > 0)) return null;
+
+    return {
+      entryType: "earned",
+      credits: credential.metadata.credits,
+      institutionId: credential.institutionId,
+      credentialId: credential._id,
+      nsqfLevel: credential.nsqfLevel,
+      category: credential.category,
+      earnedAt: credential.issueDate,
+      recordedBy,
+    };
+  });
+};
+
+/**
+ * Cancel whatever credits a credential still contributes. Credits already
+ * redeemed are reversed too, so the balance can go negative; the reversal
+ * is then marked `afterRedemption`.
+ * @param {Object} credential - Credential
+ * @param {Object} options - { reason, recordedBy }
+ * @returns {Promise<Object|null>} - Reversal entry, if one was added
+ */
+export const reverseCredits = (credential, { reason, recordedBy } = {}) =>
+  appendEntry(credential.learnerId, (entries) => {
+    const net = netCredits(entries, credential._id);
+    if (net <= 0) return null;
+
+    const earned = [...entries]
+      .reverse()
+      .find(
+        (entry) =>
+          entry.entryType === "earned" &&
+          sameId(entry.credentialId, credential._id),
+      );
+
+    return {
+      entryType: "reversal",
+      credits: -net,
+      institutionId: earned.institutionId,
+      credentialId: credential._id,
+      reversesEntryId: earned._id,
+      nsqfLevel: earned.nsqfLevel,
+      category: earned.category,
+      earnedAt: earned.earnedAt,
+      afterRedemption: drawnCredentials(entries).has(credential._id.toString()),
+      reason,
+      recordedBy,
+    };
+  });
+
+/**
+ * Add earned entries for verified credentials the ledger does not cover yet
+ * (credentials verified before the ledger existed, or a failed write). Run
+ * when a learner's credential changes status, never when the ledger is read.
+ * @param {string} learnerId
+ */
+export const syncLearnerCredits = async (learnerId) => {
+  const credentials = await Credential.find({
+    learnerId,
+    verificationStatus: "verified",
+    "metadata.credits": { $gt: 0 },
+    stackRuleId: { $exists: false },
+  })
+    .sort("issueDate")
+    .setOptions({ skipTenantScope: true });
+  if (!credentials.length) return;
+
+  const entries = await loadEntries(learnerId);
+  for (const credential of credentials) {
+    if (netCredits(entries, credential._id) > 0) continue;
+    await recordCreditsEarned(credential);
+  }
+};
+
+const roundCredits = (credits) => Math.round(credits * 100) / 100;
+
+/**
+ * Net earned credits grouped by one entry field, largest first
+ */
+const totalsBy = (entries, field) => {
+  const totals = new Map();
+  entries
+    .filter((entry) => entry.entryType !== "redemption")
+    .forEach((entry) => {
+      const key = entry[field] ?? null;
+      totals.set(key, (totals.get(key) || 0) + entry.credits);
+    });
+
+  return [...totals]
+    .filter(([, credits]) => credits !== 0)
+    .map(([key, credits]) => ({ [field]: key, credits: roundCredits(credits) }))
+    .sort((a, b) => b.credits - a.credits);
+};
+
+const sumCredits = (entries, entryType) =>
+  roundCredits(
+    entries
+      .filter((entry) => entry.entryType === entryType)
+      .reduce((sum, entry) => sum + Math.abs(entry.credits), 0),
+  );
+
+/**
+ * A learner's ledger with totals. Read-only.
+ * @param {string} learnerId
+ * @returns {Promise<Object>} - { totals, byLevel, byCategory, entries }
+ */
+export const getCreditSummary = async (learnerId) => {
+  const entries = await CreditLedgerEntry.find({ learnerId })
+    .sort("sequence")
+    .populate("institutionId", "name")
+    .populate("credentialId", "title credentialNumber")
+    .setOptions({ skipTenantScope: true });
+
+  return {
+    totals: {
+      earned: sumCredits(entries, "earned"),
+      reversed: sumCredits(entries, "reversal"),
+      redeemed: sumCredits(entries, "redemption"),
+      balance: roundCredits(
+        entries.reduce((sum, entry) => sum + entry.credits, 0),
+      ),
+    },
+    byLevel: totalsBy(entries, "nsqfLevel"),
+    byCategory: totalsBy(entries, "category"),
+    entries,
+  };
+};
+
+/**
+ * Record an institution accepting a learner's credits toward a programme.
+ * Each credential's credits can be drawn on by one redemption only; without
+ * credentialIds, the oldest credentials not yet drawn on are used.
+ * @param {Object} data - learnerId, institutionId, programme, credits,
+ *   credentialIds (optional; credits default to theirs), reason, recordedBy
+ * @returns {Promise<Object>} - Redemption entry
+ */
+export const redeemCredits = async ({
+  learnerId,
+  institutionId,
+  programme,
+  credits,
+  credentialIds = [],
+  reason,
+  recordedBy,
+}) => {
+  await syncLearnerCredits(learnerId);
+
+  return appendEntry(learnerId, (entries) => {
+    const balance = entries.reduce((sum, entry) => sum + entry.credits, 0);
+    const drawn = drawnCredentials(entries);
+
+    let amount = credits;
+    let drawnOn = credentialIds;
+    if (credentialIds.length) {
+      let available = 0;
+      for (const credentialId of credentialIds) {
+        const net = netCredits(entries, credentialId);
+        if (net <= 0) {
+          throw new AppError(
+            `Credential ${credentialId} holds no credits for this learner`,
+            400,
+          );
+        }
+        if (drawn.has(credentialId.toString())) {
+          throw new AppError(
+            `Credits of credential ${credentialId} have already been redeemed`,
+            400,
+          );
+        }
+        available += net;
+      }
+
+      amount = amount ?? available;
+      if (amount > available) {
+        throw new AppError(
+          `Those credentials hold only ${roundCredits(available)} credits`,
+          400,
+        );
+      }
+    }
+
+    if (!amount || amount <= 0) {
+      throw new AppError("Credits to redeem are required", 400);
+    }
+
+    if (!credentialIds.length) {
+      drawnOn = [];
+      let available = 0;
+      for (const id of creditHolders(entries)) {
+        if (available >= amount) break;
+        if (drawn.has(id)) continue;
+        drawnOn.push(id);
+        available += netCredits(entries, id);
+      }
+
+      if (amount > available) {
+        throw new AppError(
+          `Insufficient credits: ${roundCredits(available)} not yet redeemed`,
+          400,
+        );
+      }
+    }
+
+    if (amount > balance) {
+      throw new AppError(
+        `Insufficient credits: ${roundCredits(balance)} available`,
+        400,
+      );
+    }
+
+    return {
+      entryType: "redemption",
+      credits: -amount,
+      institutionId,
+      programme,
+      credentialIds: drawnOn,
+      reason,
+      recordedBy,
+    };
+  });
+};
+
+export default {
+  recordCreditsEarned,
+  reverseCredits,
+  syncLearnerCredits,
+  getCreditSummary,
+  redeemCredits,
+};
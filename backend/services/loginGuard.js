@@ -0,0 +1,140 @@
+import User from "../models/User.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import AppError from "../utils/appError.js";
+import { sendMail } from "./mailService.js";
+
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const DELAY_AFTER_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 60;
+
+const lockMs = () => LOCK_MINUTES * 60 * 1000;
+
+/**
+ * Seconds the account must wait before the next attempt (1s, 2s, 4s ... capped)
+ */
+const progressiveDelaySeconds = (failedAttempts) => {
+  if (failedAttempts < DELAY_AFTER_ATTEMPTS) return 0;
+  return Math.min(2 ** (failedAttempts - DELAY_AFTER_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+/**
+ * Reject the attempt if the IP or the account is blocked or must wait
+ * @returns {AppError|null}
+ */
+export const checkLoginAllowed = async (ipAddress, user) => {
+  const ipRecord = await LoginAttempt.findOne({ ipAddress });
+  if (ipRecord && ipRecord.isLocked()) {
+    return new AppError(
+      `Too many failed login attempts from this IP. Try again in ${secondsUntil(ipRecord.lockUntil)} seconds.`,
+      429,
+    );
+  }
+
+  if (!user) return null;
+
+  if (user.lockUntil && user.lockUntil > Date.now()) {
+    return new AppError(
+      `Account temporarily locked after too many failed login attempts. Try again in ${secondsUntil(user.lockUntil)} seconds or reset your password.`,
+      423,
+    );
+  }
+
+  const delay = progressiveDelaySeconds(user.failedLoginAttempts);
+  if (delay && user.lastFailedLoginAt) {
+    const nextAttemptAt = user.lastFailedLoginAt.getTime() + delay * 1000;
+    if (nextAttemptAt > Date.now()) {
+      return new AppError(
+        `Too many failed login attempts. Try again in ${secondsUntil(nextAttemptAt)} seconds.`,
+        429,
+      );
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Count a failed attempt against the IP and (when known) the account
+ */
+export const recordLoginFailure = async (ipAddress, user) => {
+  const now = Date.now();
+
+  let ipRecord = await LoginAttempt.findOne({ ipAddress });
+  if (!ipRecord || ipRecord.windowStart.getTime() + lockMs() < now) {
+    ipRecord = ipRecord || new LoginAttempt({ ipAddress });
+    ipRecord.failures = 0;
+    ipRecord.windowStart = now;
+    ipRecord.lockUntil = undefined;
+  }
+  ipRecord.failures += 1;
+  if (ipRecord.failures >= MAX_IP_ATTEMPTS) {
+    ipRecord.lockUntil = now + lockMs();
+  }
+  ipRecord.expiresAt = now + 2 * lockMs();
+  await ipRecord.save();
+
+  if (!user) return;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+    { new: true },
+  );
+
+  if (updated.failedLoginAttempts >= MAX_ACCOUNT_ATTEMPTS) {
+    // Lock and start counting afresh once the lock expires
+    await User.updateOne(
+      { _id: user._id },
+      { lockUntil: now + lockMs(), failedLoginAttempts: 0 },
+    );
+
+    try {
+      await sendMail({
+        to: updated.email,
+        subject: "Your account has been temporarily locked",
+        text: `We locked your account for ${LOCK_MINUTES} minutes after ${MAX_ACCOUNT_ATTEMPTS} failed sign-in attempts (last from IP ${ipAddress} at ${new Date(now).toISOString()}).\n\nIf this wasn't you, we recommend resetting your password. An administrator can also unlock your account.`,
+      });
+    } catch (error) {
+      console.error("Error sending account lock notification:", error.message);
+    }
+  }
+};
+
+/**
+ * Clear the account's failure counters after a successful login
+ */
+export const recordLoginSuccess = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: "", lastFailedLoginAt: "" } },
+  );
+};
+
+/**
+ * Admin unlock: clear the account lock and counters
+ */
+export const unlockAccount = (userId) =>
+  User.findByIdAndUpdate(
+    userId,
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: "", lastFailedLoginAt: "" } },
+    { new: true },
+  );
+
+/**
+ * Admin unblock: clear failures recorded for an IP address
+ */
+export const unblockIp = (ipAddress) => LoginAttempt.findOneAndDelete({ ipAddress });
+
+export default {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  unblockIp,
+};
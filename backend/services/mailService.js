@@ -0,0 +1,109 @@
+import nodemailer from "nodemailer";
+
+// Messages captured by the in-memory transport (tests / local development)
+const outbox = [];
+
+/**
+ * In-memory transport: keeps messages in `outbox` instead of sending them
+ */
+const memoryTransport = {
+  sendMail: async (message) => {
+    const stored = {
+      ...message,
+      messageId: `<${Date.now()}-${outbox.length}@memory>`,
+      sentAt: new Date(),
+    };
+    outbox.push(stored);
+    return stored;
+  },
+};
+
+/**
+ * Console transport: logs who was mailed, used when no SMTP server is
+ * configured. Bodies carry reset, verification and invite tokens, so they
+ * are never logged; use MailHog or the memory transport to read them.
+ */
+const consoleTransport = {
+  sendMail: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    return { messageId: `<${Date.now()}@console>` };
+  },
+};
+
+const transportType = () =>
+  process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+
+/**
+ * Production must deliver real mail; called at startup
+ * @throws {Error} - When NODE_ENV=production without an SMTP configuration
+ */
+export const assertMailConfig = () => {
+  if (process.env.NODE_ENV !== "production") return;
+
+  if (transportType() !== "smtp" || !process.env.SMTP_HOST) {
+    throw new Error(
+      "SMTP_HOST must be set (and MAIL_TRANSPORT unset or smtp) in production",
+    );
+  }
+};
+
+/**
+ * Build transport from MAIL_TRANSPORT (smtp | memory | console).
+ * SMTP works with any server, including local catchers such as MailHog.
+ */
+const createTransport = () => {
+  const type = transportType();
+
+  if (type === "memory") return memoryTransport;
+  if (type === "console") return consoleTransport;
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+};
+
+let transport;
+
+/**
+ * Replace the active transport (any object with an async sendMail method)
+ */
+export const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) transport = createTransport();
+
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || "CredMatrix <no-reply@credmatrix.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * Messages captured by the memory transport
+ */
+export const getOutbox = () => [...outbox];
+
+export const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+export default {
+  assertMailConfig,
+  sendMail,
+  setTransport,
+  getOutbox,
+  clearOutbox,
+};
@@ -0,0 +1,285 @@
+import crypto from 'crypto';
+import Institution from '../models/Institution.js';
+import AchievementDefinition from '../models/AchievementDefinition.js';
+import {
+  issuerIdFor,
+  credentialIdFor,
+  buildCredentialStatus,
+  signDocument,
+  verifyProof
+} from './vcService.js';
+import {
+  bakePng,
+  extractPng,
+  bakeSvg,
+  extractSvg,
+  renderDefaultPng,
+  renderDefaultSvg
+} from '../utils/badgeBaking.js';
+import { fetchPublicFile } from '../utils/publicFetch.js';
+
+const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+const OB_CONTEXT = 'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json';
+
+// Credential.type → Open Badges achievementType when no definition is linked
+const ACHIEVEMENT_TYPE_BY_CREDENTIAL_TYPE = {
+  certificate: 'Certificate',
+  diploma: 'Diploma',
+  badge: 'Badge',
+  'micro-credential': 'MicroCredential',
+  degree: 'Degree',
+  other: 'Achievement'
+};
+
+const baseUrl = () => `${process.env.API_URL || 'http://localhost:5000'}/api/v1`;
+
+const hashIdentity = (value, salt) =>
+  `sha256$${crypto.createHash('sha256').update(`${value}${salt}`).digest('hex')}`;
+
+/**
+ * Open Badges 3.0 issuer Profile for an institution
+ */
+const buildIssuerProfile = (institution) => {
+  const profile = {
+    id: issuerIdFor(institution._id),
+    type: ['Profile'],
+    name: institution.name,
+    url: institution.contactInfo?.website,
+    email: institution.contactInfo?.email,
+    phone: institution.contactInfo?.phone,
+    description: institution.description,
+    image: institution.logo ? { id: institution.logo, type: 'Image' } : undefined,
+    address: institution.address?.country
+      ? {
+          type: ['Address'],
+          addressCountry: institution.address.country,
+          addressRegion: institution.address.state,
+          addressLocality: institution.address.city,
+          streetAddress: institution.address.street,
+          postalCode: institution.address.zipCode
+        }
+      : undefined
+  };
+
+  return JSON.parse(JSON.stringify(profile));
+};
+
+/**
+ * Open Badges 3.0 Achievement for a definition, or derived from the credential itself
+ */
+const buildAchievement = (credential, definition, institution) => {
+  if (definition) {
+    return {
+      id: `${baseUrl()}/institutions/${institution._id}/achievement-definitions/${definition._id}`,
+      type: ['Achievement'],
+      achievementType: definition.achievementType,
+      name: definition.name,
+      description: definition.description,
+      criteria: { id: definition.criteria.url, narrative: definition.criteria.narrative },
+      image: definition.image ? { id: definition.image, type: 'Image' } : undefined,
+      tag: definition.tags && definition.tags.length ? definition.tags : undefined,
+      creator: { id: issuerIdFor(institution._id), type: ['Profile'], name: institution.name }
+    };
+  }
+
+  return {
+    id: `${credentialIdFor(credential._id)}#achievement`,
+    type: ['Achievement'],
+    achievementType: ACHIEVEMENT_TYPE_BY_CREDENTIAL_TYPE[credential.type] || 'Achievement',
+    name: credential.title,
+    description: credential.description,
+    criteria: { narrative: credential.description },
+    tag: (credential.skills || []).map((skill) => skill.name).filter(Boolean),
+    creator: { id: issuerIdFor(institution._id), type: ['Profile'], name: institution.name }
+  };
+};
+
+/**
+ * Build and sign an OpenBadgeCredential for a credential
+ * @param {Object} credential - Credential with learnerId populated (email required)
+ * @returns {Promise<{ badge: Object, definition: Object|null, institution: Object }>}
+ */
+const issueOpenBadge = async (credential) => {
+  const institution = await Institution.loadForSigning(
+    credential.institutionId._id || credential.institutionId
+  );
+  if (!institution) {
+    throw new Error('Issuing institution not found');
+  }
+
+  const definition = credential.achievementDefinitionId
+    ? await AchievementDefinition.findById(credential.achievementDefinitionId)
+    : null;
+
+  const salt = crypto.randomBytes(8).toString('hex');
+  const badge = {
+    '@context': [VC_CONTEXT, OB_CONTEXT],
+    id: `${credentialIdFor(credential._id)}/openbadge`,
+    type: ['VerifiableCredential', 'OpenBadgeCredential'],
+    name: credential.title,
+    issuer: buildIssuerProfile(institution),
+    validFrom: new Date(credential.issueDate).toISOString(),
+    validUntil: credential.expiryDate ? new Date(credential.expiryDate).toISOString() : undefined,
+    credentialStatus: buildCredentialStatus(credential),
+    credentialSubject: {
+      type: ['AchievementSubject'],
+      identifier: [{
+        type: 'IdentityObject',
+        identityType: 'emailAddress',
+        hashed: true,
+        identityHash: hashIdentity(credential.learnerId.email.toLowerCase(), salt),
+        salt
+      }],
+      achievement: buildAchievement(credential, definition, institution)
+    }
+  };
+
+  return {
+    badge: signDocument(JSON.parse(JSON.stringify(badge)), institution),
+    definition,
+    institution
+  };
+};
+
+/**
+ * Fetch the definition's artwork in the requested format, or fall back to the default.
+ * The URL is set by institution staff, so it is only fetched over https from a public host.
+ */
+const loadBadgeImage = async (definition, format, { title, issuer }) => {
+  if (definition && definition.image && definition.image.toLowerCase().split('?')[0].endsWith(`.${format}`)) {
+    try {
+      return await fetchPublicFile(definition.image, {
+        responseType: format === 'png' ? 'arraybuffer' : 'text',
+        maxBytes: 2 * 1024 * 1024,
+        timeout: 5000
+      });
+    } catch (error) {
+      console.error('Error fetching badge image:', error.message);
+    }
+  }
+
+  return format === 'png' ? renderDefaultPng() : renderDefaultSvg({ title, issuer });
+};
+
+/**
+ * Bake a signed OpenBadgeCredential into badge artwork
+ * @param {Object} credential - Credential with learnerId populated
+ * @param {string} format - 'png' or 'svg'
+ * @returns {Promise<Buffer|string>}
+ */
+const bakeOpenBadge = async (credential, format) => {
+  const { badge, definition, institution } = await issueOpenBadge(credential);
+  const image = await loadBadgeImage(definition, format, {
+    title: credential.title,
+    issuer: institution.name
+  });
+  const serialized = JSON.stringify(badge);
+
+  try {
+    return format === 'png' ? bakePng(image, serialized) : bakeSvg(image, serialized);
+  } catch (error) {
+    // Artwork that cannot be baked (e.g. not a real PNG) falls back to the default
+    return format === 'png'
+      ? bakePng(renderDefaultPng(), serialized)
+      : bakeSvg(renderDefaultSvg({ title: credential.title, issuer: institution.name }), serialized);
+  }
+};
+
+/**
+ * Pull the credential out of a baked PNG/SVG upload
+ * @returns {{ badge: Object, jws: string|null }|null} - Parsed credential, and
+ *   the compact JWS it was the payload of, if any
+ */
+const extractOpenBadge = (file) => {
+  const isPng = file.mimetype === 'image/png';
+  const text = isPng ? extractPng(file.buffer) : extractSvg(file.buffer.toString('utf8'));
+  if (!text) return null;
+
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{')) {
+    // Compact JWS: the credential is the payload
+    const [, payload, signature] = trimmed.split('.');
+    if (!payload) return null;
+    return {
+      badge: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+      jws: signature ? trimmed : null
+    };
+  }
+
+  return { badge: JSON.parse(trimmed), jws: null };
+};
+
+/**
+ * Validate an OpenBadgeCredential for a recipient
+ * @param {Object} badge - Parsed credential
+ * @param {string} recipientEmail - Email it must be issued to
+ * @param {string|null} [jws] - Compact JWS the credential was the payload of
+ * @returns {Promise<Object>} - { valid, signatureVerified, issuer, achievement, errors, warnings }
+ */
+const validateOpenBadge = async (badge, recipientEmail, jws = null) => {
+  const errors = [];
+  const warnings = [];
+  const now = new Date();
+
+  const types = [].concat(badge.type || []);
+  if (!types.includes('OpenBadgeCredential') && !types.includes('AchievementCredential')) {
+    errors.push('Not an Open Badges 3.0 credential');
+  }
+
+  const issuer = typeof badge.issuer === 'string' ? { id: badge.issuer } : badge.issuer || {};
+  if (!issuer.id) errors.push('Credential has no issuer');
+
+  const subject = badge.credentialSubject || {};
+  const achievement = subject.achievement || {};
+  if (!achievement.name) errors.push('Credential has no achievement');
+
+  const validFrom = badge.validFrom || badge.issuanceDate;
+  if (validFrom && new Date(validFrom) > now) errors.push('Credential is not yet valid');
+  const validUntil = badge.validUntil || badge.expirationDate;
+  if (validUntil && new Date(validUntil) < now) errors.push('Credential has expired');
+
+  // The recipient must be the importing learner
+  const email = recipientEmail.toLowerCase();
+  const identifiers = [].concat(subject.identifier || []);
+  const recipientMatches = identifiers.some((identifier) => {
+    if (identifier.identityType !== 'emailAddress') return false;
+    if (!identifier.hashed) return (identifier.identityHash || '').toLowerCase() === email;
+    return identifier.identityHash === hashIdentity(email, identifier.salt || '');
+  }) || subject.email === email;
+  if (!recipientMatches) errors.push('Credential was not issued to your email address');
+
+  // Only credentials we issued can have their proof checked against known keys
+  let signatureVerified = null;
+  if (issuer.id && issuer.id.startsWith(`${baseUrl()}/institutions/`)) {
+    const proof = await verifyProof(badge);
+    signatureVerified = proof.valid;
+    if (!proof.valid) errors.push(proof.error);
+  } else if (!badge.proof && !jws) {
+    // Anyone could have written an unsigned credential naming this issuer
+    errors.push('Credential is not signed by its issuer');
+  } else {
+    warnings.push('Issued outside CredMatrix; the issuer signature was not checked');
+  }
+
+  return {
+    valid: errors.length === 0,
+    signatureVerified,
+    issuer: { id: issuer.id, name: issuer.name },
+    achievement: {
+      name: achievement.name,
+      description: achievement.description,
+      tags: achievement.tag || []
+    },
+    validFrom,
+    errors,
+    warnings
+  };
+};
+
+export {
+  buildIssuerProfile,
+  issueOpenBadge,
+  bakeOpenBadge,
+  extractOpenBadge,
+  validateOpenBadge
+};
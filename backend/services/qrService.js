@@ -0,0 +1,82 @@
+import QRCode from 'qrcode';
+import axios from 'axios';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { verificationLinkFor } from '../utils/verificationToken.js';
+
+const QR_OPTIONS = {
+  errorCorrectionLevel: 'M',
+  margin: 2
+};
+
+/**
+ * Render the credential's public verification link as a QR code
+ * @param {Object} credential - Credential document
+ * @param {string} format - 'png' or 'svg'
+ * @param {number} width - Image width in pixels
+ * @returns {Promise<Buffer|string>}
+ */
+const renderVerificationQr = (credential, format = 'png', width = 300) => {
+  const url = credential.shareableLink || verificationLinkFor(credential._id);
+
+  if (format === 'svg') {
+    return QRCode.toString(url, { ...QR_OPTIONS, type: 'svg', width });
+  }
+  return QRCode.toBuffer(url, { ...QR_OPTIONS, type: 'png', width });
+};
+
+/**
+ * Draw the QR code and caption in the bottom-right corner of a page
+ */
+const drawQr = async (pdf, page, credential) => {
+  const qr = await pdf.embedPng(await renderVerificationQr(credential, 'png', 300));
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+  const { width, height } = page.getSize();
+  const size = Math.max(60, Math.min(width, height) * 0.15);
+  const margin = size * 0.25;
+  const x = width - size - margin;
+  const y = margin + 10;
+
+  page.drawImage(qr, { x, y, width: size, height: size });
+  page.drawText(`Verify: ${credential.credentialNumber}`, {
+    x,
+    y: y - 9,
+    size: Math.max(6, size / 14),
+    font,
+    color: rgb(0.2, 0.2, 0.2),
+    maxWidth: size
+  });
+};
+
+/**
+ * Copy of the stored certificate with the verification QR code stamped on it.
+ * PDFs are stamped on their last page; images are placed on a page of their size.
+ * The stored original (and its hash) is left untouched.
+ * @param {Object} credential - Credential with an uploaded file
+ * @returns {Promise<Buffer>} - PDF
+ */
+const stampCertificate = async (credential) => {
+  const response = await axios.get(credential.file.path, {
+    responseType: 'arraybuffer',
+    timeout: 15000
+  });
+  const bytes = Buffer.from(response.data);
+  const mimetype = credential.file.mimetype || '';
+
+  let pdf;
+  if (mimetype === 'application/pdf') {
+    pdf = await PDFDocument.load(bytes);
+  } else {
+    pdf = await PDFDocument.create();
+    const image = mimetype === 'image/png' ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+    const page = pdf.addPage([image.width, image.height]);
+    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+  }
+
+  const pages = pdf.getPages();
+  await drawQr(pdf, pages[pages.length - 1], credential);
+
+  return Buffer.from(await pdf.save());
+};
+
+export { renderVerificationQr, stampCertificate };
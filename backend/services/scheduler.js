@@ -0,0 +1,70 @@
+import {
+  expireCredentials,
+  sendExpiryReminders,
+} from "./credentialExpiryService.js";
+import { failInterruptedJobs, staleJobMs } from "./bulkIssuanceService.js";
+
+const interruptedBulkJobs = { name: "fail-interrupted-bulk-issuance", run: failInterruptedJobs };
+
+const jobs = [
+  { name: "expire-credentials", run: expireCredentials },
+  { name: "credential-expiry-reminders", run: sendExpiryReminders },
+  interruptedBulkJobs,
+];
+
+let timer = null;
+let running = false;
+
+const runJob = async (job) => {
+  try {
+    const count = await job.run();
+    if (count) console.log(`Scheduler: ${job.name} processed ${count}`);
+  } catch (error) {
+    console.error(`Scheduler: ${job.name} failed:`, error.message);
+  }
+};
+
+/**
+ * Run every job once; a run is skipped if the previous one is still going
+ */
+export const runScheduledJobs = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const job of jobs) {
+      await runJob(job);
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the background scheduler (SCHEDULER_INTERVAL_MINUTES, default 60;
+ * set SCHEDULER_ENABLED=false to run jobs elsewhere). Every app instance runs
+ * it; the jobs claim each credential atomically, so their runs can overlap.
+ */
+export const startScheduler = () => {
+  if (timer || process.env.SCHEDULER_ENABLED === "false") return;
+
+  const minutes = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES) || 60;
+  timer = setInterval(runScheduledJobs, minutes * 60 * 1000);
+  timer.unref();
+
+  // First run shortly after startup, once the database is connected
+  setTimeout(runScheduledJobs, 30 * 1000).unref();
+  // Bulk jobs this restart interrupted only go stale after BULK_JOB_STALE_MINUTES
+  setTimeout(() => runJob(interruptedBulkJobs), staleJobMs() + 30 * 1000).unref();
+};
+
+export const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default {
+  runScheduledJobs,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,586 @@
+import crypto from "crypto";
+import Credential from "../models/Credential.js";
+import StackRule from "../models/StackRule.js";
+import StackAward from "../models/StackAward.js";
+import User from "../models/User.js";
+import { runWithTenant } from "../utils/tenantContext.js";
+import { issueCredential } from "./credentialService.js";
+import { effectiveStatus } from "./verificationService.js";
+import { sendMail } from "./mailService.js";
+import { changeStatus } from "./credentialStatusService.js";
+import { allocateStatusListIndex } from "./statusListService.js";
+
+// Awards can satisfy further stacks; stop after this many rounds
+const MAX_STACK_DEPTH = 3;
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Whether a credential counts toward one component of a rule
+ */
+const componentMatches = (component, credential, rule) => {
+  if (component.achievementDefinitionId) {
+    return sameId(
+      component.achievementDefinitionId,
+      credential.achievementDefinitionId,
+    );
+  }
+  if (component.templateId) {
+    return sameId(component.templateId, credential.templateId);
+  }
+  return (
+    !!component.title &&
+    component.title.trim().toLowerCase() ===
+      credential.title.trim().toLowerCase() &&
+    sameId(
+      component.institutionId || rule.institutionId,
+      credential.institutionId,
+    )
+  );
+};
+
+/**
+ * Match a learner's credentials against a rule
+ * @param {Object} rule - StackRule
+ * @param {Array} credentials - The learner's credentials
+ * @returns {Object} - Components filled, counts, credits and whether it is met
+ */
+export const evaluateRule = (rule, credentials) => {
+  const eligible = credentials.filter(
+    (credential) =>
+      effectiveStatus(credential) === "verified" &&
+      !sameId(credential.stackRuleId, rule._id) &&
+      (!rule.minNsqfLevel || (credential.nsqfLevel || 0) >= rule.minNsqfLevel),
+  );
+
+  // Each credential fills at most one component
+  const used = new Set();
+  const components = rule.components.map((component) => {
+    const match = eligible.find(
+      (credential) =>
+        !used.has(credential._id.toString()) &&
+        componentMatches(component, credential, rule),
+    );
+    if (match) used.add(match._id.toString());
+
+    return {
+      label: component.label || component.title,
+      credentialId: match ? match._id : null,
+      credentialTitle: match ? match.title : null,
+      credits: match ? match.metadata?.credits || 0 : 0,
+    };
+  });
+
+  const matched = components.filter((component) => component.credentialId);
+  const required = rule.requiredComponents();
+  const credits = matched.reduce(
+    (sum, component) => sum + component.credits,
+    0,
+  );
+
+  return {
+    stackRuleId: rule._id,
+    name: rule.name,
+    institutionId: rule.institutionId,
+    components,
+    matchedCount: matched.length,
+    requiredCount: required,
+    credits,
+    minCredits: rule.minCredits || 0,
+    minNsqfLevel: rule.minNsqfLevel || null,
+    satisfied:
+      matched.length >= required && credits >= (rule.minCredits || 0),
+    credentialIds: matched.map((component) => component.credentialId),
+  };
+};
+
+/**
+ * The learner's credentials across all institutions
+ */
+const loadLearnerCredentials = (learnerId) =>
+  Credential.find({ learnerId })
+    .select(
+      "title institutionId achievementDefinitionId templateId stackRuleId nsqfLevel metadata skills verificationStatus expiryDate",
+    )
+    .setOptions({ skipTenantScope: true });
+
+/**
+ * Active rules any of the credentials could count toward
+ */
+const findCandidateRules = (credentials) => {
+  const ids = (field) =>
+    credentials.map((credential) => credential[field]).filter(Boolean);
+  const institutionIds = ids("institutionId");
+
+  return StackRule.find({
+    isActive: true,
+    $or: [
+      {
+        "components.achievementDefinitionId": {
+          $in: ids("achievementDefinitionId"),
+        },
+      },
+      { "components.templateId": { $in: ids("templateId") } },
+      { institutionId: { $in: institutionIds } },
+      { "components.institutionId": { $in: institutionIds } },
+    ],
+  }).setOptions({ skipTenantScope: true });
+};
+
+const notifyLearner = async (learnerId, subject, text) => {
+  const learner = await User.findById(learnerId).select("email firstName");
+  if (!learner || !learner.email) return;
+
+  try {
+    await sendMail({
+      to: learner.email,
+      subject,
+      text: `Hi ${learner.firstName || "there"},\n\n${text}`,
+    });
+  } catch (error) {
+    console.error("Error sending stack notification:", error.message);
+  }
+};
+
+/**
+ * Issue the rule's reward credential (verified, since its components are)
+ */
+const issueStackCredential = async (rule, learnerId, progress) => {
+  const { reward } = rule;
+  const issueDate = new Date();
+  let expiryDate;
+  if (reward.validityMonths) {
+    expiryDate = new Date(issueDate);
+    expiryDate.setMonth(expiryDate.getMonth() + reward.validityMonths);
+  }
+
+  // Without reward skills, the qualification carries its components' skills
+  let skills = reward.skills.map(({ name, category }) => ({ name, category }));
+  if (!skills.length) {
+    const components = await Credential.find({
+      _id: { $in: progress.credentialIds },
+    })
+      .select("skills")
+      .setOptions({ skipTenantScope: true });
+
+    const seen = new Set();
+    skills = components
+      .flatMap((credential) => credential.skills)
+      .filter(({ name }) => {
+        if (!name || seen.has(name.toLowerCase())) return false;
+        seen.add(name.toLowerCase());
+        return true;
+      })
+      .map(({ name, category }) => ({ name, category }));
+  }
+
+  const suffix = crypto.randomBytes(3).toString("hex");
+  const credentialNumber =
+    `STACK-${Date.now().toString(36)}-${suffix}`.toUpperCase();
+
+  return runWithTenant(rule.institutionId, () =>
+    issueCredential({
+      learnerId,
+      institutionId: rule.institutionId,
+      title: reward.title,
+      description: reward.description,
+      type: reward.type,
+      category: reward.category,
+      nsqfLevel: reward.nsqfLevel,
+      skills,
+      issueDate,
+      expiryDate,
+      credentialNumber,
+      metadata: { credits: progress.credits || undefined },
+      stackRuleId: rule._id,
+      stackedFrom: progress.credentialIds,
+      verificationStatus: "verified",
+      verifiedAt: Date.now(),
+      statusHistory: [
+        {
+          status: "verified",
+          note: `Awarded for completing the "${rule.name}" stack`,
+        },
+      ],
+    }),
+  );
+};
+
+/**
+ * Record a met rule and issue or offer its reward
+ * @returns {Promise<Object|null>} - StackAward, or null if it already existed
+ */
+const awardStack = async (rule, learnerId, progress) => {
+  let award;
+  try {
+    award = await runWithTenant(rule.institutionId, () =>
+      StackAward.create({
+        stackRuleId: rule._id,
+        institutionId: rule.institutionId,
+        learnerId,
+        status: "offered",
+        componentCredentials: progress.credentialIds,
+        credits: progress.credits,
+        offeredAt: Date.now(),
+      }),
+    );
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (rule.awardMode === "offer") {
+    await notifyLearner(
+      learnerId,
+      `You qualify for "${rule.reward.title}"`,
+      `Your credentials complete the "${rule.name}" stack. Accept the offer ` +
+        `from your dashboard to receive "${rule.reward.title}".`,
+    );
+    return award;
+  }
+
+  const credential = await issueStackCredential(rule, learnerId, progress);
+  award.status = "issued";
+  award.credentialId = credential._id;
+  award.issuedAt = Date.now();
+  await runWithTenant(rule.institutionId, () => award.save());
+
+  await notifyLearner(
+    learnerId,
+    `You have been awarded "${rule.reward.title}"`,
+    `Your credentials complete the "${rule.name}" stack, and ` +
+      `"${rule.reward.title}" (${credential.credentialNumber}) has been ` +
+      "added to your credentials.",
+  );
+  return award;
+};
+
+/**
+ * Award every stack the learner now satisfies. Called whenever one of their
+ * credentials becomes verified; failures are logged, never thrown.
+ * @param {string} learnerId
+ */
+export const checkStacksForLearner = async (learnerId, depth = 0) => {
+  try {
+    const credentials = await loadLearnerCredentials(learnerId);
+    if (!credentials.length) return;
+
+    const [rules, awards] = await Promise.all([
+      findCandidateRules(credentials),
+      StackAward.find({ learnerId })
+        .select("stackRuleId")
+        .setOptions({ skipTenantScope: true }),
+    ]);
+
+    let issued = false;
+    for (const rule of rules) {
+      if (awards.some((award) => sameId(award.stackRuleId, rule._id))) {
+        continue;
+      }
+
+      const progress = evaluateRule(rule, credentials);
+      if (!progress.satisfied) continue;
+
+      const award = await awardStack(rule, learnerId, progress);
+      if (award && award.status === "issued") issued = true;
+    }
+
+    // A new qualification may itself complete another stack
+    if (issued && depth + 1 < MAX_STACK_DEPTH) {
+      await checkStacksForLearner(learnerId, depth + 1);
+    }
+  } catch (error) {
+    console.error("Error checking credential stacks:", error);
+  }
+};
+
+/**
+ * Award a new or edited rule to learners who already meet it
+ * @param {Object} rule - StackRule
+ */
+export const checkStacksForRule = async (rule) => {
+  try {
+    const criteria = rule.components.map((component) => {
+      if (component.achievementDefinitionId) {
+        return { achievementDefinitionId: component.achievementDefinitionId };
+      }
+      if (component.templateId) return { templateId: component.templateId };
+      // Titles match case-insensitively, so narrow by issuer only
+      return { institutionId: component.institutionId || rule.institutionId };
+    });
+
+    const learnerIds = await Credential.distinct("learnerId", {
+      verificationStatus: "verified",
+      $or: criteria,
+    }).setOptions({ skipTenantScope: true });
+
+    for (const learnerId of learnerIds) {
+      await checkStacksForLearner(learnerId);
+    }
+  } catch (error) {
+    console.error("Error checking credential stacks:", error);
+  }
+};
+
+/**
+ * Whether a stack credential was suspended automatically because a component
+ * was (and not by its institution)
+ */
+const suspendedForStack = (credential) => {
+  const last = credential.statusHistory[credential.statusHistory.length - 1];
+  return (
+    credential.verificationStatus === "suspended" &&
+    !!last &&
+    last.reasonCode === "requirements-not-met" &&
+    !last.changedBy
+  );
+};
+
+// How a stack credential's status change is announced to the learner
+const STATUS_VERBS = {
+  verified: "reinstated",
+  suspended: "suspended",
+  revoked: "revoked",
+};
+
+/**
+ * Change a stack credential's status through the same checks as a manual
+ * change, and tell the learner
+ * @returns {Promise<boolean>} - Whether the status changed
+ */
+const changeStackCredentialStatus = async (stackCredential, status, note, message) => {
+  const error = changeStatus(stackCredential, status, {
+    reasonCode: "requirements-not-met",
+    note,
+  });
+  if (error) return false;
+
+  await runWithTenant(stackCredential.institutionId, async () => {
+    await allocateStatusListIndex(stackCredential);
+    await stackCredential.save();
+  });
+
+  await notifyLearner(
+    stackCredential.learnerId,
+    `"${stackCredential.title}" has been ${STATUS_VERBS[status]}`,
+    message,
+  );
+  return true;
+};
+
+/**
+ * Re-check the stack awards a credential counts toward after its status
+ * changes. While a component is suspended, a stack credential that needs it
+ * is suspended too, and it is reinstated once the learner's credentials
+ * complete the stack again. When a component is revoked, expires or is
+ * deleted, an award the other credentials no longer satisfy is withdrawn
+ * (so it can be earned again) and its stack credential revoked. Stack
+ * credentials changed here are re-checked in turn. Failures are logged,
+ * never thrown.
+ * @param {Object} credential - Credential whose status changed
+ * @param {Object} [options]
+ * @param {boolean} [options.deleted] - The credential was deleted
+ */
+export const reevaluateStackAwards = async (
+  credential,
+  { deleted = false, depth = 0 } = {},
+) => {
+  try {
+    const status = deleted ? "deleted" : credential.verificationStatus;
+    const awards = await StackAward.find({
+      learnerId: credential.learnerId,
+      componentCredentials: credential._id,
+      status: { $in: ["offered", "issued"] },
+    }).setOptions({ skipTenantScope: true });
+    if (!awards.length) return;
+
+    const credentials = await loadLearnerCredentials(credential.learnerId);
+    const change = deleted ? "has been deleted" : `is now ${status}`;
+
+    for (const award of awards) {
+      const rule = await StackRule.findById(award.stackRuleId).setOptions({
+        skipTenantScope: true,
+      });
+      const progress = rule && evaluateRule(rule, credentials);
+      const satisfied = !!progress && progress.satisfied;
+      const stackName = rule ? rule.name : "stack";
+
+      if (satisfied) {
+        await StackAward.updateOne(
+          { _id: award._id },
+          { componentCredentials: progress.credentialIds, credits: progress.credits },
+        ).setOptions({ skipTenantScope: true });
+      }
+
+      // A suspension or reinstatement leaves the award in place
+      const temporary = status === "suspended" || status === "verified";
+      if (!satisfied && !temporary) {
+        await StackAward.deleteOne({ _id: award._id }).setOptions({
+          skipTenantScope: true,
+        });
+      }
+
+      if (award.status !== "issued" || !award.credentialId) continue;
+
+      const stackCredential = await Credential.findById(
+        award.credentialId,
+      ).setOptions({ skipTenantScope: true });
+      if (!stackCredential) continue;
+
+      let changed = false;
+      if (satisfied) {
+        if (suspendedForStack(stackCredential)) {
+          changed = await changeStackCredentialStatus(
+            stackCredential,
+            "verified",
+            `Credentials complete the "${stackName}" stack again`,
+            `Your credentials complete the "${stackName}" stack again, so ` +
+              `"${stackCredential.title}" (${stackCredential.credentialNumber}) ` +
+              "has been reinstated.",
+          );
+        }
+      } else if (status === "suspended") {
+        if (stackCredential.verificationStatus === "verified") {
+          changed = await changeStackCredentialStatus(
+            stackCredential,
+            "suspended",
+            `"${credential.title}" is suspended`,
+            `"${credential.title}" is suspended, so your credentials no longer ` +
+              `complete the "${stackName}" stack and "${stackCredential.title}" ` +
+              `(${stackCredential.credentialNumber}) is suspended until they do again.`,
+          );
+        }
+      } else if (!temporary) {
+        changed = await changeStackCredentialStatus(
+          stackCredential,
+          "revoked",
+          `"${credential.title}" no longer counts toward the "${stackName}" stack`,
+          `"${credential.title}" ${change}, so your credentials no longer ` +
+            `complete the "${stackName}" stack and "${stackCredential.title}" ` +
+            `(${stackCredential.credentialNumber}) has been revoked.`,
+        );
+      }
+
+      if (changed && depth + 1 < MAX_STACK_DEPTH) {
+        await reevaluateStackAwards(stackCredential, { depth: depth + 1 });
+      }
+    }
+  } catch (error) {
+    console.error("Error re-checking credential stacks:", error);
+  }
+};
+
+/**
+ * Progress toward every stack the learner has started
+ * @param {string} learnerId
+ * @returns {Promise<Array>}
+ */
+export const getStackProgress = async (learnerId) => {
+  const credentials = await loadLearnerCredentials(learnerId);
+  if (!credentials.length) return [];
+
+  const [rules, awards] = await Promise.all([
+    findCandidateRules(credentials),
+    StackAward.find({ learnerId }).setOptions({ skipTenantScope: true }),
+  ]);
+
+  return rules
+    .map((rule) => {
+      const award = awards.find((entry) =>
+        sameId(entry.stackRuleId, rule._id),
+      );
+      const { credentialIds, ...progress } = evaluateRule(rule, credentials);
+
+      return {
+        ...progress,
+        description: rule.description,
+        reward: {
+          title: rule.reward.title,
+          type: rule.reward.type,
+          nsqfLevel: rule.reward.nsqfLevel,
+        },
+        percentComplete: Math.min(
+          100,
+          Math.round((progress.matchedCount / progress.requiredCount) * 100),
+        ),
+        award: award
+          ? {
+              id: award._id,
+              status: award.status,
+              credentialId: award.credentialId,
+            }
+          : null,
+      };
+    })
+    .filter((progress) => progress.matchedCount > 0 || progress.award);
+};
+
+/**
+ * Issue an offered stack credential once the learner accepts it. The offer is
+ * claimed atomically ("accepting"), so concurrent accepts issue it only once;
+ * it goes back to "offered" if the credential cannot be issued.
+ * @param {Object} award - StackAward in "offered" status
+ * @returns {Promise<Object>} - Issued credential
+ */
+export const acceptStackOffer = async (award) => {
+  const claimed = await StackAward.findOneAndUpdate(
+    { _id: award._id, status: "offered" },
+    { status: "accepting" },
+    { new: true },
+  ).setOptions({ skipTenantScope: true });
+  if (!claimed) {
+    throw new Error("Stack offer is no longer open");
+  }
+
+  let credential;
+  let progress;
+  try {
+    const rule = await StackRule.findById(award.stackRuleId).setOptions({
+      skipTenantScope: true,
+    });
+    if (!rule) {
+      throw new Error("Stack is no longer available");
+    }
+
+    // Components may have been revoked or have expired since the offer
+    const credentials = await loadLearnerCredentials(award.learnerId);
+    progress = evaluateRule(rule, credentials);
+    if (!progress.satisfied) {
+      throw new Error(
+        "Your credentials no longer meet this stack's requirements",
+      );
+    }
+
+    credential = await issueStackCredential(rule, award.learnerId, progress);
+  } catch (error) {
+    await StackAward.updateOne(
+      { _id: award._id, status: "accepting" },
+      { status: "offered" },
+    ).setOptions({ skipTenantScope: true });
+    throw error;
+  }
+
+  await StackAward.updateOne(
+    { _id: award._id },
+    {
+      status: "issued",
+      credentialId: credential._id,
+      componentCredentials: progress.credentialIds,
+      credits: progress.credits,
+      issuedAt: Date.now(),
+    },
+  ).setOptions({ skipTenantScope: true });
+
+  await checkStacksForLearner(award.learnerId);
+
+  return credential;
+};
+
+export default {
+  evaluateRule,
+  checkStacksForLearner,
+  checkStacksForRule,
+  reevaluateStackAwards,
+  getStackProgress,
+  acceptStackOffer,
+};
@@ -0,0 +1,88 @@
+import zlib from 'zlib';
+import Credential from '../models/Credential.js';
+import Institution from '../models/Institution.js';
+import { VC_CONTEXT, issuerIdFor, statusListIdFor, signDocument } from './vcService.js';
+
+// Bitstring Status List minimum list length (16KB of bits) for herd privacy
+const MIN_LIST_LENGTH = 131072;
+
+// Credential statuses that set the bit in each list
+const STATUSES_BY_PURPOSE = {
+  revocation: ['revoked'],
+  suspension: ['suspended']
+};
+
+/**
+ * Multibase base64url ('u' prefix) GZIP-compressed bitstring; index 0 is the
+ * most significant bit of the first byte
+ * @param {number[]} indexes - Set bits
+ * @param {number} length - List length in bits
+ */
+const encodeStatusList = (indexes, length) => {
+  const bits = Buffer.alloc(length / 8);
+  indexes.forEach((index) => {
+    bits[index >> 3] |= 0x80 >> (index % 8);
+  });
+  return `u${zlib.gzipSync(bits).toString('base64url')}`;
+};
+
+/**
+ * Reserve the next status list index for a credential (caller saves it)
+ */
+const allocateStatusListIndex = async (credential) => {
+  if (credential.statusListIndex !== undefined && credential.statusListIndex !== null) {
+    return credential.statusListIndex;
+  }
+
+  const institution = await Institution.findByIdAndUpdate(
+    credential.institutionId._id || credential.institutionId,
+    { $inc: { statusListNextIndex: 1 } },
+    { new: true }
+  ).select('statusListNextIndex');
+
+  credential.statusListIndex = institution.statusListNextIndex - 1;
+  return credential.statusListIndex;
+};
+
+/**
+ * Build the signed BitstringStatusListCredential for an institution
+ * @param {string} institutionId - Institution id
+ * @param {string} purpose - 'revocation' or 'suspension'
+ * @returns {Promise<Object|null>} - Signed VC, or null if the institution does not exist or has no signing key yet
+ */
+const buildStatusListCredential = async (institutionId, purpose) => {
+  // Served on a public GET, so never create a key here (see Institution.loadForSigning)
+  const institution = await Institution.findById(institutionId).select('+signingKeys.privateKey');
+  if (!institution || !institution.getActiveSigningKey()) return null;
+
+  const credentials = await Credential.find({
+    institutionId: institution._id,
+    statusListIndex: { $exists: true },
+    verificationStatus: { $in: STATUSES_BY_PURPOSE[purpose] }
+  }).select('statusListIndex');
+
+  const length = Math.max(
+    MIN_LIST_LENGTH,
+    Math.ceil(institution.statusListNextIndex / MIN_LIST_LENGTH) * MIN_LIST_LENGTH
+  );
+  const id = statusListIdFor(institution._id, purpose);
+
+  return signDocument({
+    '@context': [VC_CONTEXT],
+    id,
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    issuer: issuerIdFor(institution._id),
+    validFrom: new Date().toISOString(),
+    credentialSubject: {
+      id: `${id}#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: purpose,
+      encodedList: encodeStatusList(
+        credentials.map((credential) => credential.statusListIndex),
+        length
+      )
+    }
+  }, institution);
+};
+
+export { encodeStatusList, allocateStatusListIndex, buildStatusListCredential };
@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+import Institution from '../models/Institution.js';
+import Credential from '../models/Credential.js';
+import canonicalize from '../utils/canonicalize.js';
+import { encodeMultibase, decodeMultibase } from '../utils/multibase.js';
+import { signBytes, verifyBytes } from '../utils/signing.js';
+
+const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+const CRYPTOSUITE = 'eddsa-jcs-2022';
+
+const baseUrl = () => `${process.env.API_URL || 'http://localhost:5000'}/api/v1`;
+
+const issuerIdFor = (institutionId) => `${baseUrl()}/institutions/${institutionId}`;
+
+const credentialIdFor = (credentialId) => `${baseUrl()}/credentials/${credentialId}`;
+
+const STATUS_PURPOSES = ['revocation', 'suspension'];
+
+const statusListIdFor = (institutionId, purpose) =>
+  `${issuerIdFor(institutionId)}/status-lists/${purpose}`;
+
+/**
+ * BitstringStatusListEntry objects pointing at the institution's published lists
+ */
+const buildCredentialStatus = (credential) => {
+  if (credential.statusListIndex === undefined || credential.statusListIndex === null) {
+    return undefined;
+  }
+
+  const institutionId = credential.institutionId._id || credential.institutionId;
+  return STATUS_PURPOSES.map((purpose) => ({
+    id: `${statusListIdFor(institutionId, purpose)}#${credential.statusListIndex}`,
+    type: 'BitstringStatusListEntry',
+    statusPurpose: purpose,
+    statusListIndex: String(credential.statusListIndex),
+    statusListCredential: statusListIdFor(institutionId, purpose)
+  }));
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Bytes signed by eddsa-jcs-2022: hash(proof options) || hash(document)
+ */
+const hashData = (document, proofOptions) => {
+  const { proof, ...unsecured } = document;
+  const { proofValue, ...options } = proofOptions;
+  options['@context'] = unsecured['@context'];
+
+  return Buffer.concat([sha256(canonicalize(options)), sha256(canonicalize(unsecured))]);
+};
+
+/**
+ * Attach a DataIntegrityProof signed with the institution's active key
+ * @param {Object} document - Unsigned JSON-LD document
+ * @param {Object} institution - Institution loaded with +signingKeys.privateKey
+ * @returns {Object} - Signed document
+ */
+const signDocument = (document, institution) => {
+  const key = institution.getActiveSigningKey();
+
+  const proof = {
+    type: 'DataIntegrityProof',
+    cryptosuite: CRYPTOSUITE,
+    created: new Date().toISOString(),
+    verificationMethod: `${issuerIdFor(institution._id)}#${key.keyId}`,
+    proofPurpose: 'assertionMethod'
+  };
+
+  const signature = signBytes(hashData(document, proof), institution.getPrivateKey(key));
+
+  return {
+    ...document,
+    proof: { ...proof, proofValue: encodeMultibase(signature) }
+  };
+};
+
+/**
+ * Render a credential as a W3C Verifiable Credential (Data Model 2.0)
+ * @param {Object} credential - Credential with learnerId populated
+ * @param {Object} institution - Issuing institution
+ * @returns {Object} - Unsigned VC
+ */
+const buildVerifiableCredential = (credential, institution) => {
+  const learner = credential.learnerId || {};
+
+  const vc = {
+    '@context': [VC_CONTEXT],
+    id: credentialIdFor(credential._id),
+    type: ['VerifiableCredential', 'CredMatrixCredential'],
+    issuer: {
+      id: issuerIdFor(institution._id),
+      name: institution.name
+    },
+    validFrom: new Date(credential.issueDate).toISOString(),
+    credentialSubject: {
+      type: 'CredentialHolder',
+      name: [learner.firstName, learner.lastName].filter(Boolean).join(' ') || undefined,
+      achievement: {
+        type: 'Achievement',
+        name: credential.title,
+        description: credential.description,
+        credentialType: credential.type,
+        category: credential.category,
+        credentialNumber: credential.credentialNumber,
+        nsqfLevel: credential.nsqfLevel,
+        skills: (credential.skills || []).map((skill) => ({
+          name: skill.name,
+          category: skill.category
+        }))
+      }
+    }
+  };
+
+  if (credential.expiryDate) {
+    vc.validUntil = new Date(credential.expiryDate).toISOString();
+  }
+
+  vc.credentialStatus = buildCredentialStatus(credential);
+
+  // Drop undefined values so the document round-trips through JSON unchanged
+  return JSON.parse(JSON.stringify(vc));
+};
+
+/**
+ * Build and sign the VC for a credential
+ */
+const issueVerifiableCredential = async (credential) => {
+  const institution = await Institution.loadForSigning(
+    credential.institutionId._id || credential.institutionId
+  );
+
+  if (!institution) {
+    throw new Error('Issuing institution not found');
+  }
+
+  return signDocument(buildVerifiableCredential(credential, institution), institution);
+};
+
+/**
+ * When the issuer signed the credential a document (VC or Open Badge) was
+ * rendered from, according to the Credential record
+ * @returns {Promise<Date|null>} - null when the document is not one of the institution's credentials
+ */
+const recordedSigningTime = async (document, institution) => {
+  const prefix = `${baseUrl()}/credentials/`;
+  const match = typeof document.id === 'string' && document.id.startsWith(prefix)
+    ? /^([a-f\d]{24})(\/openbadge)?$/i.exec(document.id.slice(prefix.length))
+    : null;
+
+  if (!match) return null;
+
+  const credential = await Credential.findById(match[1]).select('institutionId signature.signedAt');
+  if (!credential || !credential.institutionId || !credential.institutionId.equals(institution._id)) {
+    return null;
+  }
+
+  return credential.signature?.signedAt || null;
+};
+
+/**
+ * Check a DataIntegrityProof against the issuing institution's published keys
+ * @returns {Promise<{ valid: boolean, institution: Object|null, key: Object|null, error: string|null }>}
+ */
+const verifyProof = async (document) => {
+  const proof = document.proof;
+  const result = { valid: false, institution: null, key: null, error: null };
+
+  if (!proof || proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE) {
+    result.error = `Expected a DataIntegrityProof using ${CRYPTOSUITE}`;
+    return result;
+  }
+
+  const issuerId = typeof document.issuer === 'string' ? document.issuer : document.issuer?.id;
+  const prefix = `${baseUrl()}/institutions/`;
+
+  if (!issuerId || !issuerId.startsWith(prefix)) {
+    result.error = 'Issuer is not a CredMatrix institution';
+    return result;
+  }
+
+  const [methodIssuer, keyId] = (proof.verificationMethod || '').split('#');
+  if (methodIssuer !== issuerId || !keyId) {
+    result.error = 'Proof was not created by the credential issuer';
+    return result;
+  }
+
+  const institutionId = issuerId.slice(prefix.length);
+  const institution = /^[a-f\d]{24}$/i.test(institutionId)
+    ? await Institution.findById(institutionId)
+    : null;
+
+  if (!institution) {
+    result.error = 'Issuer not found';
+    return result;
+  }
+  result.institution = institution;
+
+  const key = institution.getSigningKey(keyId);
+  if (!key) {
+    result.error = 'Signing key not found';
+    return result;
+  }
+  result.key = key;
+
+  const created = new Date(proof.created);
+  if (!proof.created || Number.isNaN(created.getTime())) {
+    result.error = 'Proof has an invalid creation date';
+    return result;
+  }
+
+  // proof.created is chosen by whoever holds the key, so a retired key is only
+  // accepted for credentials our own records show were signed before it retired
+  if (key.retiredAt) {
+    const signedAt = await recordedSigningTime(document, institution);
+    if (created > key.retiredAt || !signedAt || signedAt > key.retiredAt) {
+      result.error = 'Signing key was retired before this credential was issued';
+      return result;
+    }
+  }
+
+  let signature;
+  try {
+    signature = decodeMultibase(proof.proofValue);
+  } catch (error) {
+    result.error = 'Malformed proofValue';
+    return result;
+  }
+
+  result.valid = verifyBytes(hashData(document, proof), signature, key.publicKeyMultibase);
+  if (!result.valid) {
+    result.error = 'Signature does not match the credential contents';
+  }
+
+  return result;
+};
+
+/**
+ * Verify a VC: signature, issuer, validity period and current credential status
+ * @param {Object} vc - Verifiable Credential JSON
+ * @returns {Promise<Object>} - Verification report
+ */
+const verifyVerifiableCredential = async (vc) => {
+  const errors = [];
+  const now = new Date();
+
+  const proof = await verifyProof(vc);
+  if (proof.error) errors.push(proof.error);
+
+  const issuerValid = Boolean(proof.institution && proof.institution.isActive);
+  if (proof.institution && !proof.institution.isActive) {
+    errors.push('Issuer is no longer active');
+  }
+
+  const notYetValid = vc.validFrom && new Date(vc.validFrom) > now;
+  const expired = vc.validUntil && new Date(vc.validUntil) < now;
+  if (notYetValid) errors.push('Credential is not yet valid');
+  if (expired) errors.push('Credential has expired');
+
+  // Revocation: the credential must still exist and be verified by its issuer
+  let credentialStatus = null;
+  const credentialPrefix = `${baseUrl()}/credentials/`;
+  const credentialId = typeof vc.id === 'string' && vc.id.startsWith(credentialPrefix)
+    ? vc.id.slice(credentialPrefix.length)
+    : null;
+
+  if (credentialId && /^[a-f\d]{24}$/i.test(credentialId)) {
+    const credential = await Credential.findById(credentialId).select('verificationStatus institutionId');
+    if (credential && proof.institution && credential.institutionId.equals(proof.institution._id)) {
+      credentialStatus = credential.verificationStatus;
+    }
+  }
+
+  if (!credentialStatus) {
+    errors.push('Credential is no longer on record with the issuer');
+  } else if (credentialStatus !== 'verified') {
+    errors.push(`Credential status is ${credentialStatus}`);
+  }
+
+  return {
+    verified: errors.length === 0,
+    checks: {
+      signature: proof.valid,
+      issuer: issuerValid,
+      expiry: !notYetValid && !expired,
+      status: credentialStatus === 'verified'
+    },
+    issuer: proof.institution
+      ? { id: proof.institution._id, name: proof.institution.name }
+      : null,
+    verificationMethod: proof.key ? vc.proof.verificationMethod : null,
+    credentialStatus,
+    errors
+  };
+};
+
+export {
+  VC_CONTEXT,
+  STATUS_PURPOSES,
+  issuerIdFor,
+  credentialIdFor,
+  statusListIdFor,
+  buildCredentialStatus,
+  signDocument,
+  verifyProof,
+  buildVerifiableCredential,
+  issueVerifiableCredential,
+  verifyVerifiableCredential
+};
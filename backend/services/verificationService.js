@@ -0,0 +1,131 @@
+import VerificationLog from '../models/VerificationLog.js';
+import Employer from '../models/Employer.js';
+import ApiKey from '../models/ApiKey.js';
+import Credential from '../models/Credential.js';
+import CredentialVersion from '../models/CredentialVersion.js';
+import { verifyCredentialSignature } from './credentialService.js';
+import { credentialAtVersion } from './credentialVersionService.js';
+
+/**
+ * Status shown to verifiers; verified credentials past their expiry read as expired
+ */
+const effectiveStatus = (credential) => {
+  if (
+    credential.verificationStatus === 'verified' &&
+    credential.expiryDate &&
+    credential.expiryDate < Date.now()
+  ) {
+    return 'expired';
+  }
+  return credential.verificationStatus;
+};
+
+/**
+ * "Jane Doe" -> "Jane D."
+ */
+const maskName = (firstName, lastName) =>
+  [firstName, lastName ? `${lastName.charAt(0)}.` : null].filter(Boolean).join(' ');
+
+/**
+ * Load a recorded version of a credential
+ * @param {Object} credential - Credential document
+ * @param {number|string} version - Version number
+ * @returns {Promise<Object|null>} - CredentialVersion, or null if there is none
+ */
+const findCredentialVersion = (credential, version) =>
+  CredentialVersion.findOne({ credentialId: credential._id, version: parseInt(version, 10) });
+
+/**
+ * Minimal verification result safe to show to anyone
+ * @param {Object} credential - Credential with learnerId and institutionId populated
+ * @param {Object} options - { revealHolder } shows the holder's full name;
+ *   { version } (CredentialVersion) reports that version's contents instead of the current ones
+ * @returns {Promise<Object>}
+ */
+const buildPublicResult = async (credential, { revealHolder = false, version } = {}) => {
+  const learner = credential.learnerId || {};
+  const institution = credential.institutionId || {};
+  const status = effectiveStatus(credential);
+  const contents = version ? credentialAtVersion(credential, version) : credential;
+  const signature = await verifyCredentialSignature(contents);
+  const lastChange = ['revoked', 'suspended'].includes(status)
+    ? credential.statusHistory[credential.statusHistory.length - 1]
+    : null;
+
+  return {
+    verified: status === 'verified' && signature.valid,
+    status,
+    statusReason: lastChange ? lastChange.reasonCode : undefined,
+    statusChangedAt: lastChange ? lastChange.changedAt : undefined,
+    holder: revealHolder
+      ? [learner.firstName, learner.lastName].filter(Boolean).join(' ')
+      : maskName(learner.firstName, learner.lastName),
+    issuer: {
+      id: institution._id,
+      name: institution.name,
+      isVerified: institution.isVerified
+    },
+    title: contents.title,
+    type: contents.type,
+    credentialNumber: contents.credentialNumber,
+    issueDate: contents.issueDate,
+    expiryDate: contents.expiryDate,
+    version: contents.version,
+    latestVersion: credential.version,
+    // Amended since this version; the current contents differ
+    superseded: contents.version < credential.version,
+    signature: {
+      valid: signature.valid,
+      keyId: signature.keyId || null
+    },
+    checkedAt: new Date()
+  };
+};
+
+/**
+ * Count the view and log the verification for the holder
+ * @param {Object} credential - Credential document
+ * @param {Object} req - Express request (for ip / user agent)
+ * @param {Object} details - { method, status, signatureValid, verifiedBy, verifierName }
+ */
+const recordVerification = async (credential, req, details) => {
+  try {
+    await Credential.updateOne({ _id: credential._id }, { $inc: { viewCount: 1 } });
+
+    await VerificationLog.create({
+      credentialId: credential._id,
+      learnerId: credential.learnerId._id || credential.learnerId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      ...details
+    });
+  } catch (error) {
+    console.error('Error recording verification:', error);
+  }
+};
+
+/**
+ * Add verified credentials to the employer's count, and to the API key's
+ * when the request was made with one
+ * @param {Object} req - Express request (employer user, optional apiKey)
+ * @param {number} count - Credentials verified
+ */
+const countEmployerVerifications = async (req, count = 1) => {
+  if (count <= 0) return;
+
+  await Employer.findByIdAndUpdate(req.user.id, {
+    $inc: { credentialsVerified: count }
+  });
+
+  if (req.apiKey) {
+    await ApiKey.updateOne({ _id: req.apiKey._id }, { $inc: { credentialsVerified: count } });
+  }
+};
+
+export {
+  effectiveStatus,
+  findCredentialVersion,
+  buildPublicResult,
+  recordVerification,
+  countEmployerVerifications
+};
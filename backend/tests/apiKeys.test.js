@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import {
+  app,
+  request,
+  as,
+  createEmployer,
+  createInstitution,
+  createLearner,
+  login,
+} from "./helpers/fixtures.js";
+import ApiKey from "../models/ApiKey.js";
+import Employer from "../models/Employer.js";
+import { issueCredential } from "../services/credentialService.js";
+
+const withKey = (method, url, key) =>
+  request(app)[method](url).set("x-api-key", key);
+
+beforeAll(connect);
+beforeEach(clear);
+
+describe("employer API keys", () => {
+  let employer;
+  let session;
+
+  const createKey = async (scopes) => {
+    const res = await as(session.accessToken)
+      .post("/api/v1/employers/api-keys")
+      .send({ label: "ATS", scopes });
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  beforeEach(async () => {
+    employer = await createEmployer();
+    session = await login(employer);
+  });
+
+  it("returns the key once and stores only its hash", async () => {
+    const { key, apiKey } = await createKey(["jobs"]);
+
+    const stored = await ApiKey.findById(apiKey._id).select("+keyHash").lean();
+    expect(JSON.stringify(stored)).not.toContain(key);
+    expect(stored.keyHash).toBe(ApiKey.hashKey(key));
+  });
+
+  it("allows routes covered by the key's scopes", async () => {
+    const { key, apiKey } = await createKey(["jobs", "search"]);
+
+    expect((await withKey("get", "/api/v1/employers/jobs", key)).status).toBe(200);
+    expect((await withKey("get", "/api/v1/employers/search-learners", key)).status).toBe(200);
+
+    const stored = await ApiKey.findById(apiKey._id);
+    expect(stored.usageCount).toBe(2);
+    expect(stored.lastUsedAt).toBeTruthy();
+  });
+
+  it("rejects routes outside the key's scopes", async () => {
+    const { key } = await createKey(["jobs"]);
+
+    const search = await withKey("get", "/api/v1/employers/search-learners", key);
+    expect(search.status).toBe(403);
+    expect(search.body.message).toMatch(/"search" scope/);
+
+    const verify = await withKey("post", "/api/v1/employers/bulk-verify", key);
+    expect(verify.status).toBe(403);
+  });
+
+  it("is not accepted on routes that need an employer login", async () => {
+    const { key } = await createKey(["jobs", "search", "verify"]);
+
+    expect((await withKey("get", "/api/v1/employers/api-keys", key)).status).toBe(401);
+    expect((await withKey("get", "/api/v1/employers/profile", key)).status).toBe(401);
+  });
+
+  it("rejects unknown, revoked and expired keys", async () => {
+    expect((await withKey("get", "/api/v1/employers/jobs", "mk_unknown")).status).toBe(401);
+
+    const revoked = await createKey(["jobs"]);
+    await as(session.accessToken).delete(`/api/v1/employers/api-keys/${revoked.apiKey._id}`);
+    expect((await withKey("get", "/api/v1/employers/jobs", revoked.key)).status).toBe(401);
+
+    const expired = await createKey(["jobs"]);
+    await ApiKey.updateOne(
+      { _id: expired.apiKey._id },
+      { expiresAt: new Date(Date.now() - 1000) },
+    );
+    expect((await withKey("get", "/api/v1/employers/jobs", expired.key)).status).toBe(401);
+  });
+
+  it("narrows access when scopes are updated", async () => {
+    const { key, apiKey } = await createKey(["jobs", "search"]);
+
+    const res = await as(session.accessToken)
+      .put(`/api/v1/employers/api-keys/${apiKey._id}`)
+      .send({ scopes: ["search"] });
+    expect(res.status).toBe(200);
+
+    expect((await withKey("get", "/api/v1/employers/jobs", key)).status).toBe(403);
+  });
+
+  it("stops working when the employer is deactivated", async () => {
+    const { key } = await createKey(["jobs"]);
+    await employer.updateOne({ isActive: false });
+
+    expect((await withKey("get", "/api/v1/employers/jobs", key)).status).toBe(401);
+  });
+
+  it("counts bulk and single verifications for the employer and the key", async () => {
+    const { institution } = await createInstitution();
+    const learner = await createLearner();
+    for (const credentialNumber of ["A-0001", "A-0002"]) {
+      await issueCredential({
+        learnerId: learner._id,
+        institutionId: institution._id,
+        title: "Welding Level 1",
+        description: "Basic welding",
+        type: "certificate",
+        credentialNumber,
+        verificationStatus: "verified",
+      });
+    }
+    const { key, apiKey } = await createKey(["verify"]);
+
+    const bulk = await withKey("post", "/api/v1/employers/bulk-verify", key).send({
+      credentialNumbers: ["A-0001", "A-0002", "A-9999"],
+    });
+    expect(bulk.status).toBe(200);
+
+    const single = await withKey("post", "/api/v1/employers/verify-credential", key).send({
+      credentialNumber: "A-0001",
+    });
+    expect(single.status).toBe(200);
+
+    expect((await ApiKey.findById(apiKey._id)).credentialsVerified).toBe(3);
+    expect((await Employer.findById(employer._id)).credentialsVerified).toBe(3);
+
+    // Logged-in use counts for the employer only
+    await as(session.accessToken)
+      .post("/api/v1/employers/bulk-verify")
+      .send({ credentialNumbers: ["A-0002"] });
+    expect((await Employer.findById(employer._id)).credentialsVerified).toBe(4);
+    expect((await ApiKey.findById(apiKey._id)).credentialsVerified).toBe(3);
+  });
+
+  it("cannot manage another employer's keys", async () => {
+    const { apiKey } = await createKey(["jobs"]);
+    const other = await login(await createEmployer());
+
+    const res = await as(other.accessToken).delete(
+      `/api/v1/employers/api-keys/${apiKey._id}`,
+    );
+    expect(res.status).toBe(404);
+  });
+});
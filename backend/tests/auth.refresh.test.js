@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { app, request, as, createLearner, login } from "./helpers/fixtures.js";
+
+const refresh = (refreshToken) =>
+  request(app).post("/api/v1/auth/refresh").send({ refreshToken });
+
+beforeAll(connect);
+beforeEach(clear);
+
+describe("refresh token rotation", () => {
+  let tokens;
+
+  beforeEach(async () => {
+    tokens = await login(await createLearner());
+  });
+
+  it("issues a new token pair and retires the old refresh token", async () => {
+    const res = await refresh(tokens.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+    expect(res.body.refreshToken).toBeTruthy();
+    expect(res.body.refreshToken).not.toBe(tokens.refreshToken);
+
+    const me = await as(res.body.accessToken).get("/api/v1/auth/me");
+    expect(me.status).toBe(200);
+
+    const again = await refresh(res.body.refreshToken);
+    expect(again.status).toBe(200);
+  });
+
+  it("revokes the session when a rotated token is replayed", async () => {
+    const rotated = await refresh(tokens.refreshToken);
+    expect(rotated.status).toBe(200);
+
+    const replay = await refresh(tokens.refreshToken);
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toMatch(/reuse detected/i);
+
+    // The legitimate holder of the newest token is signed out too
+    const next = await refresh(rotated.body.refreshToken);
+    expect(next.status).toBe(401);
+    expect(next.body.message).toMatch(/revoked/i);
+
+    const me = await as(rotated.body.accessToken).get("/api/v1/auth/me");
+    expect(me.status).toBe(401);
+  });
+
+  it("rejects malformed refresh tokens", async () => {
+    const res = await refresh("not-a-token");
+    expect(res.status).toBe(401);
+  });
+
+  it("rejects an access token used as a refresh token", async () => {
+    const res = await refresh(tokens.accessToken);
+    expect(res.status).toBe(401);
+  });
+});
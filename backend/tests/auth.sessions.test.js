@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { app, request, as, createLearner, login } from "./helpers/fixtures.js";
+
+const refresh = (refreshToken) =>
+  request(app).post("/api/v1/auth/refresh").send({ refreshToken });
+
+beforeAll(connect);
+beforeEach(clear);
+
+describe("sessions", () => {
+  let learner;
+  let laptop;
+  let phone;
+
+  beforeEach(async () => {
+    learner = await createLearner();
+    laptop = await login(learner);
+    phone = await login(learner);
+  });
+
+  it("lists active sessions and flags the current one", async () => {
+    const res = await as(laptop.accessToken).get("/api/v1/auth/sessions");
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.data.filter((session) => session.current)).toHaveLength(1);
+  });
+
+  it("revokes a single session", async () => {
+    const list = await as(laptop.accessToken).get("/api/v1/auth/sessions");
+    const other = list.body.data.find((session) => !session.current);
+
+    const res = await as(laptop.accessToken).delete(
+      `/api/v1/auth/sessions/${other._id}`,
+    );
+    expect(res.status).toBe(200);
+
+    expect((await as(phone.accessToken).get("/api/v1/auth/me")).status).toBe(401);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await as(laptop.accessToken).get("/api/v1/auth/me")).status).toBe(200);
+  });
+
+  it("does not revoke another user's session", async () => {
+    const list = await as(phone.accessToken).get("/api/v1/auth/sessions");
+    const other = await login(await createLearner());
+
+    const res = await as(other.accessToken).delete(
+      `/api/v1/auth/sessions/${list.body.data[0]._id}`,
+    );
+    expect(res.status).toBe(404);
+    expect((await as(phone.accessToken).get("/api/v1/auth/me")).status).toBe(200);
+  });
+
+  it("logs out everywhere else", async () => {
+    const res = await as(laptop.accessToken).delete("/api/v1/auth/sessions");
+
+    expect(res.status).toBe(200);
+    expect(res.body.revoked).toBe(1);
+    expect((await as(phone.accessToken).get("/api/v1/auth/me")).status).toBe(401);
+    expect((await as(laptop.accessToken).get("/api/v1/auth/me")).status).toBe(200);
+  });
+
+  it("ends the session on logout", async () => {
+    const res = await as(laptop.accessToken).post("/api/v1/auth/logout");
+
+    expect(res.status).toBe(200);
+    expect((await as(laptop.accessToken).get("/api/v1/auth/me")).status).toBe(401);
+    expect((await refresh(laptop.refreshToken)).status).toBe(401);
+  });
+});
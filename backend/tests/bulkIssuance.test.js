@@ -0,0 +1,146 @@
+import AdmZip from "adm-zip";
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { createInstitution } from "./helpers/fixtures.js";
+import BulkIssuanceJob from "../models/BulkIssuanceJob.js";
+import { failInterruptedJobs, readCertificates } from "../services/bulkIssuanceService.js";
+
+beforeAll(connect);
+
+const MINUTE_MS = 60 * 1000;
+
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return { buffer: zip.toBuffer() };
+};
+
+// Rewrite every central directory entry to declare an uncompressed size of 0
+const withZeroSizes = (buffer) => {
+  const patched = Buffer.from(buffer);
+  for (let offset = 0; offset < patched.length - 4; offset += 1) {
+    if (patched.readUInt32LE(offset) === 0x02014b50) patched.writeUInt32LE(0, offset + 24);
+  }
+  return patched;
+};
+
+describe("readCertificates", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("indexes certificates by lower-cased name", () => {
+    const certificates = readCertificates(
+      zipOf({ "W-0001.PDF": "%PDF-1.4", "notes.txt": "skip", "._W-0001.PDF": "mac" }),
+    );
+
+    expect([...certificates.keys()]).toEqual(["w-0001.pdf"]);
+    expect(certificates.get("w-0001.pdf")).toMatchObject({
+      name: "W-0001.PDF",
+      mimetype: "application/pdf",
+    });
+  });
+
+  it("rejects a certificate larger than MAX_FILE_SIZE", () => {
+    process.env.MAX_FILE_SIZE = "1024";
+
+    expect(() => readCertificates(zipOf({ "big.pdf": "a".repeat(1025) }))).toThrow(
+      'Certificate "big.pdf" must be between 1 and 1024 bytes',
+    );
+  });
+
+  it("rejects a certificate that declares no size", () => {
+    const zip = new AdmZip();
+    zip.addFile("bomb.pdf", Buffer.alloc(64 * 1024));
+
+    expect(() => readCertificates({ buffer: withZeroSizes(zip.toBuffer()) })).toThrow(
+      'Certificate "bomb.pdf" must be between 1',
+    );
+  });
+
+  it("rejects certificates larger than the total limit together", () => {
+    process.env.BULK_CERTIFICATES_MAX_TOTAL_SIZE = "2048";
+
+    expect(() =>
+      readCertificates(zipOf({ "a.pdf": "a".repeat(1024), "b.pdf": "b".repeat(1025) })),
+    ).toThrow("Certificates in the ZIP exceed 2048 bytes in total");
+  });
+
+  it("rejects an archive with too many entries", () => {
+    process.env.BULK_ISSUANCE_MAX_ROWS = "2";
+
+    expect(() =>
+      readCertificates(zipOf({ "1.pdf": "1", "2.pdf": "2", "3.pdf": "3", "4.pdf": "4", "5.pdf": "5" })),
+    ).toThrow("The certificates ZIP can contain at most 4 entries");
+  });
+});
+
+describe("failInterruptedJobs", () => {
+  let institution;
+  let user;
+
+  beforeEach(async () => {
+    await clear();
+
+    ({ institution, user } = await createInstitution());
+  });
+
+  const createJob = (fields) =>
+    BulkIssuanceJob.create({
+      institutionId: institution._id,
+      createdBy: user._id,
+      totalRows: 3,
+      results: [
+        { row: 2, credentialNumber: "B-1", status: "issued" },
+        { row: 3, credentialNumber: "B-2", status: "pending" },
+        { row: 4, credentialNumber: "B-3", status: "pending" },
+      ],
+      ...fields,
+    });
+
+  const ago = (minutes) => new Date(Date.now() - minutes * MINUTE_MS);
+
+  it("fails a processing job whose heartbeat stopped, and its pending rows", async () => {
+    const job = await createJob({ status: "processing", heartbeatAt: ago(10), issuedCount: 1 });
+
+    expect(await failInterruptedJobs()).toBe(1);
+
+    const failed = await BulkIssuanceJob.findById(job._id);
+    expect(failed.status).toBe("failed");
+    expect(failed.error).toMatch(/Interrupted/);
+    expect(failed.completedAt).toBeDefined();
+    expect(failed.failedCount).toBe(2);
+    expect(failed.results.map((result) => result.status)).toEqual(["issued", "failed", "failed"]);
+    expect(failed.results[1].messages).toEqual(["Not issued: the job was interrupted"]);
+  });
+
+  it("fails a job that was queued but never started", async () => {
+    const job = await createJob({ status: "queued" });
+    await BulkIssuanceJob.collection.updateOne({ _id: job._id }, { $set: { createdAt: ago(10) } });
+
+    expect(await failInterruptedJobs()).toBe(1);
+    expect((await BulkIssuanceJob.findById(job._id)).status).toBe("failed");
+  });
+
+  it("leaves running and finished jobs alone", async () => {
+    const running = await createJob({ status: "processing", heartbeatAt: ago(0.5) });
+    const queued = await createJob({ status: "queued" });
+    const completed = await createJob({ status: "completed", heartbeatAt: ago(60) });
+
+    expect(await failInterruptedJobs()).toBe(0);
+
+    expect((await BulkIssuanceJob.findById(running._id)).status).toBe("processing");
+    expect((await BulkIssuanceJob.findById(queued._id)).status).toBe("queued");
+    expect((await BulkIssuanceJob.findById(completed._id)).status).toBe("completed");
+  });
+
+  it("fails each job once across runs", async () => {
+    await createJob({ status: "processing", heartbeatAt: ago(10) });
+
+    expect(await failInterruptedJobs()).toBe(1);
+    expect(await failInterruptedJobs()).toBe(0);
+    expect((await BulkIssuanceJob.findOne()).failedCount).toBe(2);
+  });
+});
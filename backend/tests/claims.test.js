@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeAll, beforeEach, jest } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createInstitution, createLearner, login } from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+import CredentialClaim from "../models/CredentialClaim.js";
+import StackRule from "../models/StackRule.js";
+import StackAward from "../models/StackAward.js";
+import aiService from "../services/aiService.js";
+import { issueCredential, verifyCredentialSignature } from "../services/credentialService.js";
+import { getOutbox, clearOutbox } from "../services/mailService.js";
+
+beforeAll(connect);
+
+describe("learner credential claims", () => {
+  let institution;
+  let owner;
+  let learner;
+  let learnerApi;
+
+  beforeEach(async () => {
+    await clear();
+    clearOutbox();
+    // Skill extraction calls out to Hugging Face
+    jest.spyOn(aiService, "analyzeCredential").mockResolvedValue({
+      skills: [{ name: "Welding", category: "technical" }],
+      nsqfLevel: 4,
+    });
+
+    let user;
+    ({ institution, user } = await createInstitution());
+    owner = as((await login(user)).accessToken);
+    learner = await createLearner();
+    learnerApi = as((await login(learner)).accessToken);
+  });
+
+  let counter = 0;
+  const createClaim = (overrides = {}) =>
+    CredentialClaim.create({
+      learnerId: learner._id,
+      institutionId: institution._id,
+      institutionName: institution.name,
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "certificate",
+      credentialNumber: `C-${(counter += 1)}`,
+      issueDate: new Date("2020-06-01"),
+      file: { path: "https://files.example.org/certificate.pdf", hash: "abc123" },
+      ...overrides,
+    });
+
+  const review = (api, claim, body) =>
+    api.put(`/api/v1/credentials/claims/${claim._id}/review`).send(body);
+
+  describe("reviewing", () => {
+    it("issues a signed, verified credential when a claim is approved", async () => {
+      const claim = await createClaim();
+
+      const res = await review(owner, claim, { status: "approved" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe("approved");
+      const credential = await Credential.findById(res.body.data.credentialId);
+      expect(credential).toMatchObject({
+        verificationStatus: "verified",
+        credentialNumber: claim.credentialNumber,
+        nsqfLevel: 4,
+      });
+      expect(credential.skills.map((skill) => skill.name)).toEqual(["Welding"]);
+      expect(credential.claimId.toString()).toBe(claim._id.toString());
+      expect((await verifyCredentialSignature(credential)).valid).toBe(true);
+
+      expect(getOutbox()).toHaveLength(1);
+      expect(getOutbox()[0]).toMatchObject({
+        to: learner.email,
+        subject: 'Your credential claim "Welding Level 1" was approved',
+      });
+    });
+
+    it("checks the learner's stacks once the credential is issued", async () => {
+      await StackRule.create({
+        institutionId: institution._id,
+        name: "Welding Diploma",
+        awardMode: "offer",
+        components: [{ title: "Welding Level 1" }, { title: "Welding Level 2" }],
+        reward: { title: "Welding Diploma", description: "All welding levels" },
+      });
+      await issueCredential({
+        learnerId: learner._id,
+        institutionId: institution._id,
+        title: "Welding Level 2",
+        description: "Advanced welding",
+        type: "certificate",
+        credentialNumber: "K-1",
+        verificationStatus: "verified",
+      });
+
+      await review(owner, await createClaim(), { status: "approved" });
+
+      const award = await StackAward.findOne({ learnerId: learner._id });
+      expect(award.status).toBe("offered");
+    });
+
+    it("tells the learner why a claim was rejected", async () => {
+      const claim = await createClaim();
+
+      const res = await review(owner, claim, {
+        status: "rejected",
+        reasonCode: "requirements-not-met",
+        note: "No record of this certificate",
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe("rejected");
+      expect(await Credential.countDocuments()).toBe(0);
+
+      const [mail] = getOutbox();
+      expect(mail.subject).toBe('Your credential claim "Welding Level 1" was rejected');
+      expect(mail.text).toContain(
+        "Reason: requirements-not-met - No record of this certificate",
+      );
+    });
+
+    it("refuses to review a claim twice", async () => {
+      const claim = await createClaim();
+      await review(owner, claim, { status: "rejected", reasonCode: "fraud" });
+
+      const res = await review(owner, claim, { status: "approved" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("This claim has already been rejected");
+      expect(await Credential.countDocuments()).toBe(0);
+    });
+  });
+
+  describe("submitting", () => {
+    const submit = (credentialNumber) =>
+      learnerApi
+        .post("/api/v1/learners/claims")
+        .field("institutionId", institution._id.toString())
+        .field("title", "Welding Level 1")
+        .field("type", "certificate")
+        .field("credentialNumber", credentialNumber)
+        .field("issueDate", "2020-06-01")
+        .attach("file", Buffer.from("%PDF-1.4"), {
+          filename: "certificate.pdf",
+          contentType: "application/pdf",
+        });
+
+    it("refuses a credential number that is already claimed", async () => {
+      await createClaim({ credentialNumber: "C-DUP" });
+
+      const res = await submit("C-DUP");
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("This credential has already been claimed");
+      expect(await CredentialClaim.countDocuments()).toBe(1);
+    });
+
+    it("refuses a credential number that is already issued", async () => {
+      await issueCredential({
+        learnerId: learner._id,
+        institutionId: institution._id,
+        title: "Welding Level 1",
+        description: "Basic welding",
+        type: "certificate",
+        credentialNumber: "C-ISSUED",
+        verificationStatus: "verified",
+      });
+
+      const res = await submit("C-ISSUED");
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("A credential with this number is already on the platform");
+      expect(await CredentialClaim.countDocuments()).toBe(0);
+    });
+  });
+
+  describe("another institution", () => {
+    let other;
+
+    beforeEach(async () => {
+      const { user } = await createInstitution({ name: "Other Institute" });
+      other = as((await login(user)).accessToken);
+    });
+
+    it("does not see the claim in its queue or by id", async () => {
+      const claim = await createClaim();
+
+      const queue = await other.get("/api/v1/credentials/claims");
+      expect(queue.status).toBe(200);
+      expect(queue.body.total).toBe(0);
+
+      const res = await other.get(`/api/v1/credentials/claims/${claim._id}`);
+      expect(res.status).toBe(404);
+    });
+
+    it("cannot approve or reject the claim", async () => {
+      const claim = await createClaim();
+
+      expect((await review(other, claim, { status: "approved" })).status).toBe(404);
+      expect(
+        (await review(other, claim, { status: "rejected", reasonCode: "fraud" })).status,
+      ).toBe(404);
+
+      expect((await CredentialClaim.findById(claim._id)).status).toBe("pending");
+      expect(await Credential.countDocuments()).toBe(0);
+      expect(getOutbox()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { createInstitution, createLearner } from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+import CreditLedgerEntry from "../models/CreditLedgerEntry.js";
+import StackRule from "../models/StackRule.js";
+import StackAward from "../models/StackAward.js";
+import { issueCredential } from "../services/credentialService.js";
+import { recordCreditsEarned } from "../services/creditLedgerService.js";
+import { checkStacksForLearner } from "../services/stackService.js";
+import {
+  expireCredentials,
+  sendExpiryReminders,
+} from "../services/credentialExpiryService.js";
+import { getOutbox, clearOutbox, setTransport } from "../services/mailService.js";
+
+beforeAll(connect);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("credential expiry", () => {
+  let institution;
+  let learner;
+
+  beforeEach(async () => {
+    await clear();
+    clearOutbox();
+
+    ({ institution } = await createInstitution());
+    learner = await createLearner();
+  });
+
+  afterEach(() => setTransport(undefined));
+
+  let counter = 0;
+  const issue = (overrides = {}) =>
+    issueCredential({
+      learnerId: learner._id,
+      institutionId: institution._id,
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "certificate",
+      credentialNumber: `E-${(counter += 1)}`,
+      verificationStatus: "verified",
+      ...overrides,
+    });
+
+  const past = () => new Date(Date.now() - DAY_MS);
+  const inDays = (days) => new Date(Date.now() + days * DAY_MS - 60 * 1000);
+  const lapse = (credential) =>
+    Credential.updateOne({ _id: credential._id }, { expiryDate: past() });
+
+  describe("expireCredentials", () => {
+    it("expires each due credential once across runs", async () => {
+      const due = await issue({ expiryDate: past() });
+      const current = await issue({ expiryDate: inDays(30) });
+
+      expect(await expireCredentials()).toBe(1);
+      expect(await expireCredentials()).toBe(0);
+
+      const expired = await Credential.findById(due._id);
+      expect(expired.verificationStatus).toBe("expired");
+      expect(expired.statusHistory.filter((entry) => entry.status === "expired")).toHaveLength(1);
+      expect((await Credential.findById(current._id)).verificationStatus).toBe("verified");
+    });
+
+    it("reverses the credits the credential earned", async () => {
+      const credential = await issue({ expiryDate: past(), metadata: { credits: 4 } });
+      await recordCreditsEarned(credential);
+
+      await expireCredentials();
+
+      const entries = await CreditLedgerEntry.find({ learnerId: learner._id }).sort("sequence");
+      expect(entries.map(({ entryType, credits }) => [entryType, credits])).toEqual([
+        ["earned", 4],
+        ["reversal", -4],
+      ]);
+      expect(entries[1].reason).toBe("Credential expired");
+    });
+
+    it("revokes a stack credential its expiry leaves incomplete", async () => {
+      await StackRule.create({
+        institutionId: institution._id,
+        name: "Welding Diploma",
+        awardMode: "issue",
+        components: [{ title: "Welding Level 1" }, { title: "Welding Level 2" }],
+        reward: { title: "Welding Diploma", description: "All welding levels" },
+      });
+      const level1 = await issue();
+      await issue({ title: "Welding Level 2" });
+      await checkStacksForLearner(learner._id);
+
+      const award = await StackAward.findOne({ learnerId: learner._id });
+      expect(award.status).toBe("issued");
+      await lapse(level1);
+
+      await expireCredentials();
+
+      expect(await StackAward.countDocuments()).toBe(0);
+      const diploma = await Credential.findById(award.credentialId);
+      expect(diploma.verificationStatus).toBe("revoked");
+      expect(diploma.statusHistory.at(-1)).toMatchObject({
+        status: "revoked",
+        reasonCode: "requirements-not-met",
+      });
+      expect(getOutbox().map((mail) => mail.subject)).toContain(
+        '"Welding Diploma" has been revoked',
+      );
+
+      // A renewal of the component earns the stack again
+      await issue({ renewedFrom: level1._id });
+      await checkStacksForLearner(learner._id);
+      expect(await StackAward.countDocuments({ status: "issued" })).toBe(1);
+    });
+
+    it("keeps a stack award other credentials still satisfy", async () => {
+      await StackRule.create({
+        institutionId: institution._id,
+        name: "Welding Diploma",
+        awardMode: "offer",
+        components: [{ title: "Welding Level 1" }],
+        reward: { title: "Welding Diploma", description: "All welding levels" },
+      });
+      const expiring = await issue();
+      await checkStacksForLearner(learner._id);
+      const replacement = await issue();
+      await lapse(expiring);
+
+      await expireCredentials();
+
+      const award = await StackAward.findOne({ learnerId: learner._id });
+      expect(award.status).toBe("offered");
+      expect(award.componentCredentials.map(String)).toEqual([replacement._id.toString()]);
+      expect(award.componentCredentials.map(String)).not.toContain(expiring._id.toString());
+    });
+  });
+
+  describe("sendExpiryReminders", () => {
+    it("sends each reminder once across runs", async () => {
+      await issue({ expiryDate: inDays(30) });
+
+      expect(await sendExpiryReminders()).toBe(1);
+      expect(await sendExpiryReminders()).toBe(0);
+      expect(getOutbox()).toHaveLength(1);
+    });
+
+    it("skips a reminder another run has already claimed", async () => {
+      const credential = await issue({ expiryDate: inDays(30) });
+      await Credential.updateOne(
+        { _id: credential._id },
+        { $addToSet: { expiryRemindersSent: { $each: [60, 30] } } },
+      );
+
+      expect(await sendExpiryReminders()).toBe(0);
+      expect(getOutbox()).toHaveLength(0);
+    });
+
+    it("retries a reminder whose email failed", async () => {
+      const credential = await issue({ expiryDate: inDays(7) });
+      setTransport({
+        sendMail: async () => {
+          throw new Error("SMTP unavailable");
+        },
+      });
+
+      expect(await sendExpiryReminders()).toBe(0);
+      expect((await Credential.findById(credential._id)).expiryRemindersSent).toEqual([]);
+
+      setTransport(undefined);
+      expect(await sendExpiryReminders()).toBe(1);
+      expect((await Credential.findById(credential._id)).expiryRemindersSent).toEqual(
+        expect.arrayContaining([60, 30, 7]),
+      );
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createInstitution, createLearner, login } from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+
+beforeAll(connect);
+
+describe("credential templates", () => {
+  let institution;
+  let owner;
+  let learner;
+
+  beforeEach(async () => {
+    await clear();
+
+    let user;
+    ({ institution, user } = await createInstitution());
+    owner = as((await login(user)).accessToken);
+    learner = await createLearner();
+  });
+
+  const templatesUrl = () => `/api/v1/institutions/${institution._id}/credential-templates`;
+
+  const createTemplate = async (overrides = {}) => {
+    const res = await owner.post(templatesUrl()).send({
+      name: "Welding - 2024 cohorts",
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "certificate",
+      category: "technical",
+      nsqfLevel: 3,
+      skills: [{ name: "Arc welding", category: "technical" }],
+      validityMonths: 24,
+      certificateLayout: { orientation: "portrait", primaryColor: "#1a73e8" },
+      ...overrides,
+    });
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  const issueFrom = (template, credentialNumber) =>
+    owner
+      .post(`/api/v1/credentials/from-template/${template._id}`)
+      .field("learnerId", learner._id.toString())
+      .field("credentialNumber", credentialNumber)
+      .field("issueDate", "2024-01-15");
+
+  describe("management", () => {
+    it("versions each edit", async () => {
+      const template = await createTemplate();
+      expect(template.version).toBe(1);
+
+      const res = await owner
+        .put(`${templatesUrl()}/${template._id}`)
+        .send({ title: "Welding Level 1 (revised)" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ title: "Welding Level 1 (revised)", version: 2 });
+    });
+
+    it("retires a template without deleting it", async () => {
+      const template = await createTemplate();
+
+      expect((await owner.delete(`${templatesUrl()}/${template._id}`)).status).toBe(200);
+
+      expect((await owner.get(templatesUrl())).body.count).toBe(0);
+      const all = await owner.get(`${templatesUrl()}?includeRetired=true`);
+      expect(all.body.data.map((t) => t.isActive)).toEqual([false]);
+
+      const issued = await issueFrom(template, "T-1");
+      expect(issued.status).toBe(404);
+      expect(issued.body.message).toBe("Credential template not found");
+    });
+
+    it("hides templates from other institutions", async () => {
+      const template = await createTemplate();
+      const { user } = await createInstitution({ name: "Other Institute" });
+      const other = as((await login(user)).accessToken);
+
+      expect((await other.get(`${templatesUrl()}/${template._id}`)).status).toBe(404);
+      expect(
+        (await other.put(`${templatesUrl()}/${template._id}`).send({ title: "Taken" })).status,
+      ).toBe(404);
+      expect(
+        (
+          await other
+            .post(`/api/v1/credentials/from-template/${template._id}`)
+            .field("learnerId", learner._id.toString())
+            .field("credentialNumber", "T-1")
+        ).status,
+      ).toBe(404);
+    });
+  });
+
+  describe("issuing", () => {
+    it("copies the template fields and sets the default expiry", async () => {
+      const template = await createTemplate();
+
+      const res = await issueFrom(template, "T-1");
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        title: "Welding Level 1",
+        description: "Basic welding",
+        type: "certificate",
+        category: "technical",
+        nsqfLevel: 3,
+        skills: [{ name: "Arc welding", category: "technical" }],
+        templateId: template._id,
+        templateVersion: 1,
+        certificateLayout: { orientation: "portrait", primaryColor: "#1a73e8" },
+      });
+      expect(new Date(res.body.data.expiryDate).toISOString()).toBe("2026-01-15T00:00:00.000Z");
+    });
+
+    it("leaves credentials already issued unchanged by later edits", async () => {
+      const template = await createTemplate();
+      const first = (await issueFrom(template, "T-1")).body.data;
+
+      await owner.put(`${templatesUrl()}/${template._id}`).send({
+        title: "Welding Level 1 (revised)",
+        certificateLayout: { orientation: "landscape" },
+      });
+      const second = (await issueFrom(template, "T-2")).body.data;
+
+      const kept = await Credential.findById(first._id);
+      expect(kept.title).toBe("Welding Level 1");
+      expect(kept.templateVersion).toBe(1);
+      expect(kept.certificateLayout.orientation).toBe("portrait");
+      expect(second).toMatchObject({
+        title: "Welding Level 1 (revised)",
+        templateVersion: 2,
+        certificateLayout: { orientation: "landscape" },
+      });
+    });
+  });
+});
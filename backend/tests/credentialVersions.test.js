@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createInstitution, createLearner, login } from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+import CredentialVersion from "../models/CredentialVersion.js";
+import { issueCredential, verifyCredentialSignature } from "../services/credentialService.js";
+
+beforeAll(connect);
+
+describe("credential versions", () => {
+  let institution;
+  let owner;
+  let learner;
+  let learnerApi;
+
+  beforeEach(async () => {
+    await clear();
+
+    let user;
+    ({ institution, user } = await createInstitution());
+    owner = as((await login(user)).accessToken);
+    learner = await createLearner();
+    learnerApi = as((await login(learner)).accessToken);
+  });
+
+  const fields = {
+    title: "Welding Level 1",
+    description: "Basic welding",
+    type: "certificate",
+    credentialNumber: "W-0001",
+    verificationStatus: "verified",
+  };
+
+  const issue = () =>
+    issueCredential({ learnerId: learner._id, institutionId: institution._id, ...fields });
+
+  const amend = (credential, body) =>
+    owner.put(`/api/v1/credentials/${credential._id}`).send(body);
+
+  const versions = async (credential) =>
+    (await CredentialVersion.find({ credentialId: credential._id }).sort("version")).map(
+      ({ version, snapshot }) => [version, snapshot.title],
+    );
+
+  describe("amendments", () => {
+    it("record a new signed version and keep the one they replace", async () => {
+      const credential = await issue();
+
+      const res = await amend(credential, {
+        title: "Welding Level 2",
+        reason: "Wrong level printed",
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.data.version).toBe(2);
+
+      const history = (await learnerApi.get(`/api/v1/credentials/${credential._id}/history`))
+        .body.data;
+      expect(history.currentVersion).toBe(2);
+      expect(history.versions.map(({ version, reason }) => [version, reason])).toEqual([
+        [1, "Issued"],
+        [2, "Wrong level printed"],
+      ]);
+      expect(history.versions[1]).toMatchObject({
+        significant: true,
+        changes: [{ field: "title", from: "Welding Level 1", to: "Welding Level 2" }],
+      });
+
+      const original = await learnerApi.get(`/api/v1/credentials/${credential._id}/history/1`);
+      expect(original.body.data).toMatchObject({
+        title: "Welding Level 1",
+        latestVersion: 2,
+        superseded: true,
+        signatureCheck: { valid: true },
+      });
+      const amended = await Credential.findById(credential._id);
+      expect((await verifyCredentialSignature(amended)).valid).toBe(true);
+    });
+
+    it("need a reason for significant changes", async () => {
+      const credential = await issue();
+
+      const res = await amend(credential, { title: "Welding Level 2" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/^A reason is required when changing title/);
+      expect(await versions(credential)).toEqual([[1, "Welding Level 1"]]);
+    });
+
+    it("do not record a version when nothing changed", async () => {
+      const credential = await issue();
+
+      const res = await amend(credential, { title: "Welding Level 1" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.version).toBe(1);
+      expect(await versions(credential)).toEqual([[1, "Welding Level 1"]]);
+    });
+
+    it("keep what a credential issued before versioning originally said", async () => {
+      const credential = await Credential.create({
+        learnerId: learner._id,
+        institutionId: institution._id,
+        ...fields,
+      });
+
+      await amend(credential, { title: "Welding Level 2", reason: "Wrong level printed" });
+
+      expect(await versions(credential)).toEqual([
+        [1, "Welding Level 1"],
+        [2, "Welding Level 2"],
+      ]);
+      const baseline = await CredentialVersion.findOne({ credentialId: credential._id }).sort(
+        "version",
+      );
+      expect(baseline.reason).toBe("Recorded before first amendment");
+    });
+  });
+
+  describe("stored versions", () => {
+    let credential;
+    let version;
+
+    beforeEach(async () => {
+      credential = await issue();
+      version = await CredentialVersion.findOne({ credentialId: credential._id });
+    });
+
+    it.each([
+      [
+        "updateOne",
+        () => CredentialVersion.updateOne({ _id: version._id }, { "snapshot.title": "Forged" }),
+      ],
+      ["updateMany", () => CredentialVersion.updateMany({}, { "snapshot.title": "Forged" })],
+      [
+        "findOneAndUpdate",
+        () =>
+          CredentialVersion.findOneAndUpdate({ _id: version._id }, { "snapshot.title": "Forged" }),
+      ],
+      [
+        "findOneAndReplace",
+        () => CredentialVersion.findOneAndReplace({ _id: version._id }, { version: 9 }),
+      ],
+      ["replaceOne", () => CredentialVersion.replaceOne({ _id: version._id }, { version: 9 })],
+      [
+        "save of an existing version",
+        () => {
+          version.snapshot.title = "Forged";
+          return version.save();
+        },
+      ],
+    ])("reject %s", async (operation, change) => {
+      await expect(change()).rejects.toThrow("Credential versions are immutable");
+
+      expect(await versions(credential)).toEqual([[1, "Welding Level 1"]]);
+    });
+  });
+});
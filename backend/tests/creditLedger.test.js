@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createInstitution, createLearner, login } from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+import CreditLedgerEntry from "../models/CreditLedgerEntry.js";
+import { issueCredential } from "../services/credentialService.js";
+import { redeemCredits } from "../services/creditLedgerService.js";
+
+beforeAll(connect);
+
+describe("credit ledger", () => {
+  let institution;
+  let owner;
+  let learner;
+  let learnerApi;
+
+  beforeEach(async () => {
+    await clear();
+
+    let user;
+    ({ institution, user } = await createInstitution());
+    owner = as((await login(user)).accessToken);
+    learner = await createLearner();
+    learnerApi = as((await login(learner)).accessToken);
+  });
+
+  let counter = 0;
+  const fields = (credits) => ({
+    learnerId: learner._id,
+    institutionId: institution._id,
+    title: "Welding Level 1",
+    description: "Basic welding",
+    type: "certificate",
+    credentialNumber: `L-${(counter += 1)}`,
+    verificationStatus: "verified",
+    metadata: { credits },
+  });
+
+  const ledger = async () =>
+    (await CreditLedgerEntry.find({ learnerId: learner._id }).sort("sequence")).map(
+      ({ entryType, credits }) => [entryType, credits],
+    );
+
+  it("earns a credential's credits when it is issued as verified", async () => {
+    await issueCredential(fields(4));
+
+    expect(await ledger()).toEqual([["earned", 4]]);
+  });
+
+  it("does not write when the ledger is read", async () => {
+    // Verified before the ledger existed, so it has no entry
+    await Credential.create(fields(3));
+
+    const res = await learnerApi.get("/api/v1/learners/credits");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totals.balance).toBe(0);
+    expect(await CreditLedgerEntry.countDocuments()).toBe(0);
+  });
+
+  it("adds missing entries when one of the learner's credentials changes status", async () => {
+    const legacy = await Credential.create(fields(3));
+    const issued = await issueCredential(fields(2));
+
+    await owner.post(`/api/v1/credentials/${issued._id}/revoke`).send({ reasonCode: "fraud" });
+
+    expect(await ledger()).toEqual([
+      ["earned", 2],
+      ["reversal", -2],
+      ["earned", 3],
+    ]);
+    const res = await learnerApi.get("/api/v1/learners/credits");
+    expect(res.body.data.totals.balance).toBe(3);
+    expect(res.body.data.entries[2].credentialId._id).toBe(legacy._id.toString());
+  });
+
+  describe("redemptions", () => {
+    const redeem = (body) =>
+      owner
+        .post(`/api/v1/institutions/${institution._id}/credit-redemptions`)
+        .send({ learnerId: learner._id.toString(), programme: { name: "Fabrication" }, ...body });
+
+    it("draws a redemption by amount on the oldest credentials", async () => {
+      const first = await issueCredential(fields(4));
+      const second = await issueCredential(fields(2));
+      const third = await issueCredential(fields(3));
+
+      const res = await redeem({ credits: 5 });
+      expect(res.status).toBe(201);
+      expect(res.body.data.credentialIds).toEqual([first._id.toString(), second._id.toString()]);
+
+      // Those credits cannot be taken again by naming the credentials
+      const again = await redeem({ credentialIds: [first._id.toString()] });
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe(`Credits of credential ${first._id} have already been redeemed`);
+
+      expect((await redeem({ credentialIds: [third._id.toString()] })).status).toBe(201);
+      const more = await redeem({ credits: 1 });
+      expect(more.status).toBe(400);
+      expect(more.body.message).toBe("Insufficient credits: 0 not yet redeemed");
+    });
+
+    it("treats redemptions recorded without credentials as drawing on the oldest", async () => {
+      const first = await issueCredential(fields(4));
+      const second = await issueCredential(fields(4));
+      await CreditLedgerEntry.create({
+        learnerId: learner._id,
+        sequence: 3,
+        entryType: "redemption",
+        credits: -4,
+        institutionId: institution._id,
+        programme: { name: "Fabrication" },
+      });
+
+      await expect(
+        redeemCredits({
+          learnerId: learner._id,
+          institutionId: institution._id,
+          programme: { name: "Welding" },
+          credentialIds: [first._id],
+        }),
+      ).rejects.toThrow("have already been redeemed");
+
+      const redemption = await redeemCredits({
+        learnerId: learner._id,
+        institutionId: institution._id,
+        programme: { name: "Welding" },
+        credentialIds: [second._id],
+      });
+      expect(redemption.credits).toBe(-4);
+    });
+
+    it("marks a reversal of credits that were already redeemed", async () => {
+      const credential = await issueCredential(fields(4));
+      await redeem({ credits: 4 });
+
+      await owner.post(`/api/v1/credentials/${credential._id}/revoke`).send({ reasonCode: "fraud" });
+
+      const reversal = await CreditLedgerEntry.findOne({ entryType: "reversal" });
+      expect(reversal.afterRedemption).toBe(true);
+      const res = await learnerApi.get("/api/v1/learners/credits");
+      expect(res.body.data.totals.balance).toBe(-4);
+    });
+  });
+
+  describe("append-only entries", () => {
+    let entry;
+
+    beforeEach(async () => {
+      await issueCredential(fields(4));
+      entry = await CreditLedgerEntry.findOne({ learnerId: learner._id });
+    });
+
+    it.each([
+      ["updateOne", () => CreditLedgerEntry.updateOne({ _id: entry._id }, { credits: 40 })],
+      ["updateMany", () => CreditLedgerEntry.updateMany({}, { credits: 40 })],
+      [
+        "findOneAndUpdate",
+        () => CreditLedgerEntry.findOneAndUpdate({ _id: entry._id }, { credits: 40 }),
+      ],
+      [
+        "findOneAndReplace",
+        () => CreditLedgerEntry.findOneAndReplace({ _id: entry._id }, { credits: 40 }),
+      ],
+      ["replaceOne", () => CreditLedgerEntry.replaceOne({ _id: entry._id }, { credits: 40 })],
+      ["deleteOne", () => CreditLedgerEntry.deleteOne({ _id: entry._id })],
+      ["deleteMany", () => CreditLedgerEntry.deleteMany({})],
+      ["findOneAndDelete", () => CreditLedgerEntry.findOneAndDelete({ _id: entry._id })],
+      [
+        "save of an existing entry",
+        () => {
+          entry.credits = 40;
+          return entry.save();
+        },
+      ],
+    ])("rejects %s", async (operation, change) => {
+      await expect(change()).rejects.toThrow("Credit ledger entries are append-only");
+
+      expect(await ledger()).toEqual([["earned", 4]]);
+    });
+  });
+});
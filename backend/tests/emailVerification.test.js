@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createLearner, request, app, PASSWORD } from "./helpers/fixtures.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import { getOutbox, clearOutbox } from "../services/mailService.js";
+
+beforeAll(connect);
+
+describe("email verification", () => {
+  let employer;
+  let api;
+
+  beforeEach(async () => {
+    await clear();
+    clearOutbox();
+
+    const res = await request(app).post("/api/v1/auth/register").send({
+      email: "hiring@acme.example.com",
+      password: PASSWORD,
+      role: "employer",
+      companyName: "Acme",
+      industry: "Software",
+    });
+    expect(res.status).toBe(201);
+
+    employer = await User.findOne({ email: "hiring@acme.example.com" });
+    api = as(res.body.accessToken);
+  });
+
+  const verificationLink = (mail) => mail.text.match(/\/api\/v1\/auth\/verify-email\/\w+/)[0];
+
+  const resend = () => api.post("/api/v1/auth/resend-verification");
+
+  describe("gated actions", () => {
+    let learner;
+    let job;
+
+    beforeEach(async () => {
+      learner = await createLearner();
+      job = await Job.create({
+        employerId: employer._id,
+        title: "Welder",
+        description: "Site welding",
+        employmentType: "full-time",
+      });
+    });
+
+    const invite = () =>
+      api.post(`/api/v1/employers/invite/${learner._id}`).send({ jobId: job._id });
+
+    it("are refused until the email address is verified", async () => {
+      const res = await invite();
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe("Please verify your email address to perform this action.");
+      expect((await Job.findById(job._id)).invitedLearners).toHaveLength(0);
+    });
+
+    it("are allowed once the emailed link is opened", async () => {
+      const [mail] = getOutbox();
+      expect(mail).toMatchObject({ to: employer.email, subject: "Verify your email address" });
+
+      const verified = await request(app).get(verificationLink(mail));
+      expect(verified.status).toBe(200);
+
+      const res = await invite();
+      expect(res.status).toBe(200);
+      expect((await Job.findById(job._id)).invitedLearners).toHaveLength(1);
+    });
+  });
+
+  describe("resending the link", () => {
+    it("is throttled after the registration email", async () => {
+      const res = await resend();
+
+      expect(res.status).toBe(429);
+      expect(res.body.message).toBe(
+        "Please wait 60 seconds before requesting another verification email",
+      );
+      expect(getOutbox()).toHaveLength(1);
+    });
+
+    it("sends a new link that replaces the old one once the wait has passed", async () => {
+      await User.updateOne(
+        { _id: employer._id },
+        { emailVerificationSentAt: new Date(Date.now() - 61 * 1000) },
+      );
+
+      expect((await resend()).status).toBe(200);
+      expect((await resend()).status).toBe(429);
+
+      const [first, second] = getOutbox();
+      expect(second.subject).toBe("Verify your email address");
+      expect((await request(app).get(verificationLink(first))).status).toBe(400);
+      expect((await request(app).get(verificationLink(second))).status).toBe(200);
+    });
+
+    it("is refused once the email address is verified", async () => {
+      await request(app).get(verificationLink(getOutbox()[0]));
+
+      const res = await resend();
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Email is already verified");
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import {
+  as,
+  createEmployer,
+  createInstitution,
+  createLearner,
+  login,
+} from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+import { issueCredential } from "../services/credentialService.js";
+
+beforeAll(connect);
+
+describe("employer credential verification", () => {
+  let institution;
+  let learner;
+  let api;
+
+  beforeEach(async () => {
+    await clear();
+
+    ({ institution } = await createInstitution());
+    learner = await createLearner();
+    api = as((await login(await createEmployer())).accessToken);
+  });
+
+  const issue = (credentialNumber, overrides = {}) =>
+    issueCredential({
+      learnerId: learner._id,
+      institutionId: institution._id,
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "certificate",
+      credentialNumber,
+      verificationStatus: "verified",
+      ...overrides,
+    });
+
+  const verify = (body) => api.post("/api/v1/employers/verify-credential").send(body);
+  const bulkVerify = (credentialNumbers) =>
+    api.post("/api/v1/employers/bulk-verify").send({ credentialNumbers });
+
+  it("verifies a valid credential", async () => {
+    await issue("W-0001");
+
+    const res = await verify({ credentialNumber: "W-0001" });
+    expect(res.status).toBe(200);
+    expect(res.body.verified).toBe(true);
+    expect(res.body.status).toBe("verified");
+    expect(res.body.signature.valid).toBe(true);
+  });
+
+  it("does not verify a revoked credential", async () => {
+    const credential = await issue("W-0002");
+    await Credential.updateOne({ _id: credential._id }, { verificationStatus: "revoked" });
+
+    const res = await verify({ credentialNumber: "W-0002" });
+    expect(res.body.verified).toBe(false);
+    expect(res.body.status).toBe("revoked");
+  });
+
+  it("does not verify a credential past its expiry", async () => {
+    await issue("W-0003", { expiryDate: new Date(Date.now() - 86400000) });
+
+    const res = await verify({ credentialNumber: "W-0003" });
+    expect(res.body.verified).toBe(false);
+    expect(res.body.status).toBe("expired");
+  });
+
+  it("does not verify a credential whose signed fields were altered", async () => {
+    const credential = await issue("W-0004");
+    await Credential.updateOne({ _id: credential._id }, { title: "Welding Level 3" });
+
+    const res = await verify({ credentialNumber: "W-0004" });
+    expect(res.body.verified).toBe(false);
+    expect(res.body.signature.valid).toBe(false);
+  });
+
+  it("does not verify when the provided file differs", async () => {
+    await issue("W-0005", { file: { hash: "a".repeat(64) } });
+
+    const res = await verify({ credentialNumber: "W-0005", fileHash: "b".repeat(64) });
+    expect(res.body.hashMatch).toBe(false);
+    expect(res.body.verified).toBe(false);
+  });
+
+  it("bulk-verifies with the same checks", async () => {
+    await issue("W-0006");
+    const revoked = await issue("W-0007");
+    await Credential.updateOne({ _id: revoked._id }, { verificationStatus: "revoked" });
+
+    const res = await bulkVerify(["W-0006", "W-0007", "W-9999"]);
+    expect(res.status).toBe(200);
+    expect(res.body.verified).toBe(1);
+    expect(res.body.notFound).toBe(1);
+    expect(res.body.data.map(({ verified, status }) => [verified, status])).toEqual([
+      [true, "verified"],
+      [false, "revoked"],
+      [false, null],
+    ]);
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect, afterEach } from "@jest/globals";
+import { encrypt, decrypt, assertEncryptionKey } from "../utils/encryption.js";
+
+const KEY = process.env.ENCRYPTION_KEY;
+
+afterEach(() => {
+  process.env.ENCRYPTION_KEY = KEY;
+});
+
+describe("encryption at rest", () => {
+  it("round-trips values", () => {
+    const payload = encrypt("JBSWY3DPEHPK3PXP");
+
+    expect(payload).not.toContain("JBSWY3DPEHPK3PXP");
+    expect(decrypt(payload)).toBe("JBSWY3DPEHPK3PXP");
+  });
+
+  it("refuses to run without ENCRYPTION_KEY", () => {
+    delete process.env.ENCRYPTION_KEY;
+
+    expect(() => assertEncryptionKey()).toThrow("ENCRYPTION_KEY is not configured");
+    expect(() => encrypt("secret")).toThrow("ENCRYPTION_KEY is not configured");
+  });
+});
@@ -0,0 +1,117 @@
+import request from "supertest";
+import app from "../../app.js";
+import User from "../../models/User.js";
+import Learner from "../../models/Learner.js";
+import Employer from "../../models/Employer.js";
+import Institution from "../../models/Institution.js";
+
+export const PASSWORD = "password123";
+
+let counter = 0;
+const uniqueEmail = (prefix) => `${prefix}${(counter += 1)}@example.com`;
+
+export const createLearner = (overrides = {}) =>
+  Learner.create({
+    email: uniqueEmail("learner"),
+    password: PASSWORD,
+    role: "learner",
+    firstName: "Asha",
+    lastName: "Rao",
+    isVerified: true,
+    ...overrides,
+  });
+
+export const createEmployer = (overrides = {}) =>
+  Employer.create({
+    email: uniqueEmail("employer"),
+    password: PASSWORD,
+    role: "employer",
+    companyName: "Acme",
+    industry: "Software",
+    isVerified: true,
+    ...overrides,
+  });
+
+export const createAdmin = (overrides = {}) =>
+  User.create({
+    email: uniqueEmail("admin"),
+    password: PASSWORD,
+    role: "admin",
+    isVerified: true,
+    ...overrides,
+  });
+
+/**
+ * A verified institution (with the signing key verification creates) and its
+ * owner account
+ * @returns {Promise<{ institution, user }>}
+ */
+export const createInstitution = async ({
+  name = `Institute ${counter + 1}`,
+  institutionRole = "owner",
+  ...overrides
+} = {}) => {
+  const institution = await Institution.create({
+    name,
+    type: "university",
+    registrationNumber: `REG-${counter + 1}`,
+    contactInfo: { email: uniqueEmail("contact") },
+    isVerified: true,
+    isActive: true,
+  });
+
+  const user = await createStaff(institution, { institutionRole, ...overrides });
+  institution.administrators.push(user._id);
+  institution.addSigningKey();
+  await institution.save();
+
+  return { institution, user };
+};
+
+export const createStaff = (institution, overrides = {}) =>
+  User.create({
+    email: uniqueEmail("staff"),
+    password: PASSWORD,
+    role: "institution",
+    tenantId: institution._id,
+    institutionRole: "issuer",
+    isVerified: true,
+    ...overrides,
+  });
+
+/**
+ * Log in through the API
+ * @returns {Promise<{ accessToken, refreshToken, body }>}
+ */
+export const login = async (user, password = PASSWORD) => {
+  const res = await request(app)
+    .post("/api/v1/auth/login")
+    .send({ email: user.email, password });
+
+  if (res.status !== 200) {
+    throw new Error(`Login failed (${res.status}): ${JSON.stringify(res.body)}`);
+  }
+  return {
+    accessToken: res.body.accessToken,
+    refreshToken: res.body.refreshToken,
+    body: res.body,
+  };
+};
+
+/**
+ * supertest agent methods that send the bearer token
+ */
+export const as = (accessToken) => {
+  const withToken = (method) => (url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${accessToken}`);
+
+  return {
+    get: withToken("get"),
+    post: withToken("post"),
+    put: withToken("put"),
+    patch: withToken("patch"),
+    delete: withToken("delete"),
+  };
+};
+
+export { app, request };
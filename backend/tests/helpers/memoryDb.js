@@ -0,0 +1,455 @@
+import mongoose from "mongoose";
+import "mingo/init/system";
+import { Query } from "mingo";
+import { Aggregator } from "mingo/aggregator";
+import { update as updateObject } from "mingo/updater";
+
+/*
+ * In-memory stand-in for the MongoDB driver, so tests run the real models,
+ * plugins and query hooks without a database server. Documents are stored
+ * with ObjectIds encoded as tagged strings (mingo compares objects by their
+ * enumerable keys, which ObjectIds do not have) and decoded on the way out.
+ * Unique indexes declared on the schemas are enforced.
+ */
+
+const OID_PREFIX = "\u0000oid:";
+
+// Type checks by tag rather than prototype: jest runs tests in their own
+// realm, and structuredClone hands back objects from the outer one
+const tagOf = (value) => Object.prototype.toString.call(value);
+
+const isDate = (value) => tagOf(value) === "[object Date]";
+
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== "object") return false;
+  if (tagOf(value) !== "[object Object]" || value._bsontype) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || Object.getPrototypeOf(proto) === null;
+};
+
+const encode = (value) => {
+  if (value && value._bsontype === "ObjectId") {
+    return OID_PREFIX + value.toHexString();
+  }
+  // Serialized like the BSON serializer does (subdocuments, mongoose arrays)
+  if (value && typeof value.toBSON === "function" && !isDate(value)) {
+    return encode(value.toBSON());
+  }
+  if (Array.isArray(value)) return value.map(encode);
+  if (isDate(value)) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, encode(v)]),
+    );
+  }
+  return value;
+};
+
+const decode = (value) => {
+  if (typeof value === "string" && value.startsWith(OID_PREFIX)) {
+    return new mongoose.Types.ObjectId(value.slice(OID_PREFIX.length));
+  }
+  if (Array.isArray(value)) return value.map(decode);
+  if (isDate(value)) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, decode(v)]),
+    );
+  }
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const duplicateKeyError = (name, index, doc) => {
+  const keyValue = Object.fromEntries(
+    Object.keys(index.keys).map((key) => [key, decode(getPath(doc, key))]),
+  );
+  const error = new Error(
+    `E11000 duplicate key error collection: test.${name} dup key: ${JSON.stringify(keyValue)}`,
+  );
+  error.name = "MongoServerError";
+  error.code = 11000;
+  error.keyPattern = index.keys;
+  error.keyValue = keyValue;
+  return error;
+};
+
+const UPDATE_ONLY_ON_INSERT = "$setOnInsert";
+
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+  }
+
+  async toArray() {
+    return this.load();
+  }
+
+  async next() {
+    if (!this.buffer) this.buffer = await this.load();
+    return this.buffer.shift() || null;
+  }
+
+  async close() {}
+}
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  get name() {
+    return this.collectionName;
+  }
+
+  matching(filter = {}, { sort, skip, limit, projection } = {}) {
+    let cursor = new Query(encode(filter)).find(this.docs);
+    if (sort && Object.keys(sort).length) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+
+    const docs = cursor.all();
+    if (!projection || !Object.keys(projection).length) return docs;
+
+    return docs.map((doc) => this.project(doc, projection));
+  }
+
+  checkUnique(doc, ignore) {
+    for (const index of this.indexes) {
+      if (!index.unique) continue;
+      const keys = Object.keys(index.keys);
+      if (index.sparse && keys.every((key) => getPath(doc, key) === undefined)) {
+        continue;
+      }
+      if (
+        index.partialFilterExpression &&
+        !new Query(encode(index.partialFilterExpression)).test(doc)
+      ) {
+        continue;
+      }
+
+      const value = JSON.stringify(keys.map((key) => getPath(doc, key) ?? null));
+      const clash = this.docs.find(
+        (other) =>
+          other !== ignore &&
+          (!index.partialFilterExpression ||
+            new Query(encode(index.partialFilterExpression)).test(other)) &&
+          !(
+            index.sparse &&
+            keys.every((key) => getPath(other, key) === undefined)
+          ) &&
+          JSON.stringify(keys.map((key) => getPath(other, key) ?? null)) ===
+            value,
+      );
+      if (clash) throw duplicateKeyError(this.collectionName, index, doc);
+    }
+  }
+
+  applyUpdate(doc, update, filter, options = {}) {
+    const encoded = encode(update);
+    const next = structuredClone(doc);
+
+    if (Object.keys(encoded).some((key) => !key.startsWith("$"))) {
+      // Replacement document
+      Object.keys(next).forEach((key) => key !== "_id" && delete next[key]);
+      Object.assign(next, encoded);
+      return next;
+    }
+
+    for (const [operator, fields] of Object.entries(encoded)) {
+      if (operator === UPDATE_ONLY_ON_INSERT) continue;
+      updateObject(
+        next,
+        { [operator]: fields },
+        options.arrayFilters ? encode(options.arrayFilters) : [],
+        encode(filter),
+        { cloneMode: "deep" },
+      );
+    }
+    return next;
+  }
+
+  upsertBase(filter, update) {
+    const base = {};
+    for (const [key, value] of Object.entries(encode(filter))) {
+      if (key.startsWith("$")) continue;
+      if (isPlainObject(value) && Object.keys(value).some((k) => k.startsWith("$"))) {
+        if ("$eq" in value) base[key] = value.$eq;
+        continue;
+      }
+      base[key] = value;
+    }
+    if (base._id === undefined) {
+      base._id = encode(new mongoose.Types.ObjectId());
+    }
+
+    let doc = this.applyUpdate(base, update, {});
+    const onInsert = update[UPDATE_ONLY_ON_INSERT];
+    if (onInsert) doc = this.applyUpdate(doc, { $set: onInsert }, {});
+    return doc;
+  }
+
+  replaceDoc(current, next) {
+    this.checkUnique(next, current);
+    this.docs[this.docs.indexOf(current)] = next;
+  }
+
+  async insertOne(doc) {
+    const encoded = encode(doc);
+    if (encoded._id === undefined) {
+      encoded._id = encode(new mongoose.Types.ObjectId());
+    }
+    this.checkUnique(encoded);
+    this.docs.push(encoded);
+    return { acknowledged: true, insertedId: decode(encoded._id) };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(filter, options = {}) {
+    return new MemoryCursor(async () =>
+      decode(this.matching(filter, options)),
+    );
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.matching(filter, { ...options, limit: 1 });
+    return doc ? decode(doc) : null;
+  }
+
+  async countDocuments(filter, options = {}) {
+    return this.matching(filter, options).length;
+  }
+
+  async count(filter, options) {
+    return this.countDocuments(filter, options);
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const seen = new Map();
+    for (const doc of this.matching(filter)) {
+      const value = getPath(doc, field);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined) seen.set(JSON.stringify(item), item);
+      }
+    }
+    return decode([...seen.values()]);
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [current] = this.matching(filter, { limit: 1 });
+    if (!current) {
+      if (!options.upsert) {
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      }
+      const doc = this.upsertBase(filter, update);
+      this.checkUnique(doc);
+      this.docs.push(doc);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: decode(doc._id),
+      };
+    }
+
+    this.replaceDoc(current, this.applyUpdate(current, update, filter, options));
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.matching(filter);
+    for (const current of docs) {
+      this.replaceDoc(current, this.applyUpdate(current, update, filter, options));
+    }
+    return {
+      acknowledged: true,
+      matchedCount: docs.length,
+      modifiedCount: docs.length,
+      upsertedCount: 0,
+    };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [current] = this.matching(filter, { sort: options.sort, limit: 1 });
+    const returnNew =
+      options.returnDocument === "after" || options.returnOriginal === false;
+
+    let before = null;
+    let after;
+    if (current) {
+      before = current;
+      after = this.applyUpdate(current, update, filter, options);
+      this.replaceDoc(current, after);
+    } else if (options.upsert) {
+      after = this.upsertBase(filter, update);
+      this.checkUnique(after);
+      this.docs.push(after);
+    } else {
+      after = null;
+    }
+
+    const doc = returnNew ? after : before;
+    const value = doc ? decode(this.project(doc, options.projection)) : null;
+    return options.includeResultMetadata === false
+      ? value
+      : { ok: 1, value, lastErrorObject: { n: current ? 1 : 0 } };
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [current] = this.matching(filter, { sort: options.sort, limit: 1 });
+    if (current) this.docs.splice(this.docs.indexOf(current), 1);
+
+    const value = current ? decode(this.project(current, options.projection)) : null;
+    return options.includeResultMetadata === false
+      ? value
+      : { ok: 1, value, lastErrorObject: { n: current ? 1 : 0 } };
+  }
+
+  project(doc, projection) {
+    if (!projection || !Object.keys(projection).length) return doc;
+    // Projections strip nested fields in place, so work on a copy
+    return new Query({}).find([structuredClone(doc)], projection).all()[0];
+  }
+
+  async deleteOne(filter) {
+    const [current] = this.matching(filter, { limit: 1 });
+    if (current) this.docs.splice(this.docs.indexOf(current), 1);
+    return { acknowledged: true, deletedCount: current ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = this.matching(filter);
+    this.docs = this.docs.filter((doc) => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  aggregate(pipeline) {
+    return new MemoryCursor(async () => {
+      const aggregator = new Aggregator(encode(pipeline), {
+        collectionResolver: (name) => this.db.collection(name).docs,
+      });
+      return decode(aggregator.run(this.docs));
+    });
+  }
+
+  async bulkWrite(operations) {
+    for (const operation of operations) {
+      const [type, args] = Object.entries(operation)[0];
+      if (type === "insertOne") await this.insertOne(args.document);
+      else if (type === "deleteOne") await this.deleteOne(args.filter);
+      else if (type === "deleteMany") await this.deleteMany(args.filter);
+      else await this[type](args.filter, args.update || args.replacement, args);
+    }
+    return { ok: 1 };
+  }
+
+  async createIndex(keys, options = {}) {
+    const name = options.name || Object.keys(keys).join("_");
+    this.indexes.push({ ...options, keys, name });
+    return name;
+  }
+
+  async createIndexes(specs) {
+    return Promise.all(specs.map(({ key, ...options }) => this.createIndex(key, options)));
+  }
+
+  listIndexes() {
+    return new MemoryCursor(async () =>
+      this.indexes.map(({ keys, ...options }) => ({ key: keys, ...options })),
+    );
+  }
+
+  async indexes() {
+    return this.listIndexes().toArray();
+  }
+
+  async dropIndex() {}
+
+  async dropIndexes() {}
+
+  async drop() {
+    this.docs = [];
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+    this.databaseName = "test";
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  async listCollections() {
+    return new MemoryCursor(async () =>
+      [...this.collections.keys()].map((name) => ({ name })),
+    );
+  }
+
+  async dropDatabase() {
+    this.collections.forEach((collection) => {
+      collection.docs = [];
+    });
+  }
+}
+
+/**
+ * Open the default mongoose connection against an in-memory database
+ * and wait for every model's indexes
+ */
+export const connect = async () => {
+  const connection = mongoose.connection;
+  connection.db = new MemoryDb();
+  connection.onOpen();
+
+  await Promise.all(
+    Object.values(mongoose.models).map((model) => model.init()),
+  );
+};
+
+/**
+ * Remove every document, keeping indexes
+ */
+export const clear = async () => {
+  await mongoose.connection.db.dropDatabase();
+};
+
+export default { connect, clear };
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createInstitution, createStaff, login } from "./helpers/fixtures.js";
+import User from "../models/User.js";
+import Institution from "../models/Institution.js";
+
+beforeAll(connect);
+beforeEach(clear);
+
+describe("legacy institution accounts", () => {
+  let institution;
+  let legacy;
+  let api;
+
+  beforeEach(async () => {
+    // Registered before staff roles existed: no institutionRole
+    ({ institution, user: legacy } = await createInstitution({ institutionRole: undefined }));
+    api = as((await login(legacy)).accessToken);
+  });
+
+  it("act as the owner when managing admins", async () => {
+    const issuer = await createStaff(institution);
+
+    const res = await api
+      .put(`/api/v1/institutions/${institution._id}/staff/${issuer._id}`)
+      .send({ role: "admin" });
+
+    expect(res.status).toBe(200);
+    const stored = await Institution.findById(institution._id);
+    expect(stored.administrators.map(String)).toEqual(
+      expect.arrayContaining([legacy._id.toString(), issuer._id.toString()]),
+    );
+  });
+
+  it("cannot be removed by an institution admin", async () => {
+    const admin = await createStaff(institution, { institutionRole: "admin" });
+    const adminApi = as((await login(admin)).accessToken);
+
+    const res = await adminApi.delete(
+      `/api/v1/institutions/${institution._id}/staff/${legacy._id}`,
+    );
+
+    expect(res.status).toBe(403);
+    expect((await User.findById(legacy._id)).isActive).toBe(true);
+  });
+
+  it("can transfer ownership and stay on as an admin", async () => {
+    const issuer = await createStaff(institution);
+
+    const res = await api
+      .post(`/api/v1/institutions/${institution._id}/staff/transfer-ownership`)
+      .send({ userId: issuer._id.toString() });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(issuer._id)).institutionRole).toBe("owner");
+    expect((await User.findById(legacy._id)).institutionRole).toBe("admin");
+  });
+});
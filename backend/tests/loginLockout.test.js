@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import {
+  app,
+  request,
+  as,
+  PASSWORD,
+  createLearner,
+  createAdmin,
+  login,
+} from "./helpers/fixtures.js";
+import User from "../models/User.js";
+import { getOutbox, clearOutbox } from "../services/mailService.js";
+
+const attempt = (email, password) =>
+  request(app).post("/api/v1/auth/login").send({ email, password });
+
+/**
+ * Move the last failure into the past so the progressive delay has elapsed
+ */
+const skipDelay = (user) =>
+  User.updateOne(
+    { _id: user._id },
+    { lastFailedLoginAt: new Date(Date.now() - 60 * 60 * 1000) },
+  );
+
+const failTimes = async (user, times) => {
+  for (let i = 0; i < times; i += 1) {
+    await skipDelay(user);
+    const res = await attempt(user.email, "wrong-password");
+    expect(res.status).toBe(401);
+  }
+};
+
+beforeAll(connect);
+beforeEach(async () => {
+  await clear();
+  clearOutbox();
+});
+
+describe("login lockout", () => {
+  let learner;
+
+  beforeEach(async () => {
+    learner = await createLearner();
+  });
+
+  it("slows down repeated failures", async () => {
+    await attempt(learner.email, "wrong-password");
+    await attempt(learner.email, "wrong-password");
+
+    const res = await attempt(learner.email, PASSWORD);
+    expect(res.status).toBe(429);
+  });
+
+  it("locks the account after too many failures and notifies the owner", async () => {
+    await failTimes(learner, 5);
+
+    const res = await attempt(learner.email, PASSWORD);
+    expect(res.status).toBe(423);
+
+    const notices = getOutbox().filter((mail) => mail.to === learner.email);
+    expect(notices).toHaveLength(1);
+    expect(notices[0].subject).toMatch(/locked/i);
+  });
+
+  it("resets the counter after a successful login", async () => {
+    await failTimes(learner, 4);
+    await skipDelay(learner);
+    expect((await attempt(learner.email, PASSWORD)).status).toBe(200);
+
+    await failTimes(learner, 4);
+    await skipDelay(learner);
+    expect((await attempt(learner.email, PASSWORD)).status).toBe(200);
+  });
+
+  it("lets an admin unlock the account", async () => {
+    await failTimes(learner, 5);
+
+    const admin = await login(await createAdmin());
+    const res = await as(admin.accessToken).put(
+      `/api/v1/admin/users/${learner._id}/unlock`,
+    );
+    expect(res.status).toBe(200);
+
+    expect((await attempt(learner.email, PASSWORD)).status).toBe(200);
+  });
+
+  it("blocks an IP after too many failures across accounts", async () => {
+    for (let i = 0; i < 20; i += 1) {
+      await attempt(`nobody${i}@example.com`, "wrong-password");
+    }
+
+    const res = await attempt(learner.email, PASSWORD);
+    expect(res.status).toBe(429);
+    expect(res.body.message).toMatch(/this IP/);
+  });
+});
@@ -0,0 +1,150 @@
+import zlib from "zlib";
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createInstitution, createLearner, login } from "./helpers/fixtures.js";
+import Achievement from "../models/Achievement.js";
+import { issueCredential } from "../services/credentialService.js";
+import { crc32, extractPng, renderDefaultPng } from "../utils/badgeBaking.js";
+import { fetchPublicFile } from "../utils/publicFetch.js";
+
+beforeAll(connect);
+
+const chunk = (type, data) => {
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// A PNG whose openbadgecredential iTXt chunk is zlib-compressed
+const compressedBadgePng = (text) => {
+  const png = renderDefaultPng(8);
+  const iend = png.length - 12;
+  const itxt = chunk(
+    "iTXt",
+    Buffer.concat([
+      Buffer.from("openbadgecredential\0\x01\x00\0\0", "latin1"),
+      zlib.deflateSync(Buffer.from(text, "utf8")),
+    ]),
+  );
+  return Buffer.concat([png.subarray(0, iend), itxt, png.subarray(iend)]);
+};
+
+const foreignBadge = (email, extra = {}) => ({
+  "@context": [
+    "https://www.w3.org/ns/credentials/v2",
+    "https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json",
+  ],
+  id: "https://badges.example.org/assertions/1",
+  type: ["VerifiableCredential", "OpenBadgeCredential"],
+  issuer: { id: "https://badges.example.org/issuer", name: "Example Badges" },
+  validFrom: "2024-01-01T00:00:00Z",
+  credentialSubject: {
+    identifier: [{ identityType: "emailAddress", hashed: false, identityHash: email }],
+    achievement: { name: "First Aid", description: "Basic first aid" },
+  },
+  ...extra,
+});
+
+describe("Open Badge import", () => {
+  let learner;
+  let api;
+
+  beforeEach(async () => {
+    await clear();
+
+    learner = await createLearner();
+    api = as((await login(learner)).accessToken);
+  });
+
+  const importJson = (credential) =>
+    api.post("/api/v1/learners/badges/import").send({ credential });
+
+  const importPng = (buffer) =>
+    api
+      .post("/api/v1/learners/badges/import")
+      .attach("file", buffer, { filename: "badge.png", contentType: "image/png" });
+
+  it("imports a badge baked by a CredMatrix institution as verified", async () => {
+    const { institution } = await createInstitution();
+    const credential = await issueCredential({
+      learnerId: learner._id,
+      institutionId: institution._id,
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "badge",
+      credentialNumber: "W-0001",
+      verificationStatus: "verified",
+    });
+
+    const baked = await api
+      .get(`/api/v1/credentials/${credential._id}/openbadge/image`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const parts = [];
+        res.on("data", (part) => parts.push(part));
+        res.on("end", () => callback(null, Buffer.concat(parts)));
+      });
+    expect(baked.status).toBe(200);
+
+    const res = await importPng(baked.body);
+    expect(res.status).toBe(201);
+    expect(res.body.data.achievement.openBadge.verified).toBe(true);
+  });
+
+  it("rejects an unsigned badge from another issuer", async () => {
+    const res = await importJson(foreignBadge(learner.email));
+
+    expect(res.status).toBe(400);
+    expect(res.body.data.errors).toContain("Credential is not signed by its issuer");
+    expect(await Achievement.countDocuments()).toBe(0);
+  });
+
+  it("stores a signed badge from another issuer as unverified", async () => {
+    const res = await importJson(
+      foreignBadge(learner.email, {
+        proof: { type: "DataIntegrityProof", cryptosuite: "eddsa-rdfc-2022", proofValue: "z123" },
+      }),
+    );
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.achievement.openBadge.verified).toBe(false);
+    expect(res.body.data.validation.warnings).toContain(
+      "Issued outside CredMatrix; the issuer signature was not checked",
+    );
+  });
+
+  it("rejects a compressed baked credential that inflates past the limit", async () => {
+    const res = await importPng(compressedBadgePng(" ".repeat(2 * 1024 * 1024)));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Could not read the badge credential");
+  });
+});
+
+describe("baked PNG extraction", () => {
+  it("inflates compressed credentials within the limit", () => {
+    expect(extractPng(compressedBadgePng('{"id":"x"}'))).toBe('{"id":"x"}');
+  });
+
+  it("treats an oversized compressed credential as invalid", () => {
+    expect(() => extractPng(compressedBadgePng("a".repeat(1024 * 1024 + 1)))).toThrow(
+      "Baked credential is too large or corrupt",
+    );
+  });
+});
+
+describe("badge image fetching", () => {
+  it.each([
+    ["http://example.com/badge.png", "Only https URLs can be fetched"],
+    ["https://127.0.0.1/badge.png", "127.0.0.1 is not a public address"],
+    ["https://169.254.169.254/badge.png", "169.254.169.254 is not a public address"],
+    ["https://[::1]/badge.png", "::1 is not a public address"],
+    ["https://[::ffff:10.0.0.1]/badge.png", "::ffff:a00:1 is not a public address"],
+    ["https://localhost/badge.png", "localhost resolves to a non-public address"],
+  ])("refuses %s", async (url, message) => {
+    await expect(fetchPublicFile(url)).rejects.toThrow(message);
+  });
+});
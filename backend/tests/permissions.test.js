@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import {
+  as,
+  createAdmin,
+  createLearner,
+  createEmployer,
+  createInstitution,
+  createStaff,
+  login,
+} from "./helpers/fixtures.js";
+import { resolvePermissions } from "../config/permissions.js";
+
+beforeAll(connect);
+beforeEach(clear);
+
+describe("permission resolution", () => {
+  it("applies grants and revocations over the role defaults", () => {
+    const effective = resolvePermissions(
+      "employer",
+      { granted: ["credential:check"], revoked: ["job:write"] },
+    );
+
+    expect(effective).toEqual(
+      expect.arrayContaining(["credential:check", "learner:search"]),
+    );
+    expect(effective).not.toContain("job:write");
+  });
+
+  it("uses the staff role's defaults for institution users", () => {
+    expect(resolvePermissions("institution", {}, "viewer")).toEqual([
+      "institution:view-stats",
+    ]);
+  });
+});
+
+describe("admin permission management", () => {
+  let admin;
+
+  const setPermissions = (user, body) =>
+    as(admin.accessToken).put(`/api/v1/admin/users/${user._id}/permissions`).send(body);
+
+  beforeEach(async () => {
+    admin = await login(await createAdmin());
+  });
+
+  it("grants a permission the staff role lacks", async () => {
+    const { institution } = await createInstitution();
+    const viewer = await createStaff(institution, { institutionRole: "viewer" });
+
+    const res = await setPermissions(viewer, { granted: ["credential:verify"] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.effective).toContain("credential:verify");
+  });
+
+  it("revokes a default permission and the route enforces it", async () => {
+    const employer = await createEmployer();
+    const session = await login(employer);
+
+    const res = await setPermissions(employer, { revoked: ["learner:search"] });
+    expect(res.status).toBe(200);
+    expect(res.body.data.effective).not.toContain("learner:search");
+
+    const search = await as(session.accessToken).get("/api/v1/employers/search-learners");
+    expect(search.status).toBe(403);
+  });
+
+  it("rejects grants outside the target user's role", async () => {
+    const learner = await createLearner();
+
+    const res = await setPermissions(learner, { granted: ["credential:issue"] });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/credential:issue/);
+
+    const summary = await as(admin.accessToken).get(
+      `/api/v1/admin/users/${learner._id}/permissions`,
+    );
+    expect(summary.body.data.granted).toEqual([]);
+    expect(summary.body.data.available).toEqual([]);
+  });
+
+  it("rejects an employer grant for an institution permission", async () => {
+    const employer = await createEmployer();
+
+    const res = await setPermissions(employer, { granted: ["credential:issue"] });
+    expect(res.status).toBe(400);
+  });
+
+  it("rejects unknown permissions", async () => {
+    const employer = await createEmployer();
+
+    const res = await setPermissions(employer, { granted: ["everything"] });
+    expect(res.status).toBe(400);
+  });
+
+  it("is admin only", async () => {
+    const employer = await createEmployer();
+    const session = await login(employer);
+
+    const res = await as(session.accessToken)
+      .put(`/api/v1/admin/users/${employer._id}/permissions`)
+      .send({ granted: ["job:write"] });
+    expect(res.status).toBe(403);
+  });
+});
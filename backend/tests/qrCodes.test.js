@@ -0,0 +1,140 @@
+import axios from "axios";
+import QRCode from "qrcode";
+import { PDFDocument, PDFName } from "pdf-lib";
+import { describe, it, expect, beforeAll, beforeEach, jest } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createInstitution, createLearner, login, request, app } from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+import { issueCredential } from "../services/credentialService.js";
+
+beforeAll(connect);
+
+const binary = (req) =>
+  req.buffer(true).parse((res, callback) => {
+    const parts = [];
+    res.on("data", (part) => parts.push(part));
+    res.on("end", () => callback(null, Buffer.concat(parts)));
+  });
+
+const imagesOn = (page) => {
+  const images = page.node.Resources()?.lookup(PDFName.of("XObject"));
+  return images ? images.keys().length : 0;
+};
+
+describe("verification QR codes", () => {
+  let institution;
+  let learner;
+  let api;
+
+  beforeEach(async () => {
+    await clear();
+
+    ({ institution } = await createInstitution());
+    learner = await createLearner();
+    api = as((await login(learner)).accessToken);
+  });
+
+  const issue = (file) =>
+    issueCredential({
+      learnerId: learner._id,
+      institutionId: institution._id,
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "certificate",
+      credentialNumber: "W-0001",
+      verificationStatus: "verified",
+      file,
+    });
+
+  it("encode the credential's public verification link", async () => {
+    const credential = await issue();
+
+    const res = await binary(api.get(`/api/v1/credentials/${credential._id}/qr?format=svg`));
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^image\/svg\+xml/);
+    expect(res.body.toString()).toBe(
+      await QRCode.toString(credential.shareableLink, {
+        errorCorrectionLevel: "M",
+        margin: 2,
+        type: "svg",
+        width: 300,
+      }),
+    );
+
+    const token = credential.shareableLink.split("/verify/")[1];
+    const verified = await request(app).get(`/api/v1/verify/t/${token}`);
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.status).toBe("verified");
+  });
+
+  it("are rendered as PNG by default", async () => {
+    const credential = await issue();
+
+    const res = await binary(api.get(`/api/v1/credentials/${credential._id}/qr`));
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("image/png");
+    expect(res.body.subarray(1, 4).toString("ascii")).toBe("PNG");
+
+    const gif = await api.get(`/api/v1/credentials/${credential._id}/qr?format=gif`);
+    expect(gif.status).toBe(400);
+  });
+
+  describe("stamped certificates", () => {
+    const stamped = async (credential) => {
+      const res = await binary(api.get(`/api/v1/credentials/${credential._id}/qr/certificate`));
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toBe("application/pdf");
+      return PDFDocument.load(res.body);
+    };
+
+    // The stored certificate is fetched from Cloudinary
+    const serve = (bytes) =>
+      jest.spyOn(axios, "get").mockResolvedValueOnce({ data: bytes });
+
+    it("stamp the last page of a PDF certificate", async () => {
+      const original = await PDFDocument.create();
+      original.addPage([595, 842]);
+      original.addPage([595, 842]);
+      serve(Buffer.from(await original.save()));
+      const credential = await issue({
+        path: "https://files.example.org/certificate.pdf",
+        mimetype: "application/pdf",
+        hash: "abc123",
+      });
+
+      const pdf = await stamped(credential);
+
+      const pages = pdf.getPages();
+      expect(pages).toHaveLength(2);
+      expect(imagesOn(pages[0])).toBe(0);
+      expect(imagesOn(pages[1])).toBe(1);
+      expect((await Credential.findById(credential._id)).file.hash).toBe("abc123");
+    });
+
+    it("place an image certificate on a page of its size", async () => {
+      serve(await QRCode.toBuffer("certificate", { type: "png", width: 400 }));
+      const credential = await issue({
+        path: "https://files.example.org/certificate.png",
+        mimetype: "image/png",
+        hash: "abc123",
+      });
+
+      const pages = (await stamped(credential)).getPages();
+
+      expect(pages).toHaveLength(1);
+      expect(pages[0].getSize()).toEqual({ width: 400, height: 400 });
+      expect(imagesOn(pages[0])).toBe(2);
+    });
+
+    it("are refused for credentials without a file", async () => {
+      const credential = await issue();
+
+      const res = await api.get(`/api/v1/credentials/${credential._id}/qr/certificate`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("This credential has no certificate file");
+    });
+  });
+});
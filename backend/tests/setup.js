@@ -0,0 +1,18 @@
+// Environment for the test suite; loaded before any application module
+// The error handler only answers in development or production; production
+// gives the responses clients actually see
+process.env.NODE_ENV = "production";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.JWT_EXPIRE = "15m";
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+process.env.JWT_REFRESH_EXPIRE = "7d";
+process.env.ENCRYPTION_KEY = "test-encryption-key-of-at-least-32-bytes";
+process.env.VERIFICATION_TOKEN_SECRET = "test-verification-secret";
+process.env.MAIL_TRANSPORT = "memory";
+// Cheap password hashes; every login runs a bcrypt compare
+process.env.BCRYPT_ROUNDS = "4";
+process.env.SCHEDULER_ENABLED = "false";
+process.env.RATE_LIMIT_MAX_REQUESTS = "100000";
+process.env.VERIFY_RATE_LIMIT_MAX_REQUESTS = "100000";
+process.env.API_URL = "http://localhost:5000";
+process.env.FRONTEND_URL = "http://localhost:3000";
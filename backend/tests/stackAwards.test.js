@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { as, createInstitution, createLearner, login } from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+import StackRule from "../models/StackRule.js";
+import StackAward from "../models/StackAward.js";
+import { issueCredential } from "../services/credentialService.js";
+import { acceptStackOffer, checkStacksForLearner } from "../services/stackService.js";
+
+beforeAll(connect);
+
+describe("stack awards", () => {
+  let institution;
+  let owner;
+  let learner;
+  let learnerApi;
+
+  beforeEach(async () => {
+    await clear();
+
+    let user;
+    ({ institution, user } = await createInstitution());
+    owner = as((await login(user)).accessToken);
+    learner = await createLearner();
+    learnerApi = as((await login(learner)).accessToken);
+  });
+
+  let counter = 0;
+  const issue = (title) =>
+    issueCredential({
+      learnerId: learner._id,
+      institutionId: institution._id,
+      title,
+      description: title,
+      type: "certificate",
+      credentialNumber: `K-${(counter += 1)}`,
+      verificationStatus: "verified",
+    });
+
+  const createRule = (awardMode) =>
+    StackRule.create({
+      institutionId: institution._id,
+      name: "Welding Diploma",
+      awardMode,
+      components: [{ title: "Welding Level 1" }, { title: "Welding Level 2" }],
+      reward: { title: "Welding Diploma", description: "All welding levels" },
+    });
+
+  const earn = async (awardMode) => {
+    await createRule(awardMode);
+    const components = [await issue("Welding Level 1"), await issue("Welding Level 2")];
+    await checkStacksForLearner(learner._id);
+    return { components, award: await StackAward.findOne({ learnerId: learner._id }) };
+  };
+
+  const diplomas = () => Credential.find({ title: "Welding Diploma" });
+
+  describe("accepting an offer", () => {
+    const accept = (award) =>
+      learnerApi.post(`/api/v1/learners/stacks/awards/${award._id}/accept`);
+
+    it("refuses an accept once the offer has been claimed", async () => {
+      const { award } = await earn("offer");
+      // Another request has claimed the offer and is issuing the reward
+      await StackAward.updateOne({ _id: award._id }, { status: "accepting" });
+
+      await expect(acceptStackOffer(award)).rejects.toThrow("Stack offer is no longer open");
+
+      expect(await diplomas()).toHaveLength(0);
+      expect((await StackAward.findById(award._id)).status).toBe("accepting");
+    });
+
+    it("issues the reward once when the same offer is accepted twice", async () => {
+      const { award } = await earn("offer");
+
+      await acceptStackOffer(award);
+      await expect(acceptStackOffer(award)).rejects.toThrow("Stack offer is no longer open");
+
+      expect(await diplomas()).toHaveLength(1);
+      const accepted = await StackAward.findById(award._id);
+      expect(accepted.status).toBe("issued");
+      expect(accepted.credentialId.toString()).toBe((await diplomas())[0]._id.toString());
+    });
+
+    it("cannot decline an offer that was accepted", async () => {
+      const { award } = await earn("offer");
+      await accept(award);
+
+      const res = await learnerApi.post(`/api/v1/learners/stacks/awards/${award._id}/decline`);
+
+      expect(res.status).toBe(404);
+      expect((await StackAward.findById(award._id)).status).toBe("issued");
+    });
+
+    it("reopens the offer when the reward cannot be issued", async () => {
+      const { award, components } = await earn("offer");
+      await Credential.updateOne({ _id: components[0]._id }, { verificationStatus: "revoked" });
+
+      const res = await accept(award);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Your credentials no longer meet this stack's requirements");
+      expect((await StackAward.findById(award._id)).status).toBe("offered");
+      expect(await diplomas()).toHaveLength(0);
+    });
+  });
+
+  describe("changes to a component credential", () => {
+    const changeStatus = (credential, action, reasonCode) =>
+      owner.post(`/api/v1/credentials/${credential._id}/${action}`).send({ reasonCode });
+
+    it("revokes the reward when a component is revoked", async () => {
+      const { award, components } = await earn("issue");
+      expect(award.status).toBe("issued");
+
+      expect((await changeStatus(components[0], "revoke", "fraud")).status).toBe(200);
+
+      expect(await StackAward.countDocuments()).toBe(0);
+      const diploma = await Credential.findById(award.credentialId);
+      expect(diploma.verificationStatus).toBe("revoked");
+      expect(diploma.statusHistory.at(-1)).toMatchObject({
+        status: "revoked",
+        reasonCode: "requirements-not-met",
+      });
+    });
+
+    it("suspends the reward with a suspended component and reinstates it after", async () => {
+      const { award, components } = await earn("issue");
+
+      await changeStatus(components[0], "suspend", "under-investigation");
+
+      let diploma = await Credential.findById(award.credentialId);
+      expect(diploma.verificationStatus).toBe("suspended");
+      expect(diploma.statusHistory.at(-1)).toMatchObject({
+        status: "suspended",
+        reasonCode: "requirements-not-met",
+      });
+      expect((await StackAward.findById(award._id)).status).toBe("issued");
+
+      expect((await changeStatus(components[0], "reinstate", "other")).status).toBe(200);
+
+      diploma = await Credential.findById(award.credentialId);
+      expect(diploma.verificationStatus).toBe("verified");
+      expect(diploma.statusHistory.slice(-2).map((entry) => entry.status)).toEqual([
+        "suspended",
+        "verified",
+      ]);
+      expect(await diplomas()).toHaveLength(1);
+      expect(await StackAward.countDocuments()).toBe(1);
+    });
+
+    it("revokes a reward suspended with its component once the component is revoked", async () => {
+      const { award, components } = await earn("issue");
+
+      await changeStatus(components[0], "suspend", "under-investigation");
+      await changeStatus(components[0], "revoke", "fraud");
+
+      expect((await Credential.findById(award.credentialId)).verificationStatus).toBe("revoked");
+      expect(await StackAward.countDocuments()).toBe(0);
+    });
+
+    it("leaves a reward its institution suspended when a component is reinstated", async () => {
+      const { award, components } = await earn("issue");
+      await changeStatus({ _id: award.credentialId }, "suspend", "under-investigation");
+      await changeStatus(components[0], "suspend", "under-investigation");
+      await changeStatus(components[0], "reinstate", "other");
+
+      const diploma = await Credential.findById(award.credentialId);
+      expect(diploma.verificationStatus).toBe("suspended");
+      expect(diploma.statusHistory.at(-1).reasonCode).toBe("under-investigation");
+    });
+
+    it("revokes the reward when a component is deleted", async () => {
+      const { award, components } = await earn("issue");
+
+      const res = await owner.delete(`/api/v1/credentials/${components[1]._id}`);
+      expect(res.status).toBe(200);
+
+      expect(await StackAward.countDocuments()).toBe(0);
+      expect((await Credential.findById(award.credentialId)).verificationStatus).toBe("revoked");
+    });
+
+    it("withdraws an open offer whose component is revoked", async () => {
+      const { components } = await earn("offer");
+
+      await owner
+        .post(`/api/v1/credentials/${components[0]._id}/revoke`)
+        .send({ reasonCode: "fraud" });
+
+      expect(await StackAward.countDocuments()).toBe(0);
+      expect(await diplomas()).toHaveLength(0);
+    });
+  });
+});
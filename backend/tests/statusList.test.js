@@ -0,0 +1,137 @@
+import zlib from "zlib";
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import {
+  as,
+  app,
+  createInstitution,
+  createLearner,
+  login,
+  request,
+} from "./helpers/fixtures.js";
+import { issueCredential } from "../services/credentialService.js";
+import { verifyProof } from "../services/vcService.js";
+import { encodeStatusList } from "../services/statusListService.js";
+
+beforeAll(connect);
+
+// Bitstring Status List: multibase base64url ('u') of a GZIP-compressed bitstring
+const decodeList = (encodedList) => {
+  expect(encodedList.startsWith("u")).toBe(true);
+  return zlib.gunzipSync(Buffer.from(encodedList.slice(1), "base64url"));
+};
+
+const bitAt = (bits, index) => (bits[index >> 3] & (0x80 >> (index % 8))) !== 0;
+
+describe("encodeStatusList", () => {
+  it("sets the most significant bit first", () => {
+    const bits = decodeList(encodeStatusList([0, 9, 131071], 131072));
+
+    expect(bits).toHaveLength(16384);
+    expect(bits[0]).toBe(0x80);
+    expect(bits[1]).toBe(0x40);
+    expect(bits[16383]).toBe(0x01);
+    expect(bits.reduce((count, byte) => count + (byte ? 1 : 0), 0)).toBe(3);
+  });
+});
+
+describe("institution status lists", () => {
+  let institution;
+  let owner;
+  let learner;
+  let credentials;
+
+  beforeEach(async () => {
+    await clear();
+
+    ({ institution, user: owner } = await createInstitution());
+    owner = as((await login(owner)).accessToken);
+    learner = await createLearner();
+
+    credentials = [];
+    for (const number of ["S-0001", "S-0002", "S-0003"]) {
+      credentials.push(
+        await issueCredential({
+          learnerId: learner._id,
+          institutionId: institution._id,
+          title: "Welding Level 1",
+          description: "Basic welding",
+          type: "certificate",
+          credentialNumber: number,
+          verificationStatus: "verified",
+        }),
+      );
+    }
+  });
+
+  const fetchList = async (purpose) => {
+    const res = await request(app).get(
+      `/api/v1/institutions/${institution._id}/status-lists/${purpose}`,
+    );
+    expect(res.status).toBe(200);
+    return res.body;
+  };
+
+  const bitsOf = async (purpose) => decodeList((await fetchList(purpose)).credentialSubject.encodedList);
+
+  it("publishes a signed VC 2.0 BitstringStatusListCredential", async () => {
+    const list = await fetchList("revocation");
+
+    expect(list["@context"]).toEqual(["https://www.w3.org/ns/credentials/v2"]);
+    expect(list.type).toEqual(["VerifiableCredential", "BitstringStatusListCredential"]);
+    expect(list.validFrom).toBeDefined();
+    expect(list.credentialSubject).toMatchObject({
+      type: "BitstringStatusList",
+      statusPurpose: "revocation",
+    });
+    expect(list.proof.cryptosuite).toBe("eddsa-jcs-2022");
+    expect((await verifyProof(list)).valid).toBe(true);
+  });
+
+  it("gives exported credentials entries pointing at the lists", async () => {
+    const vc = (await owner.get(`/api/v1/credentials/${credentials[1]._id}/vc`)).body.data;
+
+    expect(vc.credentialStatus).toEqual([
+      expect.objectContaining({
+        type: "BitstringStatusListEntry",
+        statusPurpose: "revocation",
+        statusListIndex: "1",
+        statusListCredential: expect.stringMatching(/\/status-lists\/revocation$/),
+      }),
+      expect.objectContaining({
+        type: "BitstringStatusListEntry",
+        statusPurpose: "suspension",
+        statusListIndex: "1",
+      }),
+    ]);
+  });
+
+  it("sets a credential's bit when it is revoked", async () => {
+    expect(bitAt(await bitsOf("revocation"), 1)).toBe(false);
+
+    const res = await owner
+      .post(`/api/v1/credentials/${credentials[1]._id}/revoke`)
+      .send({ reasonCode: "fraud" });
+    expect(res.status).toBe(200);
+
+    const revoked = await bitsOf("revocation");
+    expect([0, 1, 2].map((index) => bitAt(revoked, index))).toEqual([false, true, false]);
+    expect(bitAt(await bitsOf("suspension"), 1)).toBe(false);
+  });
+
+  it("sets and clears the suspension bit", async () => {
+    await owner
+      .post(`/api/v1/credentials/${credentials[2]._id}/suspend`)
+      .send({ reasonCode: "under-investigation" });
+
+    expect(bitAt(await bitsOf("suspension"), 2)).toBe(true);
+    expect(bitAt(await bitsOf("revocation"), 2)).toBe(false);
+
+    const res = await owner
+      .post(`/api/v1/credentials/${credentials[2]._id}/reinstate`)
+      .send({ reasonCode: "other" });
+    expect(res.status).toBe(200);
+
+    expect(bitAt(await bitsOf("suspension"), 2)).toBe(false);
+  });
+});
@@ -0,0 +1,270 @@
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import {
+  as,
+  createInstitution,
+  createLearner,
+  createStaff,
+  login,
+} from "./helpers/fixtures.js";
+import Credential from "../models/Credential.js";
+import CredentialTemplate from "../models/CredentialTemplate.js";
+import BulkIssuanceJob from "../models/BulkIssuanceJob.js";
+import StackRule from "../models/StackRule.js";
+import CreditLedgerEntry from "../models/CreditLedgerEntry.js";
+import User from "../models/User.js";
+
+beforeAll(connect);
+
+/*
+ * Institution A's owner acting on institution B's records. Every id of B's
+ * must behave as if it did not exist, and B's records must stay unchanged.
+ */
+describe("tenant isolation", () => {
+  let a;
+  let b;
+  let api;
+  let learner;
+  let credential;
+  let template;
+  let job;
+  let rule;
+  let staff;
+
+  beforeEach(async () => {
+    await clear();
+
+    a = await createInstitution({ name: "Institute A" });
+    b = await createInstitution({ name: "Institute B" });
+    api = as((await login(a.user)).accessToken);
+    learner = await createLearner();
+
+    credential = await Credential.create({
+      learnerId: learner._id,
+      institutionId: b.institution._id,
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "certificate",
+      credentialNumber: "B-0001",
+      verificationStatus: "verified",
+      metadata: { credits: 4 },
+    });
+    template = await CredentialTemplate.create({
+      institutionId: b.institution._id,
+      name: "Welding",
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "certificate",
+    });
+    job = await BulkIssuanceJob.create({
+      institutionId: b.institution._id,
+      createdBy: b.user._id,
+      status: "completed",
+    });
+    rule = await StackRule.create({
+      institutionId: b.institution._id,
+      name: "Welding Diploma",
+      components: [{ title: "Welding Level 1" }],
+      reward: { title: "Welding Diploma", description: "All welding levels" },
+    });
+    await CreditLedgerEntry.create({
+      learnerId: learner._id,
+      sequence: 1,
+      entryType: "earned",
+      credits: 4,
+      institutionId: b.institution._id,
+      credentialId: credential._id,
+    });
+    await CreditLedgerEntry.create({
+      learnerId: learner._id,
+      sequence: 2,
+      entryType: "redemption",
+      credits: -4,
+      institutionId: b.institution._id,
+      programme: { name: "Fabrication" },
+      credentialIds: [credential._id],
+    });
+    staff = await createStaff(b.institution, { institutionRole: "issuer" });
+  });
+
+  const bId = () => b.institution._id;
+  const aId = () => a.institution._id;
+
+  describe("credentials", () => {
+    it("hides another institution's credentials from reads", async () => {
+      expect((await api.get(`/api/v1/credentials/${credential._id}`)).status).toBe(404);
+      expect((await api.get(`/api/v1/credentials/${credential._id}/history`)).status).toBe(404);
+      expect((await api.get(`/api/v1/credentials/${credential._id}/vc`)).status).toBe(404);
+
+      const list = await api.get("/api/v1/credentials");
+      expect(list.status).toBe(200);
+      expect(list.body.data).toHaveLength(0);
+    });
+
+    it("rejects writes to another institution's credentials", async () => {
+      const update = await api
+        .put(`/api/v1/credentials/${credential._id}`)
+        .send({ title: "Forged" });
+      expect(update.status).toBe(404);
+
+      const revoke = await api
+        .post(`/api/v1/credentials/${credential._id}/revoke`)
+        .send({ reasonCode: "fraud" });
+      expect(revoke.status).toBe(404);
+
+      const remove = await api.delete(`/api/v1/credentials/${credential._id}`);
+      expect(remove.status).toBe(404);
+
+      const stored = await Credential.findById(credential._id);
+      expect(stored.title).toBe("Welding Level 1");
+      expect(stored.verificationStatus).toBe("verified");
+    });
+
+    it("does not issue from another institution's template in a multipart request", async () => {
+      const res = await api
+        .post(`/api/v1/credentials/from-template/${template._id}`)
+        .field("learnerId", learner._id.toString())
+        .field("credentialNumber", "A-0001");
+
+      expect(res.status).toBe(404);
+      expect(await Credential.countDocuments({ credentialNumber: "A-0001" })).toBe(0);
+    });
+  });
+
+  describe("credential templates", () => {
+    it("hides another institution's templates", async () => {
+      expect((await api.get(`/api/v1/institutions/${bId()}/credential-templates`)).status).toBe(404);
+      expect(
+        (await api.get(`/api/v1/institutions/${aId()}/credential-templates/${template._id}`)).status,
+      ).toBe(404);
+    });
+
+    it("rejects writes to another institution's templates", async () => {
+      const create = await api
+        .post(`/api/v1/institutions/${bId()}/credential-templates`)
+        .send({ name: "Forged", title: "Forged", description: "Forged", type: "badge" });
+      expect(create.status).toBe(404);
+
+      const update = await api
+        .put(`/api/v1/institutions/${aId()}/credential-templates/${template._id}`)
+        .send({ title: "Forged" });
+      expect(update.status).toBe(404);
+
+      const remove = await api.delete(
+        `/api/v1/institutions/${bId()}/credential-templates/${template._id}`,
+      );
+      expect(remove.status).toBe(404);
+
+      const stored = await CredentialTemplate.findById(template._id);
+      expect(stored.title).toBe("Welding Level 1");
+      expect(stored.isActive).not.toBe(false);
+    });
+  });
+
+  describe("bulk issuance jobs", () => {
+    it("hides another institution's jobs", async () => {
+      expect((await api.get(`/api/v1/credentials/bulk/${job._id}`)).status).toBe(404);
+      expect((await api.get(`/api/v1/credentials/bulk/${job._id}/report`)).status).toBe(404);
+
+      const list = await api.get("/api/v1/credentials/bulk");
+      expect(list.status).toBe(200);
+      expect(list.body.data).toHaveLength(0);
+    });
+  });
+
+  describe("stack rules", () => {
+    it("rejects writes to another institution's rules", async () => {
+      const create = await api
+        .post(`/api/v1/institutions/${bId()}/stack-rules`)
+        .send({
+          name: "Forged",
+          components: [{ title: "Welding Level 1" }],
+          reward: { title: "Forged", description: "Forged" },
+        });
+      expect(create.status).toBe(404);
+
+      const update = await api
+        .put(`/api/v1/institutions/${aId()}/stack-rules/${rule._id}`)
+        .send({ name: "Forged" });
+      expect(update.status).toBe(404);
+
+      const remove = await api.delete(`/api/v1/institutions/${bId()}/stack-rules/${rule._id}`);
+      expect(remove.status).toBe(404);
+
+      const stored = await StackRule.findById(rule._id);
+      expect(stored.name).toBe("Welding Diploma");
+      expect(stored.isActive).not.toBe(false);
+    });
+
+    it("lists only the institution's own rules under its id", async () => {
+      const res = await api.get(`/api/v1/institutions/${aId()}/stack-rules`);
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(0);
+    });
+  });
+
+  describe("credit ledger", () => {
+    it("hides another institution's redemptions", async () => {
+      expect((await api.get(`/api/v1/institutions/${bId()}/credit-redemptions`)).status).toBe(404);
+
+      const own = await api.get(`/api/v1/institutions/${aId()}/credit-redemptions`);
+      expect(own.status).toBe(200);
+      expect(own.body.data).toHaveLength(0);
+    });
+
+    it("does not record redemptions for another institution", async () => {
+      const res = await api
+        .post(`/api/v1/institutions/${bId()}/credit-redemptions`)
+        .send({ learnerId: learner._id.toString(), programme: { name: "Forged" }, credits: 1 });
+      expect(res.status).toBe(404);
+
+      expect(await CreditLedgerEntry.countDocuments({ learnerId: learner._id })).toBe(2);
+    });
+  });
+
+  describe("staff", () => {
+    it("hides another institution's staff and invites", async () => {
+      expect((await api.get(`/api/v1/institutions/${bId()}/staff`)).status).toBe(404);
+      expect((await api.get(`/api/v1/institutions/${bId()}/staff/invites`)).status).toBe(404);
+
+      const own = await api.get(`/api/v1/institutions/${aId()}/staff`);
+      expect(own.status).toBe(200);
+      expect(own.body.data.map((user) => user._id)).not.toContain(staff._id.toString());
+    });
+
+    it("rejects changes to another institution's staff", async () => {
+      const invite = await api
+        .post(`/api/v1/institutions/${bId()}/staff/invites`)
+        .send({ email: "intruder@example.com", role: "admin" });
+      expect(invite.status).toBe(404);
+
+      const promote = await api
+        .put(`/api/v1/institutions/${bId()}/staff/${staff._id}`)
+        .send({ role: "admin" });
+      expect(promote.status).toBe(404);
+
+      const viaOwnId = await api
+        .put(`/api/v1/institutions/${aId()}/staff/${staff._id}`)
+        .send({ role: "admin" });
+      expect(viaOwnId.status).toBe(404);
+
+      const remove = await api.delete(`/api/v1/institutions/${aId()}/staff/${staff._id}`);
+      expect(remove.status).toBe(404);
+
+      const transfer = await api
+        .post(`/api/v1/institutions/${aId()}/staff/transfer-ownership`)
+        .send({ userId: staff._id.toString() });
+      expect(transfer.status).toBe(404);
+
+      const stored = await User.findById(staff._id);
+      expect(stored.institutionRole).toBe("issuer");
+      expect(stored.isActive).toBe(true);
+      expect(stored.tenantId.toString()).toBe(bId().toString());
+    });
+  });
+
+  it("rejects updates to another institution's profile", async () => {
+    const res = await api.put(`/api/v1/institutions/${bId()}`).send({ description: "Forged" });
+    expect(res.status).toBe(404);
+  });
+});
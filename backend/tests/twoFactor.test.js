@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from "@jest/globals";
+import mongoose from "mongoose";
+import { connect, clear } from "./helpers/memoryDb.js";
+import {
+  app,
+  request,
+  as,
+  PASSWORD,
+  createLearner,
+  createInstitution,
+  login,
+} from "./helpers/fixtures.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import User from "../models/User.js";
+import { generateToken } from "../utils/totp.js";
+
+const STEP_MS = 30 * 1000;
+
+const passwordLogin = (user) =>
+  request(app).post("/api/v1/auth/login").send({ email: user.email, password: PASSWORD });
+
+const completeLogin = (body) => request(app).post("/api/v1/auth/2fa/login").send(body);
+
+/**
+ * Enrol the logged-in user; returns the TOTP secret and recovery codes
+ */
+const enrol = async (accessToken) => {
+  const setup = await as(accessToken).post("/api/v1/auth/2fa/setup");
+  const { secret } = setup.body.data;
+
+  const confirm = await as(accessToken)
+    .post("/api/v1/auth/2fa/confirm")
+    .send({ code: generateToken(secret) });
+  expect(confirm.status).toBe(200);
+
+  return { secret, recoveryCodes: confirm.body.data.recoveryCodes };
+};
+
+beforeAll(connect);
+beforeEach(clear);
+afterEach(() => SecurityPolicy.updatePolicy({ twoFactorRequiredRoles: [] }));
+
+describe("two-factor login", () => {
+  let learner;
+  let secret;
+  let recoveryCodes;
+
+  beforeEach(async () => {
+    learner = await createLearner();
+    ({ secret, recoveryCodes } = await enrol((await login(learner)).accessToken));
+  });
+
+  it("hands out a challenge instead of tokens", async () => {
+    const res = await passwordLogin(learner);
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.challengeToken).toBeTruthy();
+    expect(res.body.accessToken).toBeUndefined();
+    expect(res.body.refreshToken).toBeUndefined();
+
+    const me = await as(res.body.challengeToken).get("/api/v1/auth/me");
+    expect(me.status).toBe(401);
+  });
+
+  it("completes the login with an authenticator code", async () => {
+    const { challengeToken } = (await passwordLogin(learner)).body;
+
+    const wrong = await completeLogin({ challengeToken, code: "000000" });
+    expect(wrong.status).toBe(401);
+
+    const code = generateToken(secret, Date.now() + STEP_MS);
+    const res = await completeLogin({ challengeToken, code });
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+
+    const status = await as(res.body.accessToken).get("/api/v1/auth/2fa");
+    expect(status.body.data.currentSessionVerified).toBe(true);
+
+    // The same code cannot be replayed
+    const replay = await completeLogin({ challengeToken, code });
+    expect(replay.status).toBe(401);
+  });
+
+  it("rejects a code no newer than the one used at enrolment", async () => {
+    const { challengeToken } = (await passwordLogin(learner)).body;
+
+    const res = await completeLogin({ challengeToken, code: generateToken(secret) });
+    expect(res.status).toBe(401);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { challengeToken } = (await passwordLogin(learner)).body;
+    const [recoveryCode] = recoveryCodes;
+
+    const res = await completeLogin({ challengeToken, recoveryCode });
+    expect(res.status).toBe(200);
+
+    const status = await as(res.body.accessToken).get("/api/v1/auth/2fa");
+    expect(status.body.data.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+
+    const reuse = await completeLogin({ challengeToken, recoveryCode });
+    expect(reuse.status).toBe(401);
+  });
+
+  it("replaces recovery codes on regeneration", async () => {
+    const { challengeToken } = (await passwordLogin(learner)).body;
+    const session = await completeLogin({ challengeToken, recoveryCode: recoveryCodes[0] });
+
+    const res = await as(session.body.accessToken)
+      .post("/api/v1/auth/2fa/recovery-codes")
+      .send({ code: generateToken(secret, Date.now() + STEP_MS) });
+    expect(res.status).toBe(200);
+
+    const stale = await completeLogin({ challengeToken, recoveryCode: recoveryCodes[1] });
+    expect(stale.status).toBe(401);
+
+    const fresh = await completeLogin({
+      challengeToken,
+      recoveryCode: res.body.data.recoveryCodes[0],
+    });
+    expect(fresh.status).toBe(200);
+  });
+
+  it("still asks for the second factor after a password reset", async () => {
+    const user = await User.findById(learner._id);
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const res = await request(app)
+      .patch(`/api/v1/auth/reset-password/${resetToken}`)
+      .send({ password: "newPassword123" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.accessToken).toBeUndefined();
+    expect(res.body.refreshToken).toBeUndefined();
+
+    const code = generateToken(secret, Date.now() + STEP_MS);
+    const session = await completeLogin({ challengeToken: res.body.challengeToken, code });
+    expect(session.status).toBe(200);
+    expect(session.body.accessToken).toBeTruthy();
+  });
+});
+
+describe("two-factor policy", () => {
+  it("blocks sessions without 2FA for roles the policy covers", async () => {
+    const learner = await createLearner();
+    const { accessToken } = await login(learner);
+
+    await SecurityPolicy.updatePolicy({ twoFactorRequiredRoles: ["learner"] });
+
+    const sessions = await as(accessToken).get("/api/v1/auth/sessions");
+    expect(sessions.status).toBe(403);
+
+    // Enrolment stays reachable
+    const setup = await as(accessToken).post("/api/v1/auth/2fa/setup");
+    expect(setup.status).toBe(200);
+  });
+
+  it("only demands 2FA for credential verification when the policy does", async () => {
+    const { user } = await createInstitution();
+    const { accessToken } = await login(user);
+    const missing = new mongoose.Types.ObjectId();
+
+    const res = await as(accessToken)
+      .put(`/api/v1/credentials/${missing}/verify`)
+      .send({ status: "verified" });
+    expect(res.status).toBe(404);
+
+    const review = await as(accessToken)
+      .put(`/api/v1/credentials/claims/${missing}/review`)
+      .send({ status: "approved" });
+    expect(review.status).toBe(404);
+  });
+});
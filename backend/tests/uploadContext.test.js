@@ -0,0 +1,52 @@
+import { describe, it, expect } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { certificateUpload, bulkUpload } from "../config/multer.js";
+import { runWithTenant, getTenantId } from "../utils/tenantContext.js";
+
+const TENANT = "64b000000000000000000001";
+
+/**
+ * App that enters a tenant, runs the upload, then reports the tenant
+ */
+const appWith = (upload) => {
+  const app = express();
+  app.post(
+    "/upload",
+    (req, res, next) => runWithTenant(TENANT, next),
+    upload,
+    (req, res) => res.json({ tenantId: getTenantId() ?? null }),
+  );
+  return app;
+};
+
+describe("upload middleware", () => {
+  it("keeps the tenant context of the request", async () => {
+    const res = await request(appWith(certificateUpload.single("file")))
+      .post("/upload")
+      .field("title", "Certificate")
+      .attach("file", Buffer.from("%PDF-1.4"), {
+        filename: "certificate.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.tenantId).toBe(TENANT);
+  });
+
+  it("keeps the tenant context for bulk uploads", async () => {
+    const upload = bulkUpload.fields([
+      { name: "file", maxCount: 1 },
+      { name: "certificates", maxCount: 1 },
+    ]);
+
+    const res = await request(appWith(upload))
+      .post("/upload")
+      .attach("file", Buffer.from("learnerEmail,title\n"), {
+        filename: "batch.csv",
+        contentType: "text/csv",
+      });
+
+    expect(res.body.tenantId).toBe(TENANT);
+  });
+});
@@ -0,0 +1,248 @@
+import crypto from "crypto";
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import {
+  as,
+  createAdmin,
+  createInstitution,
+  createLearner,
+  login,
+  request,
+  app,
+} from "./helpers/fixtures.js";
+import Institution from "../models/Institution.js";
+import Credential from "../models/Credential.js";
+import { issueCredential, verifyCredentialSignature } from "../services/credentialService.js";
+import canonicalize from "../utils/canonicalize.js";
+import { encodeMultibase } from "../utils/multibase.js";
+import { signBytes } from "../utils/signing.js";
+
+beforeAll(connect);
+
+const issue = (institution, learner, overrides = {}) =>
+  issueCredential({
+    learnerId: learner._id,
+    institutionId: institution._id,
+    title: "Welding Level 1",
+    description: "Basic welding",
+    type: "certificate",
+    credentialNumber: `W-${crypto.randomBytes(4).toString("hex")}`,
+    verificationStatus: "verified",
+    ...overrides,
+  });
+
+const verify = (vc) => request(app).post("/api/v1/credentials/vc/verify").send(vc);
+
+const rotate = (accessToken, institution) =>
+  as(accessToken).post(`/api/v1/institutions/${institution._id}/keys/rotate`);
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+// Sign as eddsa-jcs-2022 does, with a caller-chosen proof.created
+const signWith = (document, privateKeyPem, verificationMethod, created) => {
+  const { proof: _proof, ...unsecured } = document;
+  const options = {
+    type: "DataIntegrityProof",
+    cryptosuite: "eddsa-jcs-2022",
+    created,
+    verificationMethod,
+    proofPurpose: "assertionMethod",
+  };
+  const bytes = Buffer.concat([
+    sha256(canonicalize({ ...options, "@context": unsecured["@context"] })),
+    sha256(canonicalize(unsecured)),
+  ]);
+
+  return {
+    ...unsecured,
+    proof: { ...options, proofValue: encodeMultibase(signBytes(bytes, privateKeyPem)) },
+  };
+};
+
+describe("verifiable credential signing and verification", () => {
+  let institution;
+  let owner;
+  let learner;
+  let learnerApi;
+
+  beforeEach(async () => {
+    await clear();
+
+    ({ institution, user: owner } = await createInstitution());
+    owner = await login(owner);
+    learner = await createLearner();
+    learnerApi = as((await login(learner)).accessToken);
+  });
+
+  const exportVc = async (credential) => {
+    const res = await learnerApi.get(`/api/v1/credentials/${credential._id}/vc`);
+    expect(res.status).toBe(200);
+    return res.body.data;
+  };
+
+  it("verifies an exported credential", async () => {
+    const vc = await exportVc(await issue(institution, learner));
+
+    expect(vc.proof.verificationMethod).toMatch(/#key-1$/);
+
+    const res = await verify(vc);
+    expect(res.status).toBe(200);
+    expect(res.body.data.verified).toBe(true);
+    expect(res.body.data.checks).toEqual({
+      signature: true,
+      issuer: true,
+      expiry: true,
+      status: true,
+    });
+  });
+
+  it("rejects a document changed after signing", async () => {
+    const vc = await exportVc(await issue(institution, learner));
+    vc.credentialSubject.achievement.name = "Welding Level 3";
+
+    const res = await verify(vc);
+    expect(res.body.data.verified).toBe(false);
+    expect(res.body.data.checks.signature).toBe(false);
+    expect(res.body.data.errors).toContain("Signature does not match the credential contents");
+  });
+
+  it("rejects a proof without a valid creation date", async () => {
+    const vc = await exportVc(await issue(institution, learner));
+    vc.proof.created = "not a date";
+
+    const res = await verify(vc);
+    expect(res.body.data.verified).toBe(false);
+    expect(res.body.data.errors).toContain("Proof has an invalid creation date");
+  });
+
+  it("reports a revoked credential", async () => {
+    const credential = await issue(institution, learner);
+    const vc = await exportVc(credential);
+    await Credential.updateOne({ _id: credential._id }, { verificationStatus: "revoked" });
+
+    const res = await verify(vc);
+    expect(res.body.data.verified).toBe(false);
+    expect(res.body.data.checks.signature).toBe(true);
+    expect(res.body.data.errors).toContain("Credential status is revoked");
+  });
+
+  describe("after key rotation", () => {
+    it("still verifies credentials signed before the old key was retired", async () => {
+      const vc = await exportVc(await issue(institution, learner));
+
+      expect((await rotate(owner.accessToken, institution)).status).toBe(201);
+
+      const res = await verify(vc);
+      expect(res.body.data.verified).toBe(true);
+      expect(res.body.data.verificationMethod).toMatch(/#key-1$/);
+    });
+
+    it("signs new exports with the new key", async () => {
+      await rotate(owner.accessToken, institution);
+      const vc = await exportVc(await issue(institution, learner));
+
+      expect(vc.proof.verificationMethod).toMatch(/#key-2$/);
+      expect((await verify(vc)).body.data.verified).toBe(true);
+    });
+
+    it("rejects a retired key backdating proof.created on a newer credential", async () => {
+      const before = await Institution.findById(institution._id).select("+signingKeys.privateKey");
+      const retiredKey = before.getActiveSigningKey();
+      const retiredPrivateKey = before.getPrivateKey(retiredKey);
+
+      await rotate(owner.accessToken, institution);
+      const vc = await exportVc(await issue(institution, learner));
+
+      const forged = signWith(
+        vc,
+        retiredPrivateKey,
+        vc.proof.verificationMethod.replace(/#key-2$/, `#${retiredKey.keyId}`),
+        new Date(retiredKey.createdAt).toISOString(),
+      );
+
+      const res = await verify(forged);
+      expect(res.body.data.verified).toBe(false);
+      expect(res.body.data.errors).toContain(
+        "Signing key was retired before this credential was issued",
+      );
+    });
+  });
+});
+
+describe("signing keys", () => {
+  let institution;
+  let owner;
+
+  beforeEach(async () => {
+    await clear();
+
+    ({ institution, user: owner } = await createInstitution());
+    await Institution.updateOne(
+      { _id: institution._id },
+      { isVerified: false, $set: { signingKeys: [] } },
+    );
+    owner = await login(owner);
+  });
+
+  const keyCount = async () => (await Institution.findById(institution._id)).signingKeys.length;
+
+  it("are not created by public reads", async () => {
+    const res = await request(app).get(
+      `/api/v1/institutions/${institution._id}/status-lists/revocation`,
+    );
+
+    expect(res.status).toBe(404);
+    expect(await keyCount()).toBe(0);
+  });
+
+  it("are required to issue a credential", async () => {
+    const learner = await createLearner();
+
+    await expect(issue(institution, learner)).rejects.toMatchObject({ statusCode: 403 });
+    expect(await Credential.countDocuments()).toBe(0);
+    expect(await keyCount()).toBe(0);
+  });
+
+  it("cannot be rotated in before verification", async () => {
+    const res = await rotate(owner.accessToken, institution);
+
+    expect(res.status).toBe(403);
+    expect(await keyCount()).toBe(0);
+  });
+
+  it("are created once when an admin verifies the institution", async () => {
+    const admin = as((await login(await createAdmin())).accessToken);
+    const verifyInstitution = () =>
+      admin.put(`/api/v1/admin/institutions/${institution._id}/verify`).send({ isVerified: true });
+
+    expect((await verifyInstitution()).status).toBe(200);
+    expect((await verifyInstitution()).status).toBe(200);
+
+    const keys = (await request(app).get(`/api/v1/institutions/${institution._id}/keys`)).body.data.keys;
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ keyId: "key-1", status: "active" });
+
+    const learner = await createLearner();
+    const credential = await issue(institution, learner);
+    expect(credential.signature.keyId).toBe("key-1");
+  });
+
+  it("are backfilled for institutions verified before keys existed", async () => {
+    await Institution.updateOne({ _id: institution._id }, { isVerified: true });
+    const { institution: other } = await createInstitution({ name: "Other Institute" });
+
+    expect(await Institution.backfillSigningKeys()).toBe(1);
+    expect(await Institution.backfillSigningKeys()).toBe(0);
+    expect(await keyCount()).toBe(1);
+    expect((await Institution.findById(other._id)).signingKeys).toHaveLength(1);
+
+    const credential = await issue(institution, await createLearner());
+    expect(credential.signature.keyId).toBe("key-1");
+    expect((await verifyCredentialSignature(credential)).valid).toBe(true);
+  });
+
+  it("are not backfilled for unverified institutions", async () => {
+    expect(await Institution.backfillSigningKeys()).toBe(0);
+    expect(await keyCount()).toBe(0);
+  });
+});
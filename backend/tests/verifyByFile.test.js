@@ -0,0 +1,97 @@
+import crypto from "crypto";
+import { describe, it, expect, beforeAll, beforeEach } from "@jest/globals";
+import { connect, clear } from "./helpers/memoryDb.js";
+import { createInstitution, createLearner, request, app } from "./helpers/fixtures.js";
+import { issueCredential } from "../services/credentialService.js";
+import { hashBuffer } from "../utils/fileHash.js";
+
+beforeAll(connect);
+
+const CERTIFICATE = Buffer.from("%PDF-1.4 Welding Level 1 certificate");
+const FILE_PATH = "https://files.example.org/certificate.pdf";
+
+describe("verification by certificate upload", () => {
+  let institution;
+  let learner;
+
+  beforeEach(async () => {
+    await clear();
+
+    ({ institution } = await createInstitution());
+    learner = await createLearner();
+  });
+
+  const issue = (credentialNumber, hash) =>
+    issueCredential({
+      learnerId: learner._id,
+      institutionId: institution._id,
+      title: "Welding Level 1",
+      description: "Basic welding",
+      type: "certificate",
+      credentialNumber,
+      verificationStatus: "verified",
+      file: { path: FILE_PATH, mimetype: "application/pdf", hash },
+    });
+
+  const upload = (bytes, credentialNumber) => {
+    const req = request(app).post("/api/v1/verify/file");
+    if (credentialNumber) req.field("credentialNumber", credentialNumber);
+    return req.attach("file", bytes, {
+      filename: "certificate.pdf",
+      contentType: "application/pdf",
+    });
+  };
+
+  it("finds the credential by the hash of the issued file", async () => {
+    await issue("W-0001", hashBuffer(CERTIFICATE));
+
+    const res = await upload(CERTIFICATE);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      matched: true,
+      byteIdentical: true,
+      fileHash: hashBuffer(CERTIFICATE),
+    });
+    expect(res.body.data.credential).toMatchObject({
+      credentialNumber: "W-0001",
+      status: "verified",
+      holder: "Asha Rao",
+    });
+  });
+
+  it("matches nothing for a file that was not issued", async () => {
+    await issue("W-0001", hashBuffer(CERTIFICATE));
+
+    const res = await upload(Buffer.from("%PDF-1.4 edited certificate"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ matched: false, byteIdentical: false, credential: null });
+  });
+
+  it("reports a changed copy of the named credential without revealing the holder", async () => {
+    await issue("W-0001", hashBuffer(CERTIFICATE));
+
+    const res = await upload(Buffer.from("%PDF-1.4 edited certificate"), "W-0001");
+
+    expect(res.body.data).toMatchObject({ matched: true, byteIdentical: false });
+    expect(res.body.data.credential.credentialNumber).toBe("W-0001");
+    expect(res.body.data.credential.holder).not.toBe("Asha Rao");
+  });
+
+  it("cannot compare credentials hashed before content hashing", async () => {
+    // Older credentials stored a hash of the Cloudinary URL
+    await issue("W-0001", crypto.createHash("sha256").update(FILE_PATH).digest("hex"));
+
+    const res = await upload(CERTIFICATE, "W-0001");
+
+    expect(res.body.data).toMatchObject({ matched: true, byteIdentical: null });
+  });
+
+  it("requires a file", async () => {
+    const res = await request(app).post("/api/v1/verify/file").field("credentialNumber", "W-0001");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Please upload a certificate file");
+  });
+});
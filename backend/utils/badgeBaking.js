@@ -0,0 +1,228 @@
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Keyword and namespace defined by Open Badges 3.0 baking
+const PNG_KEYWORD = 'openbadgecredential';
+const SVG_NAMESPACE = 'https://purl.imsglobal.org/ob/v3p0';
+
+// Largest baked credential read back from a compressed iTXt chunk
+const MAX_CREDENTIAL_BYTES = 1024 * 1024;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 as used by PNG chunks
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const buildChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Split a PNG into its chunks
+ * @returns {Array<{ type: string, data: Buffer, start: number, end: number }>}
+ */
+const readChunks = (png) => {
+  if (!Buffer.isBuffer(png) || !png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > png.length) throw new Error('Truncated PNG chunk');
+
+    chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length), start: offset, end });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return chunks;
+};
+
+/**
+ * Bake a credential into a PNG as an uncompressed iTXt chunk
+ * (any previously baked credential is replaced)
+ * @param {Buffer} png - Badge image
+ * @param {string} credential - Serialized credential (JSON or compact JWS)
+ * @returns {Buffer} - Baked PNG
+ */
+const bakePng = (png, credential) => {
+  const chunks = readChunks(png).filter(
+    (chunk) => !(chunk.type === 'iTXt' && chunk.data.toString('latin1').startsWith(`${PNG_KEYWORD}\0`))
+  );
+  const iend = chunks.findIndex((chunk) => chunk.type === 'IEND');
+  if (iend === -1) throw new Error('PNG has no IEND chunk');
+
+  // keyword\0 compression flag, method, language tag\0, translated keyword\0, text
+  const itxt = buildChunk('iTXt', Buffer.concat([
+    Buffer.from(`${PNG_KEYWORD}\0\0\0\0\0`, 'latin1'),
+    Buffer.from(credential, 'utf8')
+  ]));
+
+  const parts = [PNG_SIGNATURE];
+  chunks.forEach((chunk, index) => {
+    if (index === iend) parts.push(itxt);
+    parts.push(png.subarray(chunk.start, chunk.end));
+  });
+
+  return Buffer.concat(parts);
+};
+
+/**
+ * Read a baked credential from a PNG
+ * @returns {string|null}
+ */
+const extractPng = (png) => {
+  for (const chunk of readChunks(png)) {
+    if (chunk.type !== 'iTXt') continue;
+
+    const keywordEnd = chunk.data.indexOf(0);
+    if (chunk.data.toString('latin1', 0, keywordEnd) !== PNG_KEYWORD) continue;
+
+    const compressed = chunk.data[keywordEnd + 1] === 1;
+    const languageEnd = chunk.data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = chunk.data.indexOf(0, languageEnd + 1);
+    const text = chunk.data.subarray(translatedEnd + 1);
+
+    if (!compressed) return text.toString('utf8');
+
+    try {
+      return zlib.inflateSync(text, { maxOutputLength: MAX_CREDENTIAL_BYTES }).toString('utf8');
+    } catch (error) {
+      throw new Error('Baked credential is too large or corrupt');
+    }
+  }
+
+  return null;
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Bake a credential into an SVG as an <openbadges:credential> element
+ * @param {string} svg - Badge image markup
+ * @param {string} credential - Serialized credential
+ * @returns {string} - Baked SVG
+ */
+const bakeSvg = (svg, credential) => {
+  const cleaned = svg.replace(/<openbadges:credential[\s\S]*?<\/openbadges:credential>/g, '');
+  const match = cleaned.match(/<svg\b[^>]*>/);
+  if (!match) throw new Error('Not an SVG image');
+
+  let openTag = match[0];
+  if (!openTag.includes('xmlns:openbadges=')) {
+    openTag = openTag.replace(/^<svg\b/, `<svg xmlns:openbadges="${SVG_NAMESPACE}"`);
+  }
+
+  // "]]>" cannot appear inside CDATA, so split it across two sections
+  const cdata = credential.replace(/]]>/g, ']]]]><![CDATA[>');
+  const element = `<openbadges:credential><![CDATA[${cdata}]]></openbadges:credential>`;
+
+  return cleaned.replace(match[0], `${openTag}${element}`);
+};
+
+/**
+ * Read a baked credential from an SVG
+ * @returns {string|null}
+ */
+const extractSvg = (svg) => {
+  const match = svg.match(/<openbadges:credential[^>]*>([\s\S]*?)<\/openbadges:credential>/);
+  if (!match) return null;
+
+  const content = match[1].trim();
+  const cdata = [...content.matchAll(/<!\[CDATA\[([\s\S]*?)]]>/g)];
+  if (cdata.length) {
+    return cdata.map((part) => part[1]).join('');
+  }
+
+  return content
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Default badge artwork used when an achievement has no image
+ */
+const renderDefaultSvg = ({ title, issuer }) => `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">
+<circle cx="128" cy="128" r="120" fill="#1e3a8a"/>
+<circle cx="128" cy="128" r="104" fill="none" stroke="#fbbf24" stroke-width="6"/>
+<text x="128" y="120" font-family="sans-serif" font-size="18" fill="#ffffff" text-anchor="middle">${escapeXml(title).slice(0, 40)}</text>
+<text x="128" y="150" font-family="sans-serif" font-size="12" fill="#fbbf24" text-anchor="middle">${escapeXml(issuer).slice(0, 48)}</text>
+</svg>`;
+
+/**
+ * Default badge artwork as a PNG (a ringed disc)
+ */
+const renderDefaultPng = (size = 256) => {
+  const center = (size - 1) / 2;
+  const rows = [];
+
+  for (let y = 0; y < size; y += 1) {
+    const row = Buffer.alloc(1 + size * 4);
+    for (let x = 0; x < size; x += 1) {
+      const distance = Math.hypot(x - center, y - center);
+      const offset = 1 + x * 4;
+      if (distance <= size * 0.47) {
+        const ring = distance >= size * 0.39 && distance <= size * 0.42;
+        row.set(ring ? [0xfb, 0xbf, 0x24, 0xff] : [0x1e, 0x3a, 0x8a, 0xff], offset);
+      }
+    }
+    rows.push(row);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    buildChunk('IHDR', header),
+    buildChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    buildChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+export {
+  crc32,
+  bakePng,
+  extractPng,
+  bakeSvg,
+  extractSvg,
+  renderDefaultSvg,
+  renderDefaultPng
+};
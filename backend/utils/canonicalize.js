@@ -0,0 +1,32 @@
+/**
+ * JSON Canonicalization Scheme (RFC 8785)
+ * Object keys are sorted by UTF-16 code units and primitives are serialized
+ * exactly as JSON.stringify does, so equal documents always sign the same bytes.
+ * @param {*} value - JSON-compatible value
+ * @returns {string} - Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error('Cannot canonicalize non-finite numbers');
+    }
+    return JSON.stringify(value);
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${members.join(',')}}`;
+};
+
+export default canonicalize;
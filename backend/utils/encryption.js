@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Fail unless ENCRYPTION_KEY is set; called at startup
+ * @throws {Error} - When ENCRYPTION_KEY is missing
+ */
+const assertEncryptionKey = () => {
+  if (!process.env.ENCRYPTION_KEY) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+};
+
+/**
+ * 256-bit key derived from ENCRYPTION_KEY
+ */
+const getKey = () => {
+  assertEncryptionKey();
+  return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+};
+
+/**
+ * Encrypt a string for storage at rest
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - iv:authTag:ciphertext (base64)
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - iv:authTag:ciphertext (base64)
+ * @returns {string} - Plaintext
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+export { encrypt, decrypt, assertEncryptionKey };
@@ -28,4 +28,11 @@ const verifyFileHash = async (filePath, expectedHash) => {
   return actualHash === expectedHash;
 };
 
-export { generateFileHash, verifyFileHash };
+/**
+ * Generate SHA256 hash of in-memory file contents
+ * @param {Buffer} buffer - File bytes
+ * @returns {string} - SHA256 hash
+ */
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+export { generateFileHash, verifyFileHash, hashBuffer };
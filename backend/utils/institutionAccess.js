@@ -0,0 +1,52 @@
+import Institution from '../models/Institution.js';
+
+/**
+ * Institution users may only act on their own institution; admins on any
+ * @param {Object} user - Authenticated user
+ * @param {string} institutionId - Institution id from the route
+ * @returns {boolean}
+ */
+const isOwnInstitution = (user, institutionId) =>
+  user.role === 'admin' ||
+  (!!user.tenantId && user.tenantId.toString() === institutionId?.toString());
+
+/**
+ * Load the institution in `req.params.id` when the caller may act on it
+ * @returns {Promise<Object|null>} - Institution, or null (respond 404)
+ */
+const loadInstitution = async (req) => {
+  if (!isOwnInstitution(req.user, req.params.id)) return null;
+  return Institution.findById(req.params.id);
+};
+
+/**
+ * A user's role within their institution. Accounts registered before staff
+ * roles existed have none; the only such account of an institution is the
+ * one that registered it, so it is the owner.
+ * @param {Object} user - User
+ * @returns {string|undefined}
+ */
+const staffRoleOf = (user) => {
+  if (user.institutionRole) return user.institutionRole;
+  if (user.role === 'institution' && user.tenantId) return 'owner';
+  return undefined;
+};
+
+/**
+ * Query filter for an institution's staff holding one of the roles,
+ * including a legacy account without a role when owners are requested
+ * @param {string[]} roles - Staff roles
+ * @returns {Object}
+ */
+const staffRoleFilter = (roles) => {
+  if (!roles.includes('owner')) return { institutionRole: { $in: roles } };
+
+  return {
+    $or: [
+      { institutionRole: { $in: roles } },
+      { institutionRole: { $exists: false } }
+    ]
+  };
+};
+
+export { isOwnInstitution, loadInstitution, staffRoleOf, staffRoleFilter };
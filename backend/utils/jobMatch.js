@@ -0,0 +1,43 @@
+/**
+ * Calculate how well a learner matches a job
+ * @param {Object} job - Job document
+ * @param {Object} learner - Learner document
+ * @param {Array} credentials - Learner's credentials
+ * @returns {Object} - matchScore, matchedSkills, totalRequiredSkills, nsqfLevel
+ */
+const calculateMatchScore = (job, learner, credentials) => {
+  const learnerSkills = learner.skills.map((s) => s.name.toLowerCase());
+  const requiredSkills = job.requiredSkills.map((s) => s.name.toLowerCase());
+
+  // Calculate skill match
+  let matchedSkills = 0;
+  requiredSkills.forEach((reqSkill) => {
+    if (
+      learnerSkills.some((ls) => ls.includes(reqSkill) || reqSkill.includes(ls))
+    ) {
+      matchedSkills++;
+    }
+  });
+
+  const skillMatchPercentage = requiredSkills.length
+    ? (matchedSkills / requiredSkills.length) * 100
+    : 100;
+
+  // Check NSQF level
+  const maxNSQFLevel = Math.max(...credentials.map((c) => c.nsqfLevel || 0), 0);
+  const nsqfMatch = maxNSQFLevel >= (job.minNSQFLevel || 0);
+
+  // Calculate overall match score
+  const matchScore = Math.round(
+    skillMatchPercentage * 0.7 + (nsqfMatch ? 30 : 0),
+  );
+
+  return {
+    matchScore,
+    matchedSkills,
+    totalRequiredSkills: requiredSkills.length,
+    nsqfLevel: maxNSQFLevel,
+  };
+};
+
+export { calculateMatchScore };
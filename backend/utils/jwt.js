@@ -1,21 +1,26 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { describeDevice } from './userAgent.js';
 
 /**
  * Generate JWT access token
  */
-const generateAccessToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE
   });
 };
 
 /**
- * Generate JWT refresh token
+ * Generate JWT refresh token (unique per rotation via jti)
  */
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE
-  });
+const generateRefreshToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE }
+  );
 };
 
 /**
@@ -26,11 +31,55 @@ const verifyRefreshToken = (token) => {
 };
 
 /**
- * Send token response
+ * Issue a new refresh token for a session and store its hash
+ */
+const rotateRefreshToken = (session) => {
+  const refreshToken = generateRefreshToken(session.userId, session._id);
+
+  session.refreshTokenHash = Session.hashToken(refreshToken);
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  session.lastUsedAt = Date.now();
+
+  return refreshToken;
+};
+
+/**
+ * Generate short-lived token proving the password step of a 2FA login
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  const accessToken = generateAccessToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+const generateTwoFactorChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa-challenge' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+/**
+ * Verify 2FA challenge token
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa-challenge') {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+  return decoded;
+};
+
+/**
+ * Send token response (starts a new session)
+ */
+const sendTokenResponse = async (user, statusCode, req, res, { twoFactorVerified = false } = {}) => {
+  const userAgent = req.get('user-agent');
+  const session = new Session({
+    userId: user._id,
+    twoFactorVerified,
+    device: req.body.deviceName || describeDevice(userAgent),
+    ipAddress: req.ip,
+    userAgent
+  });
+
+  const refreshToken = rotateRefreshToken(session);
+  await session.save();
+
+  const accessToken = generateAccessToken(user._id, session._id);
 
   // Remove password from output
   user.password = undefined;
@@ -47,5 +96,8 @@ export {
   generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
+  rotateRefreshToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
   sendTokenResponse
 };
@@ -0,0 +1,79 @@
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Multicodec prefix for an Ed25519 public key (0xed, varint-encoded)
+const ED25519_PUB_PREFIX = Buffer.from([0xed, 0x01]);
+
+/**
+ * Encode bytes as base58btc (Bitcoin alphabet)
+ */
+const base58Encode = (buffer) => {
+  let value = BigInt(`0x${Buffer.from(buffer).toString('hex') || '0'}`);
+  let output = '';
+
+  while (value > 0n) {
+    output = BASE58_ALPHABET[Number(value % 58n)] + output;
+    value /= 58n;
+  }
+
+  for (const byte of buffer) {
+    if (byte !== 0) break;
+    output = `1${output}`;
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base58btc string
+ */
+const base58Decode = (input) => {
+  let value = 0n;
+  for (const char of input) {
+    const index = BASE58_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base58 character');
+    value = value * 58n + BigInt(index);
+  }
+
+  let hex = value > 0n ? value.toString(16) : '';
+  if (hex.length % 2) hex = `0${hex}`;
+
+  let leadingZeros = 0;
+  while (input[leadingZeros] === '1') leadingZeros += 1;
+
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+};
+
+/**
+ * Multibase base58btc ('z' prefix)
+ */
+const encodeMultibase = (buffer) => `z${base58Encode(buffer)}`;
+
+const decodeMultibase = (input) => {
+  if (typeof input !== 'string' || !input.startsWith('z')) {
+    throw new Error('Only base58btc multibase values are supported');
+  }
+  return base58Decode(input.slice(1));
+};
+
+/**
+ * Multikey encoding of a raw 32-byte Ed25519 public key
+ */
+const encodeEd25519PublicKey = (rawKey) =>
+  encodeMultibase(Buffer.concat([ED25519_PUB_PREFIX, rawKey]));
+
+const decodeEd25519PublicKey = (publicKeyMultibase) => {
+  const bytes = decodeMultibase(publicKeyMultibase);
+  if (bytes.length !== 34 || !bytes.subarray(0, 2).equals(ED25519_PUB_PREFIX)) {
+    throw new Error('Not an Ed25519 multikey');
+  }
+  return bytes.subarray(2);
+};
+
+export {
+  base58Encode,
+  base58Decode,
+  encodeMultibase,
+  decodeMultibase,
+  encodeEd25519PublicKey,
+  decodeEd25519PublicKey
+};
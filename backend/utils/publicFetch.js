@@ -0,0 +1,72 @@
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+
+// Loopback, private, link-local, shared, multicast and reserved ranges. The
+// families are kept apart: a list holding both matches IPv4 addresses against
+// the IPv4-mapped IPv6 range.
+const blockedRanges = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedRanges.ipv4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.ipv6.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return !blockedRanges.ipv4.check(address, 'ipv4');
+  if (family === 6) return !blockedRanges.ipv6.check(address, 'ipv6');
+  return false;
+};
+
+// Checked when the socket connects, so a hostname cannot resolve to a public
+// address for a check and to a private one for the request
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a non-public address`));
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * GET a file from a user-supplied URL: https only, public addresses only,
+ * no redirects, with size and time limits
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - { responseType, maxBytes, timeout (ms) }
+ * @returns {Promise<Buffer|string>} - Response body
+ */
+const fetchPublicFile = async (url, { responseType = 'arraybuffer', maxBytes = 1048576, timeout = 5000 } = {}) => {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'https:') {
+    throw new Error('Only https URLs can be fetched');
+  }
+
+  // IP literals connect without a lookup, so check them here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`${host} is not a public address`);
+  }
+
+  const response = await axios.get(parsed.href, {
+    responseType,
+    timeout,
+    signal: AbortSignal.timeout(timeout),
+    maxContentLength: maxBytes,
+    maxRedirects: 0,
+    proxy: false,
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+  });
+
+  return responseType === 'arraybuffer' ? Buffer.from(response.data) : response.data;
+};
+
+export { isPublicAddress, fetchPublicFile };
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import { encodeEd25519PublicKey, decodeEd25519PublicKey } from './multibase.js';
+
+/**
+ * Generate an Ed25519 key pair
+ * @returns {{ publicKeyMultibase: string, privateKeyPem: string }}
+ */
+const generateSigningKeyPair = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const { x } = publicKey.export({ format: 'jwk' });
+
+  return {
+    publicKeyMultibase: encodeEd25519PublicKey(Buffer.from(x, 'base64url')),
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+};
+
+/**
+ * Sign bytes with an Ed25519 private key (PKCS#8 PEM)
+ * @returns {Buffer} - 64-byte signature
+ */
+const signBytes = (data, privateKeyPem) => crypto.sign(null, data, privateKeyPem);
+
+/**
+ * Verify an Ed25519 signature against a multikey-encoded public key
+ * @returns {boolean}
+ */
+const verifyBytes = (data, signature, publicKeyMultibase) => {
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: decodeEd25519PublicKey(publicKeyMultibase).toString('base64url')
+      },
+      format: 'jwk'
+    });
+    return crypto.verify(null, data, publicKey, signature);
+  } catch (error) {
+    return false;
+  }
+};
+
+export { generateSigningKeyPair, signBytes, verifyBytes };
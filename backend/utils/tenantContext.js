@@ -0,0 +1,19 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Carries the current institution tenant through a request's async calls
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with queries scoped to a tenant
+ * @param {string} tenantId - Institution id
+ * @param {Function} fn - Function to run
+ */
+const runWithTenant = (tenantId, fn) => storage.run({ tenantId: tenantId.toString() }, fn);
+
+/**
+ * Tenant of the current request, if any
+ * @returns {string|undefined}
+ */
+const getTenantId = () => storage.getStore()?.tenantId;
+
+export { runWithTenant, getTenantId };
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+
+// Short enough to fit comfortably in a QR code: 16-char id + 16-char MAC
+const MAC_BYTES = 12;
+
+const getSecret = () => {
+  const secret = process.env.VERIFICATION_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('VERIFICATION_TOKEN_SECRET is not configured');
+  }
+  return secret;
+};
+
+const mac = (idBytes) =>
+  crypto.createHmac('sha256', getSecret()).update(idBytes).digest().subarray(0, MAC_BYTES);
+
+/**
+ * Signed, non-expiring token identifying a credential in public verification links
+ * @param {string|Object} credentialId - Credential ObjectId
+ * @returns {string}
+ */
+const createVerificationToken = (credentialId) => {
+  const idBytes = Buffer.from(credentialId.toString(), 'hex');
+  return `${idBytes.toString('base64url')}.${mac(idBytes).toString('base64url')}`;
+};
+
+/**
+ * Check a verification token
+ * @returns {string|null} - Credential id, or null if the token is invalid
+ */
+const parseVerificationToken = (token) => {
+  const [id, signature] = String(token).split('.');
+  if (!id || !signature) return null;
+
+  const idBytes = Buffer.from(id, 'base64url');
+  const provided = Buffer.from(signature, 'base64url');
+  if (idBytes.length !== 12 || provided.length !== MAC_BYTES) return null;
+
+  return crypto.timingSafeEqual(provided, mac(idBytes)) ? idBytes.toString('hex') : null;
+};
+
+/**
+ * Public link a credential holder can share
+ */
+const verificationLinkFor = (credentialId) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify/${createVerificationToken(credentialId)}`;
+
+export { createVerificationToken, parseVerificationToken, verificationLinkFor };